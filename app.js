@@ -3,8 +3,11 @@
  * UI controller and event handling
  */
 
-import { VoronoiGenerator } from './voronoi-generator.js?v=200';
+import { VoronoiGenerator } from './voronoi-generator.js';
 import { WorkerBridge } from './worker-bridge.js';
+import { runPostProcessing } from './world-pipeline.js';
+import { HistoryStack } from './history-stack.js';
+import { BIOME_NAMES, CLIMATE_CODES, CLIMATE_NAMES } from './map-constants.js';
 
 // Worker bridge for background generation
 let workerBridge = null;
@@ -102,6 +105,15 @@ const depositionRate = document.getElementById('deposition-rate');
 const depositionRateValue = document.getElementById('deposition-rate-value');
 const applyErosionBtn = document.getElementById('apply-erosion-btn');
 
+// DOM Elements - Terrain Brush
+const brushToolSelect = document.getElementById('brush-tool');
+const brushRadius = document.getElementById('brush-radius');
+const brushRadiusValue = document.getElementById('brush-radius-value');
+const brushStrength = document.getElementById('brush-strength');
+const brushStrengthValue = document.getElementById('brush-strength-value');
+const brushTarget = document.getElementById('brush-target');
+const brushTargetValue = document.getElementById('brush-target-value');
+
 // DOM Elements - Climate
 const windDirection = document.getElementById('wind-direction');
 const windStrengthSlider = document.getElementById('wind-strength');
@@ -111,6 +123,7 @@ const generateRiversBtn = document.getElementById('generate-rivers-btn');
 const showRiversToggle = document.getElementById('show-rivers');
 const numRiversSlider = document.getElementById('num-rivers');
 const numRiversValue = document.getElementById('num-rivers-value');
+const drainageModeSelect = document.getElementById('drainage-mode');
 
 // DOM Elements - Political
 const numKingdomsSlider = document.getElementById('num-kingdoms');
@@ -118,6 +131,11 @@ const numKingdomsValue = document.getElementById('num-kingdoms-value');
 const roadDensitySlider = document.getElementById('road-density');
 const roadDensityValue = document.getElementById('road-density-value');
 const generateKingdomsBtn = document.getElementById('generate-kingdoms-btn');
+const editKingdomSelect = document.getElementById('edit-kingdom');
+const mergeKingdomSelect = document.getElementById('merge-kingdom');
+const splitKingdomBtn = document.getElementById('split-kingdom-btn');
+const mergeKingdomBtn = document.getElementById('merge-kingdom-btn');
+const settlementToolSelect = document.getElementById('settlement-tool');
 
 // DOM Elements - Display
 const renderMode = document.getElementById('render-mode');
@@ -145,6 +163,11 @@ const toggleHeightmapBtn = document.getElementById('toggle-heightmap');
 // DOM Elements - Export
 const exportJsonBtn = document.getElementById('export-json');
 const exportPngBtn = document.getElementById('export-png');
+const exportSvgBtn = document.getElementById('export-svg');
+const exportHiresPngBtn = document.getElementById('export-hires-png');
+const exportScaleSelect = document.getElementById('export-scale');
+const importJsonBtn = document.getElementById('import-json');
+const importJsonInput = document.getElementById('import-json-input');
 
 // Stats
 const statCells = document.getElementById('stat-cells');
@@ -172,6 +195,61 @@ function debounce(func, wait) {
     };
 }
 
+// ========================================
+// HTML ESCAPING
+// ========================================
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for an innerHTML template - names can be typed in or come from an imported file
+ */
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+// ========================================
+// UNDO / REDO
+// ========================================
+
+// Snapshots of the world taken before every change (generation steps, sliders that regenerate, import)
+const worldHistory = new HistoryStack(20);
+
+function captureHistoryEntry() {
+    return { world: generator.captureState(), url: worldUrlParams };
+}
+
+/**
+ * Save the current world before a change; nothing to save before the first world
+ */
+function recordHistory() {
+    if (!generator.heights) return;
+    worldHistory.record(captureHistoryEntry());
+}
+
+function restoreHistoryEntry(entry) {
+    generator.restoreState(entry.world);
+    worldUrlParams = entry.url;
+    generator.render();
+    updateUrl();
+    
+    statCells.textContent = generator.cellCount.toLocaleString();
+    const landPercent = ((generator.getLandCount() / generator.cellCount) * 100).toFixed(1);
+    statLand.textContent = `${landPercent}%`;
+    updateRenderStats();
+    updateKingdomEditor();
+}
+
+function undo() {
+    if (!worldHistory.canUndo) return;
+    restoreHistoryEntry(worldHistory.undo(captureHistoryEntry()));
+}
+
+function redo() {
+    if (!worldHistory.canRedo) return;
+    restoreHistoryEntry(worldHistory.redo(captureHistoryEntry()));
+}
+
 // ========================================
 // GENERATION
 // ========================================
@@ -185,6 +263,8 @@ async function generate() {
     const validCount = Math.max(100, Math.min(100000, count));
     cellCountInput.value = validCount;
     
+    recordHistory();
+    
     // Show loading screen
     showLoading('Generating new landmass...');
     
@@ -198,32 +278,41 @@ async function generate() {
         octaves: parseInt(noiseOctaves.value),
         seaLevel: parseFloat(seaLevel.value),
         falloff: falloffType.value,
-        falloffStrength: parseFloat(falloffStrength.value)
+        falloffStrength: parseFloat(falloffStrength.value),
+        smoothing: parseInt(smoothing.value),
+        smoothingStrength: parseFloat(smoothingStrength.value)
     };
     
+    let generatedInWorker = false;
+    
     try {
         if (useWorkerGeneration && workerBridge) {
             // Use worker for point + heightmap generation
-            updateLoadingStatus('Generating terrain in background...');
-            
-            const result = await workerBridge.generateFull({
-                cellCount: validCount,
-                width: generator.width,
-                height: generator.height,
-                seed: seed,
-                distribution: distribution,
-                relaxIterations: distribution === 'relaxed' ? 3 : 2,
-                heightmapOptions
-            });
-            
-            // Apply results from worker
-            workerBridge.applyResults(generator, result);
-            
-            // Update stats
-            statCells.textContent = generator.cellCount.toLocaleString();
-            statGenTime.textContent = 'Worker';
-            
-        } else {
+            try {
+                updateLoadingStatus('Generating terrain in background...');
+                
+                const result = await workerBridge.generateFull({
+                    cellCount: validCount,
+                    width: generator.viewWidth,
+                    height: generator.viewHeight,
+                    seed: seed,
+                    distribution: distribution,
+                    heightmapOptions
+                });
+                
+                // Apply results from worker
+                workerBridge.applyResults(generator, result);
+                generatedInWorker = true;
+                
+                // Update stats
+                statCells.textContent = generator.cellCount.toLocaleString();
+                statGenTime.textContent = 'Worker';
+            } catch (error) {
+                console.error('Worker generation failed, continuing on main thread:', error);
+            }
+        }
+        
+        if (!generatedInWorker) {
             // Fallback: Generate on main thread
             updateLoadingStatus('Creating terrain cells...');
             
@@ -238,15 +327,10 @@ async function generate() {
             updateLoadingStatus('Sculpting terrain...');
             await new Promise(resolve => setTimeout(resolve, 20));
             
-            generator.generateHeightmap({
-                seed: seed + 1000,
-                ...heightmapOptions,
-                smoothing: parseInt(smoothing.value),
-                smoothingStrength: parseFloat(smoothingStrength.value)
-            });
+            generator.generateHeightmap({ seed: seed + 1000, ...heightmapOptions });
         }
         
-        // Continue with post-processing on main thread
+        // Continue with post-processing (worker, or main thread fallback)
         await postProcessGeneration(seed);
         
     } catch (error) {
@@ -255,40 +339,68 @@ async function generate() {
     }
 }
 
-// Post-processing steps (erosion, precipitation, kingdoms) run on main thread
-async function postProcessGeneration(seed, skipSmoothing = false) {
-    // Apply smoothing if heightmap was generated by worker (worker doesn't do smoothing)
-    if (!skipSmoothing && useWorkerGeneration && parseInt(smoothing.value) > 0) {
-        updateLoadingStatus('Smoothing terrain...');
-        await new Promise(resolve => setTimeout(resolve, 10));
-        generator.smoothHeights(parseInt(smoothing.value), parseFloat(smoothingStrength.value));
-    }
-    
-    // Erosion
-    updateLoadingStatus('Applying erosion...');
-    await new Promise(resolve => setTimeout(resolve, 10));
-    generator.applyHydraulicErosion({
+// Wind settings for generatePrecipitation; "Bands" keeps the last fixed direction as a fallback
+function readClimateOptions() {
+    const bands = windDirection.value === 'bands';
+    return {
+        windDirection: bands ? generator.windDirection : parseInt(windDirection.value),
+        windStrength: parseFloat(windStrengthSlider.value),
+        windBands: bands
+    };
+}
+
+// Post-processing steps (erosion, precipitation, rivers, kingdoms) run in the worker,
+// falling back to the main thread when the worker is unavailable.
+// Smoothing is part of the heightmap, so it has already been applied.
+async function postProcessGeneration(seed) {
+    const erosionOptions = {
         iterations: parseInt(erosionIterations.value),
         erosionStrength: parseFloat(erosionStrength.value),
         depositionRate: parseFloat(depositionRate.value)
-    });
+    };
+    const climateOptions = readClimateOptions();
+    const drainageOptions = {
+        numberOfRivers: parseInt(numRiversSlider.value),
+        mode: drainageModeSelect.value
+    };
+    const kingdomOptions = generator.renderMode === 'political'
+        ? { count: parseInt(numKingdomsSlider.value), roadDensity: parseInt(roadDensitySlider.value) }
+        : null;
     
-    // Climate
-    updateLoadingStatus('Simulating climate...');
-    await new Promise(resolve => setTimeout(resolve, 10));
-    generator.generatePrecipitation({
-        windDirection: parseInt(windDirection.value),
-        windStrength: parseFloat(windStrengthSlider.value)
-    });
-    generator.calculateDrainage({
-        numberOfRivers: parseInt(numRiversSlider.value)
-    });
+    let processedInWorker = false;
+    if (useWorkerGeneration && workerBridge) {
+        try {
+            const result = await workerBridge.postProcess({
+                points: generator.points,
+                heights: generator.heights,
+                terrain: generator.terrain,
+                cellCount: generator.cellCount,
+                width: generator.width,
+                height: generator.height,
+                seed,
+                erosion: erosionOptions,
+                climate: climateOptions,
+                drainage: drainageOptions,
+                kingdoms: kingdomOptions
+            });
+            workerBridge.applyPostProcessResults(generator, result);
+            processedInWorker = true;
+        } catch (error) {
+            console.error('Worker post-processing failed, continuing on main thread:', error);
+        }
+    }
     
-    // Kingdoms
-    updateLoadingStatus('Forming kingdoms...');
-    await new Promise(resolve => setTimeout(resolve, 10));
-    if (generator.renderMode === 'political') {
-        generator.generateKingdoms(parseInt(numKingdomsSlider.value), parseInt(roadDensitySlider.value));
+    if (!processedInWorker) {
+        await runPostProcessing(generator, {
+            seed,
+            erosion: erosionOptions,
+            climate: climateOptions,
+            drainage: drainageOptions,
+            kingdoms: kingdomOptions
+        }, async ({ message }) => {
+            updateLoadingStatus(message);
+            await new Promise(resolve => setTimeout(resolve, 10));
+        });
     }
     
     // Final render
@@ -301,7 +413,9 @@ async function postProcessGeneration(seed, skipSmoothing = false) {
     const landPercent = ((landCount / generator.cellCount) * 100).toFixed(1);
     statLand.textContent = `${landPercent}%`;
     statRenderTime.textContent = generator.metrics.renderTime.toFixed(1) + 'ms';
+    updateKingdomEditor();
     
+    saveWorldToUrl();
     hideLoading();
 }
 
@@ -331,8 +445,7 @@ async function generateHeightmapWithLoading() {
     
     generator.generateHeightmap(options);
     
-    // skipSmoothing=true because generateHeightmap already handles it
-    await postProcessGeneration(seed, true);
+    await postProcessGeneration(seed);
 }
 
 generateBtn.addEventListener('click', generate);
@@ -359,6 +472,8 @@ randomSeedBtn.addEventListener('click', () => {
 function generateHeightmap() {
     if (!generator.points || generator.cellCount === 0) return;
     
+    recordHistory();
+    
     // Show loading screen
     showLoading('Regenerating terrain...');
     
@@ -423,6 +538,8 @@ function applyErosion() {
         return;
     }
     
+    recordHistory();
+    
     applyErosionBtn.classList.add('loading');
     applyErosionBtn.textContent = 'Eroding...';
     
@@ -433,6 +550,7 @@ function applyErosion() {
                 erosionStrength: parseFloat(erosionStrength.value),
                 depositionRate: parseFloat(depositionRate.value)
             });
+            generator.refreshDerivedLayers();
             generator.render();
             updateRenderStats();
         } finally {
@@ -444,6 +562,50 @@ function applyErosion() {
 
 applyErosionBtn.addEventListener('click', applyErosion);
 
+// ========================================
+// TERRAIN BRUSH
+// ========================================
+
+brushToolSelect.addEventListener('change', (e) => {
+    generator.brush.tool = e.target.value || null;
+    generator.brushPosition = null;
+    canvas.style.cursor = generator.brush.tool ? 'crosshair' : 'grab';
+    
+    // One map tool at a time
+    if (generator.brush.tool && settlementToolSelect.value) {
+        settlementToolSelect.value = '';
+        generator.editSettlements = false;
+    }
+    generator.render();
+});
+
+brushRadius.addEventListener('input', (e) => {
+    generator.brush.radius = parseInt(e.target.value);
+    brushRadiusValue.textContent = e.target.value;
+});
+
+brushStrength.addEventListener('input', (e) => {
+    generator.brush.strength = parseFloat(e.target.value);
+    brushStrengthValue.textContent = parseFloat(e.target.value).toFixed(2);
+});
+
+brushTarget.addEventListener('input', (e) => {
+    generator.brush.target = parseInt(e.target.value);
+    brushTargetValue.textContent = `${e.target.value}m`;
+});
+
+// Each stroke is one undo step
+canvas.addEventListener('brushstart', recordHistory);
+
+canvas.addEventListener('brushend', (e) => {
+    const landPercent = ((generator.getLandCount() / generator.cellCount) * 100).toFixed(1);
+    statLand.textContent = `${landPercent}%`;
+    updateRenderStats();
+    
+    // A stroke may have founded a kingdom
+    if (e.detail?.tool === 'kingdom') updateKingdomEditor();
+});
+
 // ========================================
 // CLIMATE / PRECIPITATION
 // ========================================
@@ -459,28 +621,48 @@ numRiversSlider.addEventListener('input', (e) => {
 
 numRiversSlider.addEventListener('change', (e) => {
     if (generator.heights) {
+        recordHistory();
         generator.calculateDrainage({
-            numberOfRivers: parseInt(numRiversSlider.value)
+            numberOfRivers: parseInt(numRiversSlider.value),
+            mode: drainageModeSelect.value
         });
         generator.render();
         updateRenderStats();
     }
 });
 
+drainageModeSelect.addEventListener('change', () => {
+    if (generator.heights) {
+        recordHistory();
+        generator.calculateDrainage({
+            numberOfRivers: parseInt(numRiversSlider.value),
+            mode: drainageModeSelect.value
+        });
+        
+        // Lakes appear or vanish - re-place settlements and roads around them
+        if (generator.kingdoms) {
+            generator.generateKingdoms(parseInt(numKingdomsSlider.value), parseInt(roadDensitySlider.value));
+            updateKingdomEditor();
+        }
+        generator.render();
+        updateRenderStats();
+    }
+});
+
 function generatePrecipitation() {
     if (!generator.heights || generator.cellCount === 0) {
         alert('Generate heightmap first!');
         return;
     }
     
+    recordHistory();
+    
     generatePrecipBtn.classList.add('loading');
     generatePrecipBtn.textContent = 'Generating';
     
     setTimeout(() => {
-        generator.generatePrecipitation({
-            windDirection: parseInt(windDirection.value),
-            windStrength: parseFloat(windStrengthSlider.value)
-        });
+        generator.generatePrecipitation(readClimateOptions());
+        generator.refreshDerivedLayers();
         
         // Switch to precipitation view
         renderMode.value = 'precipitation';
@@ -501,12 +683,11 @@ function generateRivers() {
         return;
     }
     
+    recordHistory();
+    
     // Auto-generate precipitation if not exists
     if (!generator.precipitation) {
-        generator.generatePrecipitation({
-            windDirection: parseInt(windDirection.value),
-            windStrength: parseFloat(windStrengthSlider.value)
-        });
+        generator.generatePrecipitation(readClimateOptions());
     }
     
     generateRiversBtn.classList.add('loading');
@@ -514,7 +695,8 @@ function generateRivers() {
     
     setTimeout(() => {
         generator.calculateDrainage({
-            numberOfRivers: parseInt(numRiversSlider.value)
+            numberOfRivers: parseInt(numRiversSlider.value),
+            mode: drainageModeSelect.value
         });
         
         // Switch to terrain view to see rivers
@@ -547,6 +729,7 @@ roadDensitySlider.addEventListener('input', (e) => {
 // Regenerate cities and roads when slider is released
 roadDensitySlider.addEventListener('change', (e) => {
     if (generator.kingdoms && generator.kingdomCount > 0) {
+        recordHistory();
         generator.roadDensity = parseInt(e.target.value);
         // Regenerate cities (which also regenerates roads and population)
         generator._generateCities();
@@ -560,6 +743,8 @@ function generateKingdoms() {
         return;
     }
     
+    recordHistory();
+    
     generateKingdomsBtn.classList.add('loading');
     generateKingdomsBtn.textContent = 'Generating...';
     
@@ -573,6 +758,7 @@ function generateKingdoms() {
             generator.renderMode = 'political';
             generator.render();
             updateRenderStats();
+            updateKingdomEditor();
         } finally {
             generateKingdomsBtn.classList.remove('loading');
             generateKingdomsBtn.textContent = 'Generate Kingdoms';
@@ -582,6 +768,155 @@ function generateKingdoms() {
 
 generateKingdomsBtn.addEventListener('click', generateKingdoms);
 
+// ========================================
+// KINGDOM EDITING
+// ========================================
+
+/**
+ * Refill the kingdom pickers from the current world, keeping the selection when possible
+ */
+function updateKingdomEditor() {
+    const names = generator.kingdoms ? generator.kingdomNames.slice(0, generator.kingdomCount) : [];
+    const options = () => names.map((name, k) => new Option(name || `Kingdom ${k + 1}`, k));
+    
+    const selected = generator.brush.kingdom;
+    editKingdomSelect.replaceChildren(...options());
+    if (names.length > 0) editKingdomSelect.add(new Option('+ New kingdom', -1));
+    editKingdomSelect.value = selected >= -1 && selected < names.length ? selected : 0;
+    generator.brush.kingdom = parseInt(editKingdomSelect.value) || 0;
+    
+    const absorbed = mergeKingdomSelect.value;
+    mergeKingdomSelect.replaceChildren(...options());
+    if (absorbed !== '' && absorbed < names.length) mergeKingdomSelect.value = absorbed;
+}
+
+// Picking a kingdom switches the brush to painting it
+editKingdomSelect.addEventListener('change', () => {
+    generator.brush.kingdom = parseInt(editKingdomSelect.value);
+    brushToolSelect.value = 'kingdom';
+    brushToolSelect.dispatchEvent(new Event('change'));
+});
+
+splitKingdomBtn.addEventListener('click', () => {
+    const kingdom = generator.brush.kingdom;
+    if (!generator.kingdoms || kingdom < 0) return;
+    if ((generator.kingdomCells[kingdom] || []).length < 2) {
+        alert('This kingdom is too small to split');
+        return;
+    }
+    
+    recordHistory();
+    const created = generator.splitKingdom(kingdom);
+    if (created >= 0) generator.brush.kingdom = created;
+    generator.render();
+    updateKingdomEditor();
+});
+
+mergeKingdomBtn.addEventListener('click', () => {
+    const target = generator.brush.kingdom;
+    const source = parseInt(mergeKingdomSelect.value);
+    if (!generator.kingdoms || target < 0 || source === target || isNaN(source)) return;
+    
+    recordHistory();
+    generator.brush.kingdom = generator.mergeKingdoms(target, source);
+    generator.render();
+    updateKingdomEditor();
+});
+
+// ========================================
+// SETTLEMENT EDITING
+// ========================================
+
+settlementToolSelect.addEventListener('change', () => {
+    const tool = settlementToolSelect.value;
+    generator.editSettlements = tool === 'move';
+    
+    // One map tool at a time
+    if (tool && brushToolSelect.value) {
+        brushToolSelect.value = '';
+        brushToolSelect.dispatchEvent(new Event('change'));
+    }
+    canvas.style.cursor = settlementCursor();
+});
+
+/**
+ * Cursor over empty map: crosshair while placing settlements
+ */
+function settlementCursor() {
+    const tool = settlementToolSelect.value;
+    return tool && tool !== 'move' && tool !== 'delete' ? 'crosshair' : 'grab';
+}
+
+/**
+ * Apply the add/delete settlement tool at a map click
+ */
+function editSettlementAt(x, y, tool) {
+    if (!generator.kingdoms) return;
+    
+    const entry = captureHistoryEntry();
+    let changed;
+    if (tool === 'delete') {
+        const hit = generator.hitTestLabel(x, y);
+        changed = !!hit && (hit.type === 'city' || hit.type === 'capital') &&
+            generator.removeSettlement({ type: hit.type, index: hit.index });
+    } else {
+        changed = !!generator.addSettlement(generator.findCell(x, y), tool);
+    }
+    
+    if (changed) {
+        worldHistory.record(entry);
+        infoPanel.classList.remove('visible');
+        generator.render();
+    }
+}
+
+// Moving a settlement is one undo step
+canvas.addEventListener('settlementdragstart', recordHistory);
+
+// Double-click a kingdom, capital, city or forest name to rename it in place
+const labelEditor = document.getElementById('label-editor');
+let editingLabel = null;
+
+canvas.addEventListener('dblclick', (e) => {
+    if (generator.renderMode !== 'political' || generator.brush.tool) return;
+    
+    const rect = canvas.getBoundingClientRect();
+    const hit = generator.hitTestLabel(e.clientX - rect.left, e.clientY - rect.top);
+    if (!hit) return;
+    
+    const { x, y, zoom } = generator.viewport;
+    labelEditor.style.left = `${canvas.offsetLeft + x + hit.box.left * zoom}px`;
+    labelEditor.style.top = `${canvas.offsetTop + y + hit.box.top * zoom}px`;
+    labelEditor.value = hit.name;
+    labelEditor.classList.add('visible');
+    labelEditor.focus();
+    labelEditor.select();
+    editingLabel = { type: hit.type, index: hit.index };
+});
+
+function closeLabelEditor(commit) {
+    if (!editingLabel) return;
+    const ref = editingLabel;
+    editingLabel = null;
+    labelEditor.classList.remove('visible');
+    if (!commit) return;
+    
+    const entry = captureHistoryEntry();
+    if (generator.renameLabel(ref, labelEditor.value)) {
+        worldHistory.record(entry);
+        infoPanel.classList.remove('visible');
+        generator.render();
+        if (ref.type === 'kingdom') updateKingdomEditor();
+    }
+}
+
+labelEditor.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') closeLabelEditor(true);
+    else if (e.key === 'Escape') closeLabelEditor(false);
+});
+
+labelEditor.addEventListener('blur', () => closeLabelEditor(true));
+
 // ========================================
 // DISPLAY OPTIONS
 // ========================================
@@ -591,28 +926,43 @@ renderMode.addEventListener('change', (e) => {
     
     // Auto-generate precipitation if switching to that mode and it doesn't exist
     if (e.target.value === 'precipitation' && !generator.precipitation && generator.heights) {
-        generator.generatePrecipitation({
-            windDirection: parseInt(windDirection.value),
-            windStrength: parseFloat(windStrengthSlider.value)
-        });
+        generator.generatePrecipitation(readClimateOptions());
+    }
+    
+    // Auto-classify biomes if switching to that mode and they don't exist
+    if (e.target.value === 'biomes' && !generator.biomes && generator.heights) {
+        if (!generator.precipitation) {
+            generator.generatePrecipitation(readClimateOptions());
+        }
+        if (!generator.temperature) {
+            generator.generateTemperature();
+        }
+        generator.classifyBiomes();
+    }
+    
+    // Auto-classify climate zones if switching to that mode and they don't exist
+    if (e.target.value === 'climate' && !generator.climateZones && generator.heights) {
+        if (!generator.precipitation) {
+            generator.generatePrecipitation(readClimateOptions());
+        }
+        generator.classifyClimates();
     }
     
     // Auto-calculate drainage if switching to flow arrows mode
     if (e.target.value === 'rivers' && !generator.drainage && generator.heights) {
         if (!generator.precipitation) {
-            generator.generatePrecipitation({
-                windDirection: parseInt(windDirection.value),
-                windStrength: parseFloat(windStrengthSlider.value)
-            });
+            generator.generatePrecipitation(readClimateOptions());
         }
         generator.calculateDrainage({
-            numberOfRivers: parseInt(numRiversSlider.value)
+            numberOfRivers: parseInt(numRiversSlider.value),
+            mode: drainageModeSelect.value
         });
     }
     
     // Auto-generate kingdoms if switching to political mode and they don't exist
     if (e.target.value === 'political' && !generator.kingdoms && generator.heights) {
         generator.generateKingdoms(parseInt(numKingdomsSlider.value), parseInt(roadDensitySlider.value));
+        updateKingdomEditor();
     }
     
     generator.render();
@@ -719,16 +1069,16 @@ function renderHeightmapOverlay() {
     
     // Match main canvas size exactly (including DPR)
     const dpr = generator.dpr || window.devicePixelRatio || 1;
-    heightmapOverlay.width = generator.width * dpr;
-    heightmapOverlay.height = generator.height * dpr;
+    heightmapOverlay.width = generator.viewWidth * dpr;
+    heightmapOverlay.height = generator.viewHeight * dpr;
     
     // Match CSS size
-    heightmapOverlay.style.width = generator.width + 'px';
-    heightmapOverlay.style.height = generator.height + 'px';
+    heightmapOverlay.style.width = generator.viewWidth + 'px';
+    heightmapOverlay.style.height = generator.viewHeight + 'px';
     
     // Reset and apply same transform as main canvas
     heightmapCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
-    heightmapCtx.clearRect(0, 0, generator.width, generator.height);
+    heightmapCtx.clearRect(0, 0, generator.viewWidth, generator.viewHeight);
     
     // Apply viewport transform (same as render method)
     heightmapCtx.save();
@@ -870,6 +1220,126 @@ const debouncedStatsUpdate = debounce(() => {
     updateRenderStats();
 }, 100);
 
+// ========================================
+// SHAREABLE URL
+// ========================================
+
+// URL parameter → control for every setting that shapes the generated world
+const URL_CONTROLS = {
+    seed: seedInput,
+    cells: cellCountInput,
+    dist: distributionSelect,
+    algo: noiseAlgorithm,
+    freq: noiseFrequency,
+    oct: noiseOctaves,
+    sea: seaLevel,
+    falloff: falloffType,
+    fstr: falloffStrength,
+    smooth: smoothing,
+    sstr: smoothingStrength,
+    eiter: erosionIterations,
+    estr: erosionStrength,
+    depo: depositionRate,
+    wind: windDirection,
+    wstr: windStrengthSlider,
+    rivers: numRiversSlider,
+    drain: drainageModeSelect,
+    kingdoms: numKingdomsSlider,
+    roads: roadDensitySlider
+};
+
+// World settings as of the last full generation (slider edits since then aren't in the link)
+let worldUrlParams = null;
+
+/**
+ * Snapshot the settings of the world that was just generated and write them to the URL
+ */
+function saveWorldToUrl() {
+    worldUrlParams = new URLSearchParams();
+    for (const [key, control] of Object.entries(URL_CONTROLS)) {
+        worldUrlParams.set(key, control.value);
+    }
+    updateUrl();
+}
+
+/**
+ * Write world settings plus the current view (mode, center in world units, zoom)
+ */
+function updateUrl() {
+    if (!worldUrlParams) return;
+    
+    const params = new URLSearchParams(worldUrlParams);
+    const { x, y, zoom } = generator.viewport;
+    params.set('view', renderMode.value);
+    params.set('x', ((generator.viewWidth / 2 - x) / zoom).toFixed(1));
+    params.set('y', ((generator.viewHeight / 2 - y) / zoom).toFixed(1));
+    params.set('z', zoom.toFixed(3));
+    
+    history.replaceState(null, '', `${location.pathname}?${params}`);
+}
+
+const debouncedUrlUpdate = debounce(updateUrl, 300);
+
+/**
+ * Apply settings from the URL to the controls.
+ * Unknown options and out-of-range numbers are ignored or clamped.
+ * @returns {Object|null} { view } to restore once the world is generated, or null if the URL has no world
+ */
+function applyUrlState() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('seed')) return null;
+    
+    for (const [key, control] of Object.entries(URL_CONTROLS)) {
+        const value = params.get(key);
+        if (value === null) continue;
+        
+        if (control.tagName === 'SELECT') {
+            if (![...control.options].some(option => option.value === value)) continue;
+            control.value = value;
+        } else {
+            const number = parseFloat(value);
+            if (!Number.isFinite(number)) continue;
+            const min = control.min !== '' ? parseFloat(control.min) : -Infinity;
+            const max = control.max !== '' ? parseFloat(control.max) : Infinity;
+            control.value = Math.max(min, Math.min(max, number));
+        }
+        
+        // Refresh the value label next to sliders
+        control.dispatchEvent(new Event('input'));
+    }
+    
+    const view = params.get('view');
+    if (view && [...renderMode.options].some(option => option.value === view)) {
+        renderMode.value = view;
+    }
+    
+    const x = parseFloat(params.get('x'));
+    const y = parseFloat(params.get('y'));
+    const zoom = parseFloat(params.get('z'));
+    const hasView = Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(zoom);
+    return { view: hasView ? { x, y, zoom } : null };
+}
+
+/**
+ * Center the view on a world position at the given zoom
+ */
+function restoreView({ x, y, zoom }) {
+    const { minZoom, maxZoom } = generator.viewport;
+    const z = Math.max(minZoom, Math.min(maxZoom, zoom));
+    generator.viewport.zoom = z;
+    generator.viewport.x = generator.viewWidth / 2 - x * z;
+    generator.viewport.y = generator.viewHeight / 2 - y * z;
+    generator.render();
+    updateZoomDisplay();
+    updateUrl();
+}
+
+// Keep the view part of the link current
+canvas.addEventListener('zoomchange', debouncedUrlUpdate);
+canvas.addEventListener('mouseup', debouncedUrlUpdate);
+canvas.addEventListener('touchend', debouncedUrlUpdate);
+renderMode.addEventListener('change', debouncedUrlUpdate);
+
 // ========================================
 // EXPORT
 // ========================================
@@ -899,6 +1369,102 @@ exportPngBtn.addEventListener('click', () => {
     link.click();
 });
 
+exportSvgBtn.addEventListener('click', async () => {
+    showLoading('Building SVG...');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    
+    try {
+        const svg = generator.exportSVG();
+        if (!svg) return;
+        
+        const blob = new Blob([svg], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `voronoi-map-${generator.cellCount}-cells.svg`;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    } finally {
+        hideLoading();
+    }
+});
+
+exportHiresPngBtn.addEventListener('click', async () => {
+    const scale = parseInt(exportScaleSelect.value);
+    showLoading(`Rendering ${scale}x poster...`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    
+    try {
+        const blob = await generator.exportHighResPNG({
+            scale,
+            onProgress: ({ done, total }) => updateLoadingStatus(`Rendering tile ${done}/${total}`)
+        });
+        if (!blob) return;
+        
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `voronoi-map-${generator.cellCount}-cells-${scale}x.png`;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('High-resolution export failed:', error);
+        alert(`Could not export poster: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+});
+
+// ========================================
+// IMPORT
+// ========================================
+
+importJsonBtn.addEventListener('click', () => {
+    importJsonInput.click();
+});
+
+importJsonInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still fires 'change'
+    importJsonInput.value = '';
+    if (!file) return;
+    
+    showLoading('Loading world...');
+    
+    try {
+        const data = JSON.parse(await file.text());
+        
+        updateLoadingStatus('Restoring world...');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        recordHistory();
+        generator.importData(data);
+        
+        // Reflect the imported world in the controls
+        if (data.seed !== undefined) seedInput.value = data.seed;
+        cellCountInput.value = generator.cellCount;
+        if (data.climate) {
+            windDirection.value = data.climate.windBands ? 'bands' : data.climate.windDirection;
+            windStrengthSlider.value = data.climate.windStrength;
+            windStrengthValue.textContent = parseFloat(data.climate.windStrength).toFixed(2);
+        }
+        
+        statCells.textContent = generator.cellCount.toLocaleString();
+        const landPercent = ((generator.getLandCount() / generator.cellCount) * 100).toFixed(1);
+        statLand.textContent = `${landPercent}%`;
+        updateRenderStats();
+        updateKingdomEditor();
+    } catch (error) {
+        console.error('Import failed:', error);
+        alert(`Could not load world: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+});
+
 // ========================================
 // HOVER INTERACTION
 // ========================================
@@ -938,10 +1504,20 @@ canvas.addEventListener('click', (e) => {
     }
     dragStartPos = null;
     
+    // Clicks paint while a brush is selected
+    if (generator.brush.tool) return;
+    
     const rect = canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
     
+    // Settlement tools act on the clicked cell or settlement
+    const settlementTool = settlementToolSelect.value;
+    if (settlementTool && settlementTool !== 'move') {
+        editSettlementAt(x, y, settlementTool);
+        return;
+    }
+    
     // In political mode, check for label clicks
     if (generator.renderMode === 'political') {
         const labelHit = generator.hitTestLabel(x, y);
@@ -956,6 +1532,12 @@ canvas.addEventListener('click', (e) => {
     infoPanel.classList.remove('visible');
 });
 
+// Info panel icons for hand-placed settlement types
+const CITY_TYPE_ICONS = { port: '⚓', fortress: '🛡️', town: '🏠' };
+
+// Info panel subtitles for forest kinds
+const FOREST_KIND_NAMES = { boreal: 'Boreal forest', temperate: 'Temperate forest', tropical: 'Tropical forest' };
+
 function showInfoPanel(labelHit) {
     let html = '';
     
@@ -966,7 +1548,7 @@ function showInfoPanel(labelHit) {
                 <div class="ip-header">
                     <span class="ip-icon">🏰</span>
                     <div>
-                        <div class="ip-title">${stats.name}</div>
+                        <div class="ip-title">${escapeHTML(stats.name)}</div>
                         <div class="ip-subtitle">Kingdom</div>
                     </div>
                 </div>
@@ -977,12 +1559,17 @@ function showInfoPanel(labelHit) {
                     </div>
                     <div class="ip-stat">
                         <span class="ip-stat-label">Capital</span>
-                        <span class="ip-stat-value">${stats.capitalName || 'Unknown'}</span>
+                        <span class="ip-stat-value">${escapeHTML(stats.capitalName || 'Unknown')}</span>
                     </div>
                     <div class="ip-stat">
                         <span class="ip-stat-label">Cities</span>
                         <span class="ip-stat-value">${stats.cityCount}</span>
                     </div>
+                    ${stats.provinces.length > 0 ? `
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Provinces</span>
+                        <span class="ip-stat-value">${stats.provinces.length}</span>
+                    </div>` : ''}
                     <div class="ip-stat">
                         <span class="ip-stat-label">Territory</span>
                         <span class="ip-stat-value">${stats.cellCount.toLocaleString()} cells</span>
@@ -992,6 +1579,67 @@ function showInfoPanel(labelHit) {
                         <span class="ip-stat-label">Coastal</span>
                         <span class="ip-stat-value">Yes</span>
                     </div>` : ''}
+                    ${stats.terrain.forest > 0 ? `
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Forested</span>
+                        <span class="ip-stat-value">${stats.terrain.forest}%</span>
+                    </div>` : ''}
+                    ${stats.culture ? `
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Culture</span>
+                        <span class="ip-stat-value">${escapeHTML(stats.culture[0].toUpperCase() + stats.culture.slice(1))}</span>
+                    </div>` : ''}
+                    ${stats.climate ? `
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Climate</span>
+                        <span class="ip-stat-value">${stats.climate.zones[0].name} (${stats.climate.zones[0].code})</span>
+                    </div>
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Summer / Winter</span>
+                        <span class="ip-stat-value">${stats.climate.summerTemperature}° / ${stats.climate.winterTemperature}°C</span>
+                    </div>
+                    ${stats.climate.snowyWinters > 0 ? `
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Snowy winters</span>
+                        <span class="ip-stat-value">${stats.climate.snowyWinters}% of land</span>
+                    </div>` : ''}
+                    ${stats.climate.monsoon > 0 ? `
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Monsoon</span>
+                        <span class="ip-stat-value">${stats.climate.monsoon}% of land</span>
+                    </div>` : ''}` : ''}
+                </div>
+            `;
+        }
+    } else if (labelHit.type === 'forest') {
+        const stats = generator.getForestStats(labelHit.index);
+        if (stats) {
+            html = `
+                <div class="ip-header">
+                    <span class="ip-icon">${stats.kind === 'boreal' ? '🌲' : '🌳'}</span>
+                    <div>
+                        <div class="ip-title">${escapeHTML(stats.name)}</div>
+                        <div class="ip-subtitle">${FOREST_KIND_NAMES[stats.kind]}</div>
+                    </div>
+                </div>
+                <div class="ip-stats">
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Extent</span>
+                        <span class="ip-stat-value">${stats.cellCount.toLocaleString()} cells</span>
+                    </div>
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Elevation</span>
+                        <span class="ip-stat-value">${stats.elevation}m</span>
+                    </div>
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Realms</span>
+                        <span class="ip-stat-value">${escapeHTML(stats.kingdomNames.slice(0, 3).join(', ') || 'Unclaimed')}</span>
+                    </div>
+                    ${stats.climate ? `
+                    <div class="ip-stat">
+                        <span class="ip-stat-label">Climate</span>
+                        <span class="ip-stat-value">${stats.climate.zones[0].name} (${stats.climate.zones[0].code})</span>
+                    </div>` : ''}
                 </div>
             `;
         }
@@ -1002,8 +1650,8 @@ function showInfoPanel(labelHit) {
                 <div class="ip-header">
                     <span class="ip-icon">⭐</span>
                     <div>
-                        <div class="ip-title">${stats.name}</div>
-                        <div class="ip-subtitle">Capital of ${stats.kingdomName}</div>
+                        <div class="ip-title">${escapeHTML(stats.name)}</div>
+                        <div class="ip-subtitle">Capital of ${escapeHTML(stats.kingdomName)}</div>
                     </div>
                 </div>
                 <div class="ip-stats">
@@ -1033,10 +1681,10 @@ function showInfoPanel(labelHit) {
         if (stats) {
             html = `
                 <div class="ip-header">
-                    <span class="ip-icon">🏘️</span>
+                    <span class="ip-icon">${CITY_TYPE_ICONS[stats.type] || '🏘️'}</span>
                     <div>
-                        <div class="ip-title">${stats.name}</div>
-                        <div class="ip-subtitle">${stats.kingdomName}</div>
+                        <div class="ip-title">${escapeHTML(stats.name)}</div>
+                        <div class="ip-subtitle">${stats.type === 'city' ? '' : `${escapeHTML(stats.type[0].toUpperCase() + stats.type.slice(1))} · `}${escapeHTML(stats.kingdomName)}</div>
                     </div>
                 </div>
                 <div class="ip-stats">
@@ -1070,8 +1718,8 @@ function showInfoPanel(labelHit) {
 }
 
 canvas.addEventListener('mousemove', (e) => {
-    // Don't update hover while dragging
-    if (generator.isDragging) {
+    // Don't update hover while dragging or painting
+    if (generator.isDragging || generator.isPainting || generator.isMovingSettlement) {
         tooltip.classList.remove('visible');
         return;
     }
@@ -1081,7 +1729,7 @@ canvas.addEventListener('mousemove', (e) => {
     const y = e.clientY - rect.top;
     
     // In political mode, change cursor on label hover (but no tooltip)
-    if (generator.renderMode === 'political') {
+    if (generator.renderMode === 'political' && !generator.brush.tool) {
         const labelHit = generator.hitTestLabel(x, y);
         
         if (labelHit) {
@@ -1091,7 +1739,7 @@ canvas.addEventListener('mousemove', (e) => {
             tooltip.classList.remove('visible');
             return;
         } else {
-            canvas.style.cursor = 'grab';
+            canvas.style.cursor = settlementCursor();
             lastHoveredLabel = null;
         }
     }
@@ -1118,9 +1766,12 @@ canvas.addEventListener('mousemove', (e) => {
             if (elevation !== null) {
                 if (isLake) {
                     const depth = generator.lakeDepths ? generator.lakeDepths.get(cellIndex) || 0 : 0;
+                    const lake = generator.lakes.find(l => l.cells.includes(cellIndex));
+                    const lakeName = lake && lake.name ? lake.name : 'Lake';
+                    const lakeType = lake && lake.salt ? 'Salt lake · ' : '';
                     html += `<div class="tt-terrain tt-lake">`;
                     html += `<span class="tt-icon">💧</span>`;
-                    html += `<span class="tt-info">Lake · ${Math.round(depth)}m deep</span>`;
+                    html += `<span class="tt-info">${escapeHTML(lakeName)} · ${lakeType}${Math.round(depth)}m deep</span>`;
                     html += `</div>`;
                 } else if (isLand) {
                     const elev = Math.round(elevation);
@@ -1134,6 +1785,52 @@ canvas.addEventListener('mousemove', (e) => {
                     html += `<span class="tt-icon">⛰️</span>`;
                     html += `<span class="tt-info">${terrainType} · ${elev}m</span>`;
                     html += `</div>`;
+                    
+                    const province = generator.provinceIds ? generator.provinceIds[cellIndex] : -1;
+                    if (province >= 0) {
+                        const { name, kingdom } = generator.provinces[province];
+                        html += `<div class="tt-terrain tt-land">`;
+                        html += `<span class="tt-icon">🏰</span>`;
+                        html += `<span class="tt-info">${escapeHTML(name)} · ${escapeHTML(generator.kingdomNames[kingdom])}</span>`;
+                        html += `</div>`;
+                    }
+                    
+                    const range = generator.mountainRangeIds ? generator.mountainRangeIds[cellIndex] : -1;
+                    if (range >= 0) {
+                        html += `<div class="tt-terrain tt-land">`;
+                        html += `<span class="tt-icon">🏔️</span>`;
+                        html += `<span class="tt-info">${escapeHTML(generator.mountainRanges[range].name)}</span>`;
+                        html += `</div>`;
+                    }
+                    
+                    const forest = generator.forestIds ? generator.forestIds[cellIndex] : -1;
+                    if (forest >= 0) {
+                        html += `<div class="tt-terrain tt-land">`;
+                        html += `<span class="tt-icon">${generator.forests[forest].kind === 'boreal' ? '🌲' : '🌳'}</span>`;
+                        html += `<span class="tt-info">${escapeHTML(generator.forests[forest].name)}</span>`;
+                        html += `</div>`;
+                    }
+                    
+                    if (generator.biomes && generator.temperature) {
+                        const biomeName = BIOME_NAMES[generator.biomes[cellIndex]];
+                        const temp = Math.round(generator.temperature[cellIndex]);
+                        html += `<div class="tt-terrain tt-land">`;
+                        html += `<span class="tt-icon">🌿</span>`;
+                        html += `<span class="tt-info">${biomeName} · ${temp}°C</span>`;
+                        html += `</div>`;
+                    }
+                    
+                    if (generator.climateZones) {
+                        const zone = generator.climateZones[cellIndex];
+                        const summer = Math.round(generator.summerTemperature[cellIndex]);
+                        const winter = Math.round(generator.winterTemperature[cellIndex]);
+                        const summerRain = Math.round(generator.summerPrecipitation[cellIndex]);
+                        const winterRain = Math.round(generator.winterPrecipitation[cellIndex]);
+                        html += `<div class="tt-terrain tt-land">`;
+                        html += `<span class="tt-icon">🌦️</span>`;
+                        html += `<span class="tt-info">${CLIMATE_CODES[zone]} ${CLIMATE_NAMES[zone]} · ${summer}°/${winter}°C · ${summerRain}/${winterRain} mm</span>`;
+                        html += `</div>`;
+                    }
                 } else {
                     const depth = Math.round(Math.abs(elevation));
                     let oceanType = 'Shallow';
@@ -1142,7 +1839,9 @@ canvas.addEventListener('mousemove', (e) => {
                     
                     html += `<div class="tt-terrain tt-ocean">`;
                     html += `<span class="tt-icon">🌊</span>`;
-                    html += `<span class="tt-info">${oceanType} Ocean · ${depth}m</span>`;
+                    const body = generator.waterBodyIds ? generator.waterBodyIds[cellIndex] : -1;
+                    const waterName = body >= 0 ? `${escapeHTML(generator.waterBodies[body].name)} · ${oceanType}` : `${oceanType} Ocean`;
+                    html += `<span class="tt-info">${waterName} · ${depth}m</span>`;
                     html += `</div>`;
                 }
             }
@@ -1209,6 +1908,17 @@ document.addEventListener('keydown', (e) => {
     // Ignore if typing
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
     
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+        return;
+    }
+    
     switch (e.key.toLowerCase()) {
         case 'g':
             generate();
@@ -1265,9 +1975,11 @@ document.addEventListener('keydown', (e) => {
 // INITIALIZATION
 // ========================================
 
-// Set random seed on load
-const randomSeed = Math.floor(Math.random() * 1000000);
-seedInput.value = randomSeed;
+// Restore a shared world from the URL, otherwise start from a random seed
+const sharedState = applyUrlState();
+if (!sharedState) {
+    seedInput.value = Math.floor(Math.random() * 1000000);
+}
 
 // Disable edges by default
 showEdgesToggle.checked = false;
@@ -1287,92 +1999,18 @@ generator.worldSizeKm = parseInt(worldSizeSlider.value);
 generator.renderMode = renderMode.value;
 generator.subdivisionLevel = 0;
 
-// Initial generation with loading screen
+// Initial generation with loading screen - same pipeline as the Generate button,
+// so a shared link rebuilds the world exactly as it was generated
 updateLoadingStatus('Generating cells');
 
-setTimeout(() => {
-    const count = parseInt(cellCountInput.value) || 50000;
-    const distribution = distributionSelect.value;
-    const seed = parseInt(seedInput.value) || Date.now();
-    
-    // Pass heightmap options for land-biased generation
-    const heightmapOptions = {
-        seed: seed + 1000,
-        algorithm: noiseAlgorithm.value,
-        frequency: parseFloat(noiseFrequency.value),
-        seaLevel: parseFloat(seaLevel.value),
-        falloff: falloffType.value,
-        falloffStrength: parseFloat(falloffStrength.value)
-    };
+setTimeout(async () => {
+    await generate();
     
-    const metrics = generator.generate(count, distribution, seed, heightmapOptions);
-    statCells.textContent = generator.cellCount.toLocaleString();
-    statGenTime.textContent = metrics.genTime.toFixed(1) + 'ms';
-    
-    updateLoadingStatus('Creating terrain');
-    
-    setTimeout(() => {
-        const heightOptions = {
-            seed: seed + 1000,
-            algorithm: noiseAlgorithm.value,
-            frequency: parseFloat(noiseFrequency.value),
-            octaves: parseInt(noiseOctaves.value),
-            seaLevel: parseFloat(seaLevel.value),
-            falloff: falloffType.value,
-            falloffStrength: parseFloat(falloffStrength.value),
-            smoothing: parseInt(smoothing.value),
-            smoothingStrength: parseFloat(smoothingStrength.value)
-        };
-        
-        generator.generateHeightmap(heightOptions);
-        updateLoadingStatus('Eroding terrain');
-        
-        // Apply hydraulic erosion automatically
-        generator.applyHydraulicErosion({
-            iterations: parseInt(erosionIterations.value),
-            erosionStrength: parseFloat(erosionStrength.value),
-            depositionRate: parseFloat(depositionRate.value)
-        });
-        
-        updateLoadingStatus('Simulating climate');
-        
-        setTimeout(() => {
-            generator.generatePrecipitation({
-                windDirection: parseInt(windDirection.value),
-                windStrength: parseFloat(windStrengthSlider.value)
-            });
-            
-            updateLoadingStatus('Carving rivers');
-            
-            setTimeout(() => {
-                generator.calculateDrainage({
-                    numberOfRivers: parseInt(numRiversSlider.value)
-                });
-                
-                updateLoadingStatus('Forming kingdoms');
-                
-                setTimeout(() => {
-                    // Generate kingdoms for political view (default)
-                    generator.generateKingdoms(parseInt(numKingdomsSlider.value), parseInt(roadDensitySlider.value));
-                    
-                    updateLoadingStatus('Rendering');
-                    
-                    setTimeout(() => {
-                        generator.render();
-                        
-                        // Update stats
-                        const landCount = generator.getLandCount();
-                        const landPercent = ((landCount / generator.cellCount) * 100).toFixed(1);
-                        statLand.textContent = `${landPercent}%`;
-                        
-                        hideLoading();
-                        updateZoomDisplay();
-                        console.log('Voronoi Map Generator initialized');
-                    }, 50);
-                }, 50);
-            }, 50);
-        }, 50);
-    }, 50);
+    if (sharedState?.view) {
+        restoreView(sharedState.view);
+    }
+    updateZoomDisplay();
+    console.log('Voronoi Map Generator initialized');
 }, 100);
 
-console.log('Shortcuts: G=Generate, H=Heightmap, P=Precipitation, V=Rivers, F=Toggle Rivers, E=Edges, C=Centers, D=Delaunay, +/-=Zoom, 0=Reset');
+console.log('Shortcuts: G=Generate, H=Heightmap, P=Precipitation, V=Rivers, F=Toggle Rivers, E=Edges, C=Centers, D=Delaunay, +/-=Zoom, 0=Reset, Ctrl+Z=Undo, Ctrl+Shift+Z=Redo');
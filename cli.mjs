@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * CLI - Generate worlds from the command line and write them as world JSON
+ *
+ * Examples:
+ *   node cli.mjs --seed 42
+ *   node cli.mjs --seed 1000 --count 200 --cells 20000 --out worlds/
+ *
+ * One file per seed: <out>/voronoi-map-<seed>.json (same format as Export JSON in the app).
+ * With --digest, prints one line of layer hashes per seed instead (see worldDigest()):
+ *   node cli.mjs --seed 1 --count 5 --cells 5000 --digest > golden.jsonl
+ */
+
+import { parseArgs } from 'node:util';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const USAGE = `Usage: node cli.mjs [options]
+
+  --seed <n>           First seed (default 12345)
+  --count <n>          Number of consecutive seeds to generate (default 1)
+  --cells <n>          Cell count (default 50000)
+  --width <px>         World width (default 1920)
+  --height <px>        World height (default 1080)
+  --distribution <d>   jittered | random | poisson | relaxed
+  --algorithm <a>      Heightmap algorithm, e.g. continental, fbm, tectonic
+  --sea-level <0-1>    Fraction of cells below sea level (default 0.4)
+  --erosion <n>        Erosion iterations (default 200000)
+  --rivers <n>         Number of rivers (default 30)
+  --drainage <mode>    filled | lakes (default filled)
+  --kingdoms <n>       Number of kingdoms, 0 to skip the political stage (default 12)
+  --road-density <n>   Road density 0-10 (default 7)
+  --out <dir>          Output directory (default .)
+  --pretty             Indent the JSON
+  --digest             Print a JSON line of world and layer hashes per seed instead of writing files
+  -h, --help           Show this help
+`;
+
+let args;
+try {
+    ({ values: args } = parseArgs({
+        options: {
+            seed: { type: 'string' },
+            count: { type: 'string' },
+            cells: { type: 'string' },
+            width: { type: 'string' },
+            height: { type: 'string' },
+            distribution: { type: 'string' },
+            algorithm: { type: 'string' },
+            'sea-level': { type: 'string' },
+            erosion: { type: 'string' },
+            rivers: { type: 'string' },
+            drainage: { type: 'string' },
+            kingdoms: { type: 'string' },
+            'road-density': { type: 'string' },
+            out: { type: 'string', default: '.' },
+            pretty: { type: 'boolean', default: false },
+            digest: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    }));
+} catch (error) {
+    // Unknown option or missing value: say which, then how to call
+    console.error(error.message);
+    process.stderr.write('\n' + USAGE);
+    process.exit(2);
+}
+
+if (args.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+}
+
+/**
+ * Parse a numeric option, leaving it undefined when not given
+ */
+function numberArg(name) {
+    if (args[name] === undefined) return undefined;
+    const value = Number(args[name]);
+    if (!Number.isFinite(value)) {
+        throw new Error(`--${name} expects a number, got "${args[name]}"`);
+    }
+    return value;
+}
+
+/**
+ * Drop undefined entries so the pipeline defaults apply
+ */
+function defined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
+
+async function main() {
+    const { generateWorld, worldDigest, DEFAULT_WORLD_OPTIONS } = await import('./headless.mjs');
+
+    const firstSeed = numberArg('seed') ?? DEFAULT_WORLD_OPTIONS.seed;
+    const count = numberArg('count') ?? 1;
+    const kingdomCount = numberArg('kingdoms');
+
+    const options = defined({
+        cellCount: numberArg('cells'),
+        width: numberArg('width'),
+        height: numberArg('height'),
+        distribution: args.distribution,
+        heightmap: defined({ algorithm: args.algorithm, seaLevel: numberArg('sea-level') }),
+        erosion: defined({ iterations: numberArg('erosion') }),
+        drainage: defined({ numberOfRivers: numberArg('rivers'), mode: args.drainage }),
+        kingdoms: kingdomCount === 0 ? false : defined({ count: kingdomCount, roadDensity: numberArg('road-density') })
+    });
+
+    if (!args.digest) {
+        await mkdir(args.out, { recursive: true });
+    }
+
+    for (let i = 0; i < count; i++) {
+        const seed = firstSeed + i;
+        const start = performance.now();
+
+        const generator = await generateWorld({ ...options, seed });
+
+        if (args.digest) {
+            process.stdout.write(JSON.stringify({ seed, ...worldDigest(generator) }) + '\n');
+            const elapsed = ((performance.now() - start) / 1000).toFixed(1);
+            console.error(`[${i + 1}/${count}] seed ${seed} (${elapsed}s)`);
+            continue;
+        }
+
+        const data = generator.exportData();
+
+        const file = join(args.out, `voronoi-map-${seed}.json`);
+        await writeFile(file, JSON.stringify(data, null, args.pretty ? 2 : 0));
+
+        const elapsed = ((performance.now() - start) / 1000).toFixed(1);
+        console.error(`[${i + 1}/${count}] seed ${seed} → ${file} (${elapsed}s)`);
+    }
+}
+
+main().catch((error) => {
+    console.error('Generation failed:', error.message);
+    process.exit(1);
+});
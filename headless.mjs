@@ -0,0 +1,22 @@
+/**
+ * HEADLESS - Node.js entry point for generating worlds without a browser
+ *
+ * Registers the module hooks in node-loader.mjs, provides the `d3` global the
+ * generator expects, then exposes the generation pipeline. Needs the npm packages
+ * `d3-delaunay` and `simplex-noise` (the same versions the page loads from the CDN).
+ *
+ * Usage:
+ *   import { generateWorld } from './headless.mjs';
+ *
+ *   const generator = await generateWorld({ seed: 42, cellCount: 20000, kingdoms: { count: 8 } });
+ *   fs.writeFileSync('world.json', JSON.stringify(generator.exportData()));
+ */
+
+import { register } from 'node:module';
+
+register('./node-loader.mjs', import.meta.url);
+
+globalThis.d3 = await import('d3-delaunay');
+
+export const { VoronoiGenerator } = await import('./voronoi-generator.js');
+export const { generateWorld, runPostProcessing, worldDigest, DEFAULT_WORLD_OPTIONS } = await import('./world-pipeline.js');
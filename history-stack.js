@@ -0,0 +1,64 @@
+/**
+ * HISTORY STACK - Bounded undo/redo stack
+ *
+ * Stores opaque entries (the app stores generator.captureState() snapshots).
+ * Recording a new entry drops everything that could be redone.
+ *
+ * Usage:
+ *   import { HistoryStack } from './history-stack.js';
+ *
+ *   const history = new HistoryStack(20);
+ *   history.record(snapshot());                 // before changing anything
+ *   if (history.canUndo) apply(history.undo(snapshot()));
+ *   if (history.canRedo) apply(history.redo(snapshot()));
+ */
+
+export class HistoryStack {
+    constructor(limit = 20) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Save the state as it is before a change
+     */
+    record(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack.length = 0;
+    }
+
+    /**
+     * Step back: `current` becomes redoable, returns the entry to restore
+     */
+    undo(current) {
+        if (!this.canUndo) return null;
+        this.redoStack.push(current);
+        return this.undoStack.pop();
+    }
+
+    /**
+     * Step forward: `current` becomes undoable, returns the entry to restore
+     */
+    redo(current) {
+        if (!this.canRedo) return null;
+        this.undoStack.push(current);
+        return this.redoStack.pop();
+    }
+
+    clear() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+    }
+}
@@ -52,6 +52,9 @@ export const OCEAN_COLORS = [
     "#08366a","#073467","#063264","#053061"
 ];
 
+// Endorheic (salt) lakes - pale, mineral-tinted water
+export const SALT_LAKE_COLOR = "#9cc7c0";
+
 // Precipitation colors: red (dry/0) to blue (wet/1)
 // 64-value gradient
 export const PRECIP_COLORS = [
@@ -114,6 +117,9 @@ export const POLITICAL_COLORS = [
 // Ocean color for political map - aged parchment blue-gray
 export const POLITICAL_OCEAN = "#C4CBBE";
 
+// Salt lake color for political map
+export const POLITICAL_SALT_LAKE = "#D3D5C4";
+
 // Border color for kingdoms - aged sepia ink
 export const POLITICAL_BORDER = "#6B5344";
 
@@ -124,3 +130,89 @@ export const ELEVATION = {
     SEA_LEVEL: 0,   // Sea level
     RANGE: 10000    // Total range (6000 - (-4000))
 };
+
+// Biome ids (Whittaker-style classification from temperature and precipitation)
+export const BIOME = {
+    MARINE: 0,
+    GLACIER: 1,
+    TUNDRA: 2,
+    TAIGA: 3,
+    COLD_DESERT: 4,
+    GRASSLAND: 5,
+    SHRUBLAND: 6,
+    TEMPERATE_FOREST: 7,
+    TEMPERATE_RAINFOREST: 8,
+    DESERT: 9,
+    SAVANNA: 10,
+    TROPICAL_SEASONAL_FOREST: 11,
+    TROPICAL_RAINFOREST: 12
+};
+
+// Display names indexed by biome id
+export const BIOME_NAMES = [
+    "Marine",
+    "Glacier",
+    "Tundra",
+    "Taiga",
+    "Cold Desert",
+    "Grassland",
+    "Shrubland",
+    "Temperate Forest",
+    "Temperate Rainforest",
+    "Desert",
+    "Savanna",
+    "Tropical Seasonal Forest",
+    "Tropical Rainforest"
+];
+
+// Fill colors indexed by biome id
+export const BIOME_COLORS = [
+    "#6a9fc4", // Marine
+    "#eef3f6", // Glacier
+    "#b7bfa6", // Tundra
+    "#5f7f5a", // Taiga
+    "#c9bf9a", // Cold Desert
+    "#b5c77a", // Grassland
+    "#a9a36b", // Shrubland
+    "#5e9a4a", // Temperate Forest
+    "#3d7a4f", // Temperate Rainforest
+    "#e6cf8f", // Desert
+    "#cdbd62", // Savanna
+    "#7ea43a", // Tropical Seasonal Forest
+    "#2f6b2a"  // Tropical Rainforest
+];
+
+// Köppen-style climate codes indexed by climate zone id (0 = ocean)
+export const CLIMATE_CODES = [
+    "",
+    "Af", "Am", "Aw",
+    "BWh", "BWk", "BSh", "BSk",
+    "Csa", "Csb", "Csc", "Cwa", "Cwb", "Cwc", "Cfa", "Cfb", "Cfc",
+    "Dsa", "Dsb", "Dsc", "Dsd", "Dwa", "Dwb", "Dwc", "Dwd", "Dfa", "Dfb", "Dfc", "Dfd",
+    "ET", "EF"
+];
+
+// Display names indexed by climate zone id
+export const CLIMATE_NAMES = [
+    "Ocean",
+    "Tropical Rainforest", "Tropical Monsoon", "Tropical Savanna",
+    "Hot Desert", "Cold Desert", "Hot Steppe", "Cold Steppe",
+    "Hot-Summer Mediterranean", "Warm-Summer Mediterranean", "Cold-Summer Mediterranean",
+    "Monsoon Subtropical", "Subtropical Highland", "Cold Subtropical Highland",
+    "Humid Subtropical", "Oceanic", "Subpolar Oceanic",
+    "Dry-Summer Hot Continental", "Dry-Summer Warm Continental", "Dry-Summer Subarctic", "Dry-Summer Extreme Subarctic",
+    "Monsoon Hot Continental", "Monsoon Warm Continental", "Monsoon Subarctic", "Monsoon Extreme Subarctic",
+    "Hot-Summer Continental", "Warm-Summer Continental", "Subarctic", "Extreme Subarctic",
+    "Tundra", "Ice Cap"
+];
+
+// Fill colors indexed by climate zone id (the usual Köppen map palette)
+export const CLIMATE_COLORS = [
+    "#6a9fc4", // Ocean
+    "#0000ff", "#0078ff", "#46aafa",
+    "#ff0000", "#ff9696", "#f5a500", "#ffdc64",
+    "#ffff00", "#c8c800", "#969600", "#96ff96", "#64c864", "#329632", "#c8ff50", "#64ff50", "#32c800",
+    "#ff00ff", "#c800c8", "#963296", "#966496", "#aaafff", "#5a78dc", "#4b50b4", "#320087",
+    "#00ffff", "#37c8ff", "#007d7d", "#00465f",
+    "#b2b2b2", "#666666"
+];
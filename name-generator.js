@@ -804,7 +804,10 @@ export class NameGenerator {
             return baseName;
         }
         
-        // Add government type
+        // Add government type - the culture's own titles when a culture was asked for
+        if (cultureName) {
+            return `${this._pick(this._getCulture(cultureName).titles)} of ${baseName}`;
+        }
         const gov = this._pickWeighted(this.governmentTypes);
         return `${gov.prefix} ${baseName}`;
     }
@@ -1000,7 +1003,7 @@ export class NameGenerator {
         } else {
             // Coastal feature: "Bay of Aldheim"
             const baseName = this._generateBaseName(cultureName);
-            const feature = this._pick(this.waterTerms.coastal);
+            const feature = type !== 'any' ? type : this._pick(this.waterTerms.coastal);
             return `${feature} of ${baseName}`;
         }
     }
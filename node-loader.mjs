@@ -0,0 +1,28 @@
+/**
+ * NODE LOADER - Module hooks that let Node.js load the browser sources
+ *
+ * - CDN imports (https://cdn.jsdelivr.net/npm/<package>@<version>/+esm) resolve to the
+ *   locally installed npm package of the same name
+ * - The repo's .js files are ES modules without a package.json "type" field, so they
+ *   are loaded as modules explicitly
+ *
+ * Registered by headless.mjs; not needed in the browser.
+ */
+
+const CDN_PATTERN = /^https:\/\/cdn\.jsdelivr\.net\/npm\/((?:@[^/]+\/)?[^@/]+)@[^/]+\/\+esm$/;
+const ROOT = new URL('./', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    const match = CDN_PATTERN.exec(specifier);
+    if (match) {
+        return nextResolve(match[1], context);
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(ROOT) && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
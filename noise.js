@@ -5,7 +5,7 @@
  */
 
 import { createNoise2D } from 'https://cdn.jsdelivr.net/npm/simplex-noise@4.0.1/+esm';
-import { PRNG } from './prng.js';
+import { createPRNG } from './prng.js';
 
 export const Noise = {
     // Noise function from simplex-noise library
@@ -15,26 +15,23 @@ export const Noise = {
     
     /**
      * Initialize noise with seed
-     * Creates seeded PRNG for simplex-noise library
+     * Each noise layer gets its own seeded PRNG for the simplex-noise library
      */
     init(seed) {
-        PRNG.setSeed(seed);
-        
         // Create seeded random function compatible with simplex-noise
-        const createSeededRandom = () => {
-            return () => PRNG.random();
+        const createSeededRandom = (layerSeed) => {
+            const rng = createPRNG(layerSeed);
+            return () => rng.random();
         };
         
         // Initialize primary noise
-        this.noise2D = createNoise2D(createSeededRandom());
+        this.noise2D = createNoise2D(createSeededRandom(seed));
         
         // Initialize secondary noise with offset seed (for warping)
-        PRNG.setSeed(seed + 31337);
-        this.noise2D_secondary = createNoise2D(createSeededRandom());
+        this.noise2D_secondary = createNoise2D(createSeededRandom(seed + 31337));
         
         // Initialize tertiary noise (for extra layers)
-        PRNG.setSeed(seed + 77777);
-        this.noise2D_tertiary = createNoise2D(createSeededRandom());
+        this.noise2D_tertiary = createNoise2D(createSeededRandom(seed + 77777));
     },
     
     /**
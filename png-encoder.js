@@ -0,0 +1,135 @@
+/**
+ * PNG STREAM ENCODER - Writes RGBA rows into a PNG without one giant canvas
+ *
+ * Used by the high-resolution export: tiles are rendered one canvas at a time and
+ * their rows are compressed as they arrive, so the output can be larger than the
+ * browser's maximum canvas size. Compression uses the native CompressionStream
+ * ('deflate' produces the zlib stream PNG expects).
+ *
+ * Usage:
+ *   import { PNGStreamEncoder } from './png-encoder.js';
+ *
+ *   const encoder = new PNGStreamEncoder(width, height);
+ *   await encoder.addRows(rgbaBand, bandHeight);  // top to bottom, any band height
+ *   const blob = await encoder.finish();
+ */
+
+// CRC32 lookup table (PNG chunk checksums)
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+export class PNGStreamEncoder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.rowsWritten = 0;
+
+        this._stream = new CompressionStream('deflate');
+        this._writer = this._stream.writable.getWriter();
+
+        // Drain compressed output while rows are written, otherwise backpressure stalls the writer
+        this._compressed = [];
+        this._drained = this._drain();
+    }
+
+    async _drain() {
+        const reader = this._stream.readable.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            this._compressed.push(value);
+        }
+    }
+
+    /**
+     * Append a band of rows (RGBA, `width * 4` bytes per row, top to bottom)
+     */
+    async addRows(rgba, rowCount) {
+        const stride = this.width * 4;
+        const out = new Uint8Array(rowCount * (stride + 1));
+
+        for (let y = 0; y < rowCount; y++) {
+            const src = y * stride;
+            const dst = y * (stride + 1);
+
+            // Sub filter - each byte minus the same channel of the pixel to its left
+            out[dst] = 1;
+            for (let i = 0; i < 4; i++) {
+                out[dst + 1 + i] = rgba[src + i];
+            }
+            for (let i = 4; i < stride; i++) {
+                out[dst + 1 + i] = (rgba[src + i] - rgba[src + i - 4]) & 0xFF;
+            }
+        }
+
+        this.rowsWritten += rowCount;
+        await this._writer.write(out);
+    }
+
+    /**
+     * Close the stream and assemble the PNG file
+     * @returns {Promise<Blob>}
+     */
+    async finish() {
+        if (this.rowsWritten !== this.height) {
+            throw new Error(`PNG expects ${this.height} rows, got ${this.rowsWritten}`);
+        }
+
+        await this._writer.close();
+        await this._drained;
+
+        const ihdr = new Uint8Array(13);
+        const view = new DataView(ihdr.buffer);
+        view.setUint32(0, this.width);
+        view.setUint32(4, this.height);
+        ihdr[8] = 8;   // Bit depth
+        ihdr[9] = 6;   // Color type: RGBA
+        ihdr[10] = 0;  // Compression: deflate
+        ihdr[11] = 0;  // Filter method: adaptive
+        ihdr[12] = 0;  // No interlace
+
+        const parts = [PNG_SIGNATURE, ...this._chunk('IHDR', ihdr)];
+        for (const data of this._compressed) {
+            parts.push(...this._chunk('IDAT', data));
+        }
+        parts.push(...this._chunk('IEND', new Uint8Array(0)));
+
+        return new Blob(parts, { type: 'image/png' });
+    }
+
+    /**
+     * Build a PNG chunk as [length + type, data, crc] parts
+     */
+    _chunk(type, data) {
+        const header = new Uint8Array(8);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            header[4 + i] = type.charCodeAt(i);
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 4; i < 8; i++) {
+            crc = CRC_TABLE[(crc ^ header[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        for (let i = 0; i < data.length; i++) {
+            crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+
+        const footer = new Uint8Array(4);
+        new DataView(footer.buffer).setUint32(0, (crc ^ 0xFFFFFFFF) >>> 0);
+
+        return [header, data, footer];
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * PRIORITY QUEUE - Binary min-heap of integer items (cell indices)
+ *
+ * Items and priorities live in parallel typed arrays that grow on demand,
+ * so searches over 100k-cell maps don't allocate per push.
+ * Stale entries are allowed: push an item again with a lower priority and
+ * skip it on pop if it was already handled (lazy decrease-key).
+ *
+ * Usage:
+ *   import { MinHeap } from './priority-queue.js';
+ *
+ *   const heap = new MinHeap(1024);
+ *   heap.push(cell, cost);
+ *   while (heap.size > 0) {
+ *       const cost = heap.peekPriority();
+ *       const cell = heap.pop();
+ *   }
+ */
+
+export class MinHeap {
+    constructor(capacity = 64) {
+        this.items = new Int32Array(capacity);
+        this.priorities = new Float64Array(capacity);
+        this.size = 0;
+    }
+
+    clear() {
+        this.size = 0;
+    }
+
+    push(item, priority) {
+        if (this.size === this.items.length) this._grow();
+
+        // Sift up
+        let i = this.size++;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= priority) break;
+            this.items[i] = this.items[parent];
+            this.priorities[i] = this.priorities[parent];
+            i = parent;
+        }
+        this.items[i] = item;
+        this.priorities[i] = priority;
+    }
+
+    peekPriority() {
+        return this.size > 0 ? this.priorities[0] : Infinity;
+    }
+
+    /**
+     * Remove and return the item with the lowest priority (-1 when empty)
+     */
+    pop() {
+        if (this.size === 0) return -1;
+
+        const top = this.items[0];
+        const last = --this.size;
+        if (last === 0) return top;
+
+        // Sift the last entry down from the root
+        const item = this.items[last];
+        const priority = this.priorities[last];
+        let i = 0;
+        for (;;) {
+            let child = i * 2 + 1;
+            if (child >= last) break;
+            if (child + 1 < last && this.priorities[child + 1] < this.priorities[child]) child++;
+            if (this.priorities[child] >= priority) break;
+            this.items[i] = this.items[child];
+            this.priorities[i] = this.priorities[child];
+            i = child;
+        }
+        this.items[i] = item;
+        this.priorities[i] = priority;
+        return top;
+    }
+
+    _grow() {
+        const items = new Int32Array(this.items.length * 2);
+        const priorities = new Float64Array(this.priorities.length * 2);
+        items.set(this.items);
+        priorities.set(this.priorities);
+        this.items = items;
+        this.priorities = priorities;
+    }
+}
@@ -2,70 +2,107 @@
  * VORONOI MAP GENERATOR - PRNG
  * Seedable pseudorandom number generator (Mulberry32)
  * Fast and provides good distribution for map generation
+ *
+ * Generation stages each draw from their own instance, seeded with
+ * deriveSeed(worldSeed, stageName), so re-running one stage doesn't
+ * shift the random sequence of any other.
  */
 
-export const PRNG = {
-    seed: 12345,
-    
-    /**
-     * Set the seed for reproducible generation
-     */
-    setSeed(seed) {
-        this.seed = seed >>> 0; // Ensure unsigned 32-bit
-    },
-    
-    /**
-     * Mulberry32 PRNG - fast and good quality
-     * Returns value in [0, 1)
-     */
-    random() {
-        let t = this.seed += 0x6D2B79F5;
-        t = Math.imul(t ^ t >>> 15, t | 1);
-        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-        return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    },
-    
-    /**
-     * Random float in range [min, max)
-     */
-    range(min, max) {
-        return min + this.random() * (max - min);
-    },
-    
-    /**
-     * Random integer in range [min, max]
-     */
-    int(min, max) {
-        return Math.floor(this.range(min, max + 1));
-    },
-    
-    /**
-     * Gaussian (normal) distribution using Box-Muller transform
-     * mean: center of distribution
-     * stdDev: standard deviation
-     */
-    gaussian(mean = 0, stdDev = 1) {
-        const u1 = this.random();
-        const u2 = this.random();
-        const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-        return z0 * stdDev + mean;
-    },
-    
-    /**
-     * Shuffle array in place using Fisher-Yates
-     */
-    shuffle(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = this.int(0, i);
-            [array[i], array[j]] = [array[j], array[i]];
+/**
+ * Create an independent generator with its own state
+ */
+export function createPRNG(seed = 12345) {
+    return {
+        seed: seed >>> 0,
+
+        /**
+         * Set the seed for reproducible generation
+         */
+        setSeed(seed) {
+            this.seed = seed >>> 0; // Ensure unsigned 32-bit
+        },
+
+        /**
+         * Mulberry32 PRNG - fast and good quality
+         * Returns value in [0, 1)
+         */
+        random() {
+            let t = this.seed += 0x6D2B79F5;
+            t = Math.imul(t ^ t >>> 15, t | 1);
+            t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+            return ((t ^ t >>> 14) >>> 0) / 4294967296;
+        },
+
+        /**
+         * Random float in range [min, max)
+         */
+        range(min, max) {
+            return min + this.random() * (max - min);
+        },
+
+        /**
+         * Random integer in range [min, max]
+         */
+        int(min, max) {
+            return Math.floor(this.range(min, max + 1));
+        },
+
+        /**
+         * Gaussian (normal) distribution using Box-Muller transform
+         * mean: center of distribution
+         * stdDev: standard deviation
+         */
+        gaussian(mean = 0, stdDev = 1) {
+            const u1 = this.random();
+            const u2 = this.random();
+            const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+            return z0 * stdDev + mean;
+        },
+
+        /**
+         * Shuffle array in place using Fisher-Yates
+         */
+        shuffle(array) {
+            for (let i = array.length - 1; i > 0; i--) {
+                const j = this.int(0, i);
+                [array[i], array[j]] = [array[j], array[i]];
+            }
+            return array;
+        },
+
+        /**
+         * Pick random element from array
+         */
+        pick(array) {
+            return array[this.int(0, array.length - 1)];
         }
-        return array;
-    },
-    
-    /**
-     * Pick random element from array
-     */
-    pick(array) {
-        return array[this.int(0, array.length - 1)];
+    };
+}
+
+/**
+ * 32-bit hash of a string mixed with a seed (FNV-1a over UTF-16 code units, murmur3 finalizer)
+ * Shared by deriveSeed() and the world digests so both hash text the same way.
+ */
+export function hashString(text, seed = 0) {
+    let h = (seed >>> 0) ^ 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
     }
-};
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Seed for a named sub-stream of a world seed
+ * Unrelated names give unrelated seeds; the same seed and name always give the same one.
+ */
+export function deriveSeed(seed, stream) {
+    return hashString(stream, seed);
+}
+
+// Shared instance for code outside the generation stages
+export const PRNG = createPRNG();
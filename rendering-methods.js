@@ -6,16 +6,20 @@
 import { 
     LAND_COLORS, OCEAN_COLORS, PRECIP_COLORS, 
     POLITICAL_COLORS, POLITICAL_OCEAN, POLITICAL_BORDER,
-    ELEVATION 
+    ELEVATION, BIOME, BIOME_COLORS, SALT_LAKE_COLOR, POLITICAL_SALT_LAKE,
+    CLIMATE_CODES, CLIMATE_NAMES, CLIMATE_COLORS 
 } from './map-constants.js';
 export const renderingMethods = {
 render() {
+    // Headless generator - nothing to draw
+    if (!this.ctx) return;
+    
     const start = performance.now();
     const ctx = this.ctx;
     
     // Clear canvas
     ctx.fillStyle = this.colors.bg;
-    ctx.fillRect(0, 0, this.width, this.height);
+    ctx.fillRect(0, 0, this.viewWidth, this.viewHeight);
     
     // Clear SVG layers if not in political mode
     if (this.renderMode !== 'political') {
@@ -43,7 +47,8 @@ render() {
     
     // Clear river SVG only if not showing rivers or not in a mode that uses them
     if (!this.showRivers || 
-        (this.renderMode !== 'political' && this.renderMode !== 'terrain' && this.renderMode !== 'heightmap')) {
+        (this.renderMode !== 'political' && this.renderMode !== 'terrain' && 
+         this.renderMode !== 'heightmap' && this.renderMode !== 'biomes' && this.renderMode !== 'climate')) {
         const riverSvg = document.getElementById('river-svg');
         if (riverSvg) {
             riverSvg.innerHTML = '';
@@ -68,6 +73,9 @@ render() {
     // Render terrain-colored cells if heightmap exists
     if (this.heights && (this.renderMode === 'heightmap' || this.renderMode === 'terrain')) {
         this._renderTerrainCells(ctx, bounds);
+        if (this.renderMode === 'terrain') {
+            this._renderForests(ctx, bounds);
+        }
         if (this.showRivers && this.rivers && this.rivers.length > 0) {
             this._updateRiverSVG();
         }
@@ -82,13 +90,38 @@ render() {
         }
     }
     
+    // Render biomes if classified
+    if (this.renderMode === 'biomes') {
+        if (this.biomes) {
+            this._renderBiomeCells(ctx, bounds);
+        } else if (this.heights) {
+            this._renderTerrainCells(ctx, bounds);
+        }
+        if (this.showRivers && this.rivers && this.rivers.length > 0) {
+            this._updateRiverSVG();
+        }
+    }
+    
+    // Render climate zones if classified
+    if (this.renderMode === 'climate') {
+        if (this.climateZones) {
+            this._renderClimateCells(ctx, bounds);
+        } else if (this.heights) {
+            this._renderTerrainCells(ctx, bounds);
+        }
+        if (this.showRivers && this.rivers && this.rivers.length > 0) {
+            this._updateRiverSVG();
+        }
+    }
+    
     // Render political map (kingdoms)
     if (this.renderMode === 'political') {
         // Initialize hit boxes for hover detection
         this._labelHitBoxes = [];
         
-        // Canvas: Base terrain (ocean, land, lakes)
+        // Canvas: Base terrain (ocean, land, lakes) and forests
         this._renderPoliticalBase(ctx, bounds);
+        this._renderForests(ctx, bounds);
         
         // SVG layers in order (z-order determined by HTML element order):
         // 0. Sea routes (SVG) - below everything, in the ocean
@@ -164,6 +197,11 @@ render() {
         this._renderHoveredCell(ctx);
     }
     
+    // Render terrain brush outline
+    if (this.brush.tool && this.brushPosition && !this._exporting) {
+        this._renderBrushOutline(ctx);
+    }
+    
     // Render coordinate grid
     if (this.showGrid) {
         this._renderCoordinateGrid(ctx, bounds);
@@ -181,8 +219,10 @@ render() {
     
     ctx.restore();
     
-    // Draw zoom indicator
-    this._drawZoomIndicator(ctx);
+    // Draw zoom indicator (not part of exported tiles)
+    if (!this._exporting) {
+        this._drawZoomIndicator(ctx);
+    }
     
     // Save viewport state for CSS transform calculations
     this._lastRenderedViewport = {
@@ -223,7 +263,7 @@ renderLowRes() {
     
     // Clear canvas
     ctx.fillStyle = this.colors.bg;
-    ctx.fillRect(0, 0, this.width, this.height);
+    ctx.fillRect(0, 0, this.viewWidth, this.viewHeight);
     
     if (!this.voronoi || !this.heights) return;
     
@@ -374,6 +414,10 @@ _renderTerrainCellsLowRes(ctx, bounds) {
         } else if (this.renderMode === 'precipitation' && this.precipitation) {
             const precipIdx = Math.floor(this.precipitation[i] * (PRECIP_COLORS.length - 1));
             color = PRECIP_COLORS[Math.max(0, Math.min(PRECIP_COLORS.length - 1, precipIdx))];
+        } else if (this.renderMode === 'biomes' && this.biomes) {
+            color = this._getBiomeColor(this.biomes[i]);
+        } else if (this.renderMode === 'climate' && this.climateZones) {
+            color = CLIMATE_COLORS[this.climateZones[i]];
         } else {
             if (elevation < ELEVATION.SEA_LEVEL) {
                 const depthRatio = Math.abs(elevation) / Math.abs(ELEVATION.MIN);
@@ -423,7 +467,7 @@ _drawZoomIndicator(ctx) {
     ctx.font = '11px JetBrains Mono, monospace';
     ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
     ctx.textAlign = 'right';
-    ctx.fillText(text, this.width - 10, this.height - 10);
+    ctx.fillText(text, this.viewWidth - 10, this.viewHeight - 10);
     ctx.restore();
 },
 /**
@@ -589,7 +633,7 @@ _renderSmoothLakes(ctx, bounds) {
         if (!lake.cells || lake.cells.length === 0) continue;
         
         // Draw all lake cells as filled polygons
-        ctx.fillStyle = lakeColor;
+        ctx.fillStyle = lake.salt ? SALT_LAKE_COLOR : lakeColor;
         for (const cellIndex of lake.cells) {
             const cell = this.voronoi.cellPolygon(cellIndex);
             if (!cell || cell.length < 3) continue;
@@ -639,25 +683,97 @@ _renderPoliticalBase(ctx, bounds) {
     ctx.fill();
     
     // 3. Draw lakes
-    if (this.lakeCells && this.lakeCells.size > 0) {
-        ctx.fillStyle = POLITICAL_OCEAN;
-        for (const cellIndex of this.lakeCells) {
-            const cell = this.voronoi.cellPolygon(cellIndex);
-            if (!cell || cell.length < 3) continue;
-            
-            ctx.beginPath();
-            ctx.moveTo(cell[0][0], cell[0][1]);
-            for (let j = 1; j < cell.length; j++) {
-                ctx.lineTo(cell[j][0], cell[j][1]);
+    if (this.lakes && this.lakes.length > 0) {
+        for (const lake of this.lakes) {
+            ctx.fillStyle = lake.salt ? POLITICAL_SALT_LAKE : POLITICAL_OCEAN;
+            for (const cellIndex of lake.cells) {
+                const cell = this.voronoi.cellPolygon(cellIndex);
+                if (!cell || cell.length < 3) continue;
+                
+                ctx.beginPath();
+                ctx.moveTo(cell[0][0], cell[0][1]);
+                for (let j = 1; j < cell.length; j++) {
+                    ctx.lineTo(cell[j][0], cell[j][1]);
+                }
+                ctx.closePath();
+                ctx.fill();
             }
-            ctx.closePath();
-            ctx.fill();
         }
     }
     
     // Coastline stroke is now rendered via _updateCoastlineSVG()
 },
 
+/**
+ * Stipple forests with small tree symbols: conifers in boreal forests, round crowns
+ * elsewhere. Each cell gets two trees at spots hashed from its index, so they hold
+ * still between renders. Drawn on the base, so kingdom fills tint them like the land.
+ */
+_renderForests(ctx, bounds) {
+    if (!this.forests || this.forests.length === 0) return;
+    
+    const spacing = Math.sqrt(this.width * this.height / this.cellCount);
+    const size = spacing * 0.32;
+    const political = this.renderMode === 'political';
+    
+    // Integer hash of (cell, k) to an offset in [-0.5, 0.5)
+    const jitter = (cell, k) => {
+        let h = Math.imul(cell * 4 + k + 1, 0x9e3779b1);
+        h ^= h >>> 15;
+        h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13;
+        return (h >>> 0) / 4294967296 - 0.5;
+    };
+    
+    const crowns = [];
+    for (let f = 0; f < this.forests.length; f++) {
+        const conifer = this.forests[f].kind === 'boreal';
+        for (const cell of this.forests[f].cells) {
+            const cx = this.points[cell * 2];
+            const cy = this.points[cell * 2 + 1];
+            if (cx < bounds.left - spacing || cx > bounds.right + spacing ||
+                cy < bounds.top - spacing || cy > bounds.bottom + spacing) continue;
+            
+            for (let k = 0; k < 2; k++) {
+                crowns.push({
+                    x: cx + jitter(cell, k * 2) * spacing * 0.7,
+                    y: cy + jitter(cell, k * 2 + 1) * spacing * 0.7,
+                    conifer
+                });
+            }
+        }
+    }
+    if (crowns.length === 0) return;
+    
+    ctx.lineWidth = size * 0.12;
+    ctx.strokeStyle = political ? 'rgba(80, 65, 45, 0.6)' : 'rgba(25, 45, 25, 0.7)';
+    
+    // Trunks
+    ctx.beginPath();
+    for (const { x, y } of crowns) {
+        ctx.moveTo(x, y + size * 0.2);
+        ctx.lineTo(x, y + size * 0.7);
+    }
+    ctx.stroke();
+    
+    // Crowns
+    ctx.fillStyle = political ? 'rgba(125, 140, 95, 0.6)' : 'rgba(45, 85, 45, 0.65)';
+    ctx.beginPath();
+    for (const { x, y, conifer } of crowns) {
+        if (conifer) {
+            ctx.moveTo(x, y - size * 0.6);
+            ctx.lineTo(x + size * 0.4, y + size * 0.4);
+            ctx.lineTo(x - size * 0.4, y + size * 0.4);
+            ctx.closePath();
+        } else {
+            ctx.moveTo(x + size * 0.45, y - size * 0.1);
+            ctx.arc(x, y - size * 0.1, size * 0.45, 0, Math.PI * 2);
+        }
+    }
+    ctx.fill();
+    ctx.stroke();
+},
+
 /**
  * Render political map - clean cell-based rendering
  */
@@ -1096,8 +1212,9 @@ _smoothClosedLoop(points) {
 
 /**
  * Collect border edges between different kingdoms (reusable helper)
+ * With `provinces` set, collect the edges between provinces of the same kingdom instead
  */
-_collectKingdomBorderEdges() {
+_collectKingdomBorderEdges(provinces = false) {
     const borderEdges = [];
     const addedEdges = new Set();
     
@@ -1113,6 +1230,7 @@ _collectKingdomBorderEdges() {
         
         const myKingdom = this.kingdoms[i];
         if (myKingdom < 0) continue;
+        if (provinces && this.provinceIds[i] < 0) continue;
         
         const cellI = this.voronoi.cellPolygon(i);
         if (!cellI || cellI.length < 3) continue;
@@ -1148,7 +1266,13 @@ _collectKingdomBorderEdges() {
             if (neighborHeight < ELEVATION.SEA_LEVEL) continue; // Skip ocean borders
             
             const neighborKingdom = this.kingdoms[closestNeighbor];
-            if (neighborKingdom < 0 || neighborKingdom === myKingdom) continue;
+            if (neighborKingdom < 0) continue;
+            if (provinces) {
+                const neighborProvince = this.provinceIds[closestNeighbor];
+                if (neighborKingdom !== myKingdom || neighborProvince < 0 || neighborProvince === this.provinceIds[i]) continue;
+            } else if (neighborKingdom === myKingdom) {
+                continue;
+            }
             
             // Add this edge if not already added
             const key = edgeKey(v1[0], v1[1], v2[0], v2[1]);
@@ -2353,7 +2477,7 @@ _updateRoadSVG() {
     if (zoom < 0.5) return;
     
     // Set SVG viewBox to match canvas
-    svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+    svg.setAttribute('viewBox', `0 0 ${this.viewWidth} ${this.viewHeight}`);
     
     // Create a group for all roads with transform
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -2419,7 +2543,7 @@ _updateSeaRouteSVG() {
     const zoom = this.viewport.zoom;
     
     // Set SVG viewBox to match canvas
-    svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+    svg.setAttribute('viewBox', `0 0 ${this.viewWidth} ${this.viewHeight}`);
     
     // Create a group with transform
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -2472,7 +2596,7 @@ _updateCoastlineSVG() {
     const zoom = this.viewport.zoom;
     
     // Set SVG viewBox to match canvas
-    svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+    svg.setAttribute('viewBox', `0 0 ${this.viewWidth} ${this.viewHeight}`);
     
     // Create a group with transform
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -4201,6 +4325,149 @@ _renderPrecipitationCells(ctx, bounds) {
     
     this.metrics.visibleCells = visibleCount;
 },
+/**
+ * Render biome-colored cells with smooth coastline
+ */
+_renderBiomeCells(ctx, bounds) {
+    if (!this.biomes) return;
+    this._renderZoneCells(ctx, bounds, i => this._getBiomeColor(this.biomes[i]), BIOME_COLORS[BIOME.GRASSLAND]);
+},
+
+/**
+ * Render Köppen climate zone colors with smooth coastline
+ */
+_renderClimateCells(ctx, bounds) {
+    if (!this.climateZones) return;
+    this._renderZoneCells(ctx, bounds, i => CLIMATE_COLORS[this.climateZones[i]], CLIMATE_COLORS[0]);
+},
+
+/**
+ * Fill land cells by category color over a smooth land backing, masked to the coastline
+ * @param {Function} colorOf - Cell index → fill color
+ * @param {string} landColor - Backing color under the cells
+ */
+_renderZoneCells(ctx, bounds, colorOf, landColor) {
+    if (!this.voronoi) return;
+    
+    if (!this._coastlineCache) { this._coastlineCache = this._buildSmoothCoastlineLoops(); } const coastLoops = this._coastlineCache;
+    
+    const colorBatches = new Map();
+    let visibleCount = 0;
+    
+    for (let i = 0; i < this.cellCount; i++) {
+        const x = this.points[i * 2];
+        const y = this.points[i * 2 + 1];
+        
+        const margin = 50;
+        if (x < bounds.left - margin || x > bounds.right + margin || 
+            y < bounds.top - margin || y > bounds.bottom + margin) continue;
+        
+        visibleCount++;
+        const color = colorOf(i);
+        
+        if (!colorBatches.has(color)) {
+            colorBatches.set(color, []);
+        }
+        colorBatches.get(color).push(i);
+    }
+    
+    // 1. Draw ocean cells first
+    const oceanColor = OCEAN_COLORS[0];
+    ctx.fillStyle = oceanColor;
+    ctx.beginPath();
+    for (const [color, indices] of colorBatches) {
+        for (const i of indices) {
+            if (this.heights[i] >= ELEVATION.SEA_LEVEL) continue;
+            const cell = this.voronoi.cellPolygon(i);
+            if (!cell || cell.length < 3) continue;
+            ctx.moveTo(cell[0][0], cell[0][1]);
+            for (let j = 1; j < cell.length; j++) {
+                ctx.lineTo(cell[j][0], cell[j][1]);
+            }
+            ctx.closePath();
+        }
+    }
+    ctx.fill();
+    
+    // 2. Draw smooth land fill as backing layer
+    ctx.fillStyle = landColor;
+    for (const loop of coastLoops) {
+        if (loop.length < 3) continue;
+        ctx.beginPath();
+        ctx.moveTo(loop[0][0], loop[0][1]);
+        for (let i = 1; i < loop.length; i++) {
+            ctx.lineTo(loop[i][0], loop[i][1]);
+        }
+        ctx.closePath();
+        ctx.fill();
+    }
+    
+    // 3. Draw land cells on top
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = 1.5 / this.viewport.zoom;
+    
+    for (const [color, indices] of colorBatches) {
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        
+        for (const i of indices) {
+            if (this.heights[i] < ELEVATION.SEA_LEVEL) continue;
+            const cell = this.voronoi.cellPolygon(i);
+            if (!cell || cell.length < 3) continue;
+            
+            ctx.moveTo(cell[0][0], cell[0][1]);
+            for (let j = 1; j < cell.length; j++) {
+                ctx.lineTo(cell[j][0], cell[j][1]);
+            }
+            ctx.closePath();
+        }
+        
+        ctx.fill();
+        ctx.stroke();
+    }
+    
+    // 4. Mask angular edges that extend into ocean
+    if (coastLoops.length > 0) {
+        ctx.save();
+        ctx.beginPath();
+        
+        ctx.moveTo(bounds.left - 1000, bounds.top - 1000);
+        ctx.lineTo(bounds.right + 1000, bounds.top - 1000);
+        ctx.lineTo(bounds.right + 1000, bounds.bottom + 1000);
+        ctx.lineTo(bounds.left - 1000, bounds.bottom + 1000);
+        ctx.closePath();
+        
+        for (const loop of coastLoops) {
+            if (loop.length < 3) continue;
+            ctx.moveTo(loop[loop.length - 1][0], loop[loop.length - 1][1]);
+            for (let i = loop.length - 2; i >= 0; i--) {
+                ctx.lineTo(loop[i][0], loop[i][1]);
+            }
+            ctx.closePath();
+        }
+        
+        ctx.clip('evenodd');
+        
+        ctx.fillStyle = oceanColor;
+        ctx.fillRect(bounds.left - 1000, bounds.top - 1000, 
+                    bounds.right - bounds.left + 2000, bounds.bottom - bounds.top + 2000);
+        
+        ctx.restore();
+    }
+    
+    // 5. Lakes on top of land
+    if (this.lakeCells && this.lakeCells.size > 0) {
+        this._renderSmoothLakes(ctx, bounds);
+    }
+    
+    // 6. Draw smooth coastline border
+    const borderColor = '#5A4A3A';
+    const lineWidth = Math.max(0.35, 1 / this.viewport.zoom);
+    this._drawSmoothCoastStroke(ctx, coastLoops, borderColor, lineWidth);
+    
+    this.metrics.visibleCells = visibleCount;
+},
 /**
  * Render outline for hovered cell (or entire lake if hovering lake)
  */
@@ -4432,7 +4699,7 @@ _updateRiverSVG() {
     const zoom = this.viewport.zoom;
     
     // Set SVG viewBox to match canvas
-    svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+    svg.setAttribute('viewBox', `0 0 ${this.viewWidth} ${this.viewHeight}`);
     
     // Create a group for all rivers with transform
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -4546,7 +4813,7 @@ _updateKingdomSVG() {
     const zoom = this.viewport.zoom;
     
     // Set SVG viewBox to match canvas
-    svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+    svg.setAttribute('viewBox', `0 0 ${this.viewWidth} ${this.viewHeight}`);
     
     // Create clipping path from coastline
     const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
@@ -4614,6 +4881,30 @@ _updateKingdomSVG() {
         }
     }
     
+    // Lakes sit above the kingdom tint
+    if (this.lakes && this.lakes.length > 0) {
+        for (const lake of this.lakes) {
+            let d = '';
+            for (const cellIndex of lake.cells) {
+                const cell = this.voronoi.cellPolygon(cellIndex);
+                if (!cell || cell.length < 3) continue;
+                d += `M ${cell[0][0]} ${cell[0][1]}`;
+                for (let j = 1; j < cell.length; j++) {
+                    d += ` L ${cell[j][0]} ${cell[j][1]}`;
+                }
+                d += ' Z ';
+            }
+            if (!d) continue;
+            
+            const pathEl = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            pathEl.setAttribute('d', d);
+            pathEl.setAttribute('fill', lake.salt ? POLITICAL_SALT_LAKE : POLITICAL_OCEAN);
+            pathEl.setAttribute('stroke', 'none');
+            pathEl.setAttribute('class', 'lake-fill');
+            g.appendChild(pathEl);
+        }
+    }
+    
     // 2. Second pass: Draw border lines between different kingdoms
     const borderEdges = this._collectKingdomBorderEdges();
     const strokeWidth = 1.2; // Fixed width in world coordinates - scales with transform
@@ -4645,6 +4936,29 @@ _updateKingdomSVG() {
         }
     }
     
+    // 3. Province borders inside each kingdom, once zoomed in far enough to read them
+    if (zoom > 1.5 && this.provinceIds) {
+        let d = '';
+        for (const path of this._chainEdgesIntoPaths(this._collectKingdomBorderEdges(true))) {
+            if (path.length < 2) continue;
+            d += `M ${path[0].x} ${path[0].y} `;
+            for (let i = 1; i < path.length; i++) {
+                d += `L ${path[i].x} ${path[i].y} `;
+            }
+        }
+        
+        if (d) {
+            const pathEl = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            pathEl.setAttribute('d', d);
+            pathEl.setAttribute('fill', 'none');
+            pathEl.setAttribute('stroke', '#9A8A7A');
+            pathEl.setAttribute('stroke-width', strokeWidth * 0.4);
+            pathEl.setAttribute('stroke-dasharray', `${strokeWidth * 1.5} ${strokeWidth}`);
+            pathEl.setAttribute('class', 'province-border');
+            g.appendChild(pathEl);
+        }
+    }
+    
     svg.appendChild(g);
 },
 
@@ -4755,7 +5069,7 @@ _updateCitySVG() {
     const zoom = this.viewport.zoom;
     
     // Set SVG viewBox to match canvas
-    svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+    svg.setAttribute('viewBox', `0 0 ${this.viewWidth} ${this.viewHeight}`);
     
     // Create defs for icon symbols
     const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
@@ -4839,6 +5153,52 @@ _updateCitySVG() {
     `;
     defs.appendChild(citySymbol);
     
+    // Fortress icon - walled keep (hand-placed settlements)
+    const fortressSymbol = document.createElementNS('http://www.w3.org/2000/svg', 'symbol');
+    fortressSymbol.setAttribute('id', 'fortress-icon');
+    fortressSymbol.setAttribute('viewBox', '0 0 24 18');
+    fortressSymbol.innerHTML = `
+        <g fill="#3D2F1F">
+            <!-- Curtain wall with battlements -->
+            <rect x="2" y="11" width="20" height="7"/>
+            <rect x="2" y="9" width="2" height="2"/>
+            <rect x="6" y="9" width="2" height="2"/>
+            <rect x="16" y="9" width="2" height="2"/>
+            <rect x="20" y="9" width="2" height="2"/>
+            
+            <!-- Keep -->
+            <rect x="9" y="4" width="6" height="14"/>
+            <rect x="8.5" y="2" width="1.5" height="2"/>
+            <rect x="11.25" y="2" width="1.5" height="2"/>
+            <rect x="14" y="2" width="1.5" height="2"/>
+            
+            <!-- Gate -->
+            <path d="M10.5,18 L10.5,15 Q12,13 13.5,15 L13.5,18 Z" fill="#C4B998"/>
+        </g>
+    `;
+    defs.appendChild(fortressSymbol);
+    
+    // Port icon - harbor town with an anchor
+    const portSymbol = document.createElementNS('http://www.w3.org/2000/svg', 'symbol');
+    portSymbol.setAttribute('id', 'port-icon');
+    portSymbol.setAttribute('viewBox', '0 0 24 18');
+    portSymbol.innerHTML = `
+        <g fill="#3D2F1F">
+            <!-- Houses -->
+            <rect x="0" y="10" width="5" height="8"/>
+            <polygon points="0,10 2.5,6 5,10"/>
+            <rect x="5" y="12" width="4" height="6"/>
+            <polygon points="5,12 7,8 9,12"/>
+            
+            <!-- Anchor -->
+            <rect x="15.25" y="3" width="1.5" height="13"/>
+            <rect x="12.5" y="5" width="7" height="1.2"/>
+            <circle cx="16" cy="2" r="1.5" fill="none" stroke="#3D2F1F" stroke-width="1"/>
+            <path d="M11,11 Q11,17 16,17 Q21,17 21,11" fill="none" stroke="#3D2F1F" stroke-width="1.5"/>
+        </g>
+    `;
+    defs.appendChild(portSymbol);
+    
     svg.appendChild(defs);
     
     // Create a group with transform
@@ -4848,6 +5208,10 @@ _updateCitySVG() {
     // Icon scale in world space
     const capitolScale = 0.5;
     const cityScale = 0.45;
+    const townScale = 0.35;
+    
+    // Generated cities are plain 'city'; hand-placed ones can be ports, fortresses or towns
+    const cityIcons = { port: '#port-icon', fortress: '#fortress-icon' };
     
     // Draw capitols
     if (this.capitols && this.capitolNames) {
@@ -4898,11 +5262,12 @@ _updateCitySVG() {
             const x = this.points[city.cell * 2];
             const y = this.points[city.cell * 2 + 1];
             
-            const w = 24 * cityScale;
-            const h = 18 * cityScale;
+            const scale = city.type === 'town' ? townScale : cityScale;
+            const w = 24 * scale;
+            const h = 18 * scale;
             
             const use = document.createElementNS('http://www.w3.org/2000/svg', 'use');
-            use.setAttribute('href', '#city-icon');
+            use.setAttribute('href', cityIcons[city.type] || '#city-icon');
             use.setAttribute('x', x - w / 2);
             use.setAttribute('y', y - h + 1);
             use.setAttribute('width', w);
@@ -4945,7 +5310,7 @@ _updateLabelSVG() {
     const zoom = this.viewport.zoom;
     
     // Set SVG viewBox to match canvas
-    svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+    svg.setAttribute('viewBox', `0 0 ${this.viewWidth} ${this.viewHeight}`);
     
     // Create a group with transform
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -5121,7 +5486,76 @@ _updateLabelSVG() {
         }
     }
     
-    // 3. City names (only when zoomed in) - positioned below icon
+    // 3. Water body names - widely spaced italics through the open water of each body
+    // 4. Mountain range names - spaced italics curving along each range's spine
+    // 5. Forest names - through the heart of each forest
+    const hasWater = this.waterBodies && this.waterBodies.length > 0;
+    const hasRanges = this.mountainRanges && this.mountainRanges.length > 0;
+    const hasForests = this.forests && this.forests.length > 0;
+    if (hasWater || hasRanges || hasForests) {
+        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        g.appendChild(defs);
+        
+        if (hasWater) {
+            const waterFontSizes = { ocean: 10, sea: 7, gulf: 6, inland: 6, bay: 4.5, strait: 3.5 };
+            
+            this.waterBodies.forEach((body, b) => {
+                if (!body.name) return;
+                this._placeSpineLabel(g, defs, placedLabels, {
+                    id: `water-label-path-${b}`,
+                    text: body.name,
+                    spine: body.spine,
+                    fontSize: waterFontSizes[body.kind] || 5,
+                    className: 'water-label',
+                    letterSpacing: 0.4
+                });
+            });
+        }
+        
+        if (hasRanges) {
+            const maxLength = Math.max(...this.mountainRanges.map(range => range.length));
+            
+            this.mountainRanges.forEach((range, r) => {
+                if (!range.name) return;
+                this._placeSpineLabel(g, defs, placedLabels, {
+                    id: `mountain-label-path-${r}`,
+                    text: range.name,
+                    spine: range.spine,
+                    fontSize: 3.5 + Math.sqrt(range.length / maxLength) * 3.5,
+                    className: 'mountain-label',
+                    letterSpacing: 0.3
+                });
+            });
+        }
+        
+        if (hasForests) {
+            const maxCells = this.forests[0].cells.length;
+            
+            this.forests.forEach((forest, f) => {
+                if (!forest.name) return;
+                const box = this._placeSpineLabel(g, defs, placedLabels, {
+                    id: `forest-label-path-${f}`,
+                    text: forest.name,
+                    spine: forest.spine,
+                    fontSize: 3 + Math.sqrt(forest.cells.length / maxCells) * 3,
+                    className: 'forest-label',
+                    letterSpacing: 0.2
+                });
+                
+                // Store hit box for click detection
+                if (box && this._labelHitBoxes) {
+                    this._labelHitBoxes.push({
+                        type: 'forest',
+                        index: f,
+                        name: forest.name,
+                        box
+                    });
+                }
+            });
+        }
+    }
+    
+    // 6. City names (only when zoomed in) - positioned below icon
     if (zoom > 1.2 && this.cities && this.cityNames) {
         const fontSize = 4.5;
         
@@ -5192,6 +5626,89 @@ _updateLabelSVG() {
     svg.appendChild(g);
 },
 
+/**
+ * Add a label whose text follows a spine (array of {x, y}) as an SVG textPath.
+ * The font shrinks to fit the spine, since glyphs past its end aren't drawn. The
+ * text sits at the middle of the spine if that is clear of `placedLabels`, otherwise
+ * slides toward either end, then tries a size smaller.
+ * @returns {Object|null} The placed label's bounding box, or null if it found no room
+ */
+_placeSpineLabel(g, defs, placedLabels, { id, text, spine, fontSize, className, letterSpacing }) {
+    if (!spine || spine.length < 2) return null;
+    
+    const pathLength = this._getPathLength(spine);
+    const charWidth = 0.55 + letterSpacing;
+    const fitFontSize = Math.min(fontSize, pathLength / (text.length * charWidth));
+    
+    let placement = null;
+    for (const scale of [1, 0.8]) {
+        const size = fitFontSize * scale;
+        if (size < 2.5) break;
+        
+        const textLength = text.length * size * charWidth;
+        const slack = (pathLength - textLength) / 2;
+        for (const shift of [0, -0.5, 0.5, -1, 1]) {
+            const from = slack * (1 + shift);
+            const box = { left: Infinity, right: -Infinity, top: Infinity, bottom: -Infinity };
+            for (let s = 0; s <= 4; s++) {
+                const p = this._getPointAtDistance(spine, from + textLength * s / 4);
+                box.left = Math.min(box.left, p.x - size);
+                box.right = Math.max(box.right, p.x + size);
+                box.top = Math.min(box.top, p.y - size);
+                box.bottom = Math.max(box.bottom, p.y + size);
+            }
+            
+            let collides = false;
+            for (const placed of placedLabels) {
+                if (box.left < placed.right && box.right > placed.left &&
+                    box.top < placed.bottom && box.bottom > placed.top) {
+                    collides = true;
+                    break;
+                }
+            }
+            
+            if (!collides) {
+                placement = { size, offset: from + textLength / 2, box };
+                break;
+            }
+        }
+        if (placement) break;
+    }
+    
+    if (!placement) return null;
+    
+    // Quadratic segments through the midpoints of the spine for a smooth curve
+    let d = `M ${spine[0].x} ${spine[0].y}`;
+    for (let i = 1; i < spine.length - 1; i++) {
+        const midX = (spine[i].x + spine[i + 1].x) / 2;
+        const midY = (spine[i].y + spine[i + 1].y) / 2;
+        d += ` Q ${spine[i].x} ${spine[i].y} ${midX} ${midY}`;
+    }
+    d += ` L ${spine[spine.length - 1].x} ${spine[spine.length - 1].y}`;
+    
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('id', id);
+    path.setAttribute('d', d);
+    defs.appendChild(path);
+    
+    const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    label.setAttribute('class', className);
+    label.setAttribute('font-size', placement.size);
+    label.setAttribute('letter-spacing', `${letterSpacing}em`);
+    label.setAttribute('dominant-baseline', 'middle');
+    
+    const textPath = document.createElementNS('http://www.w3.org/2000/svg', 'textPath');
+    textPath.setAttribute('href', `#${id}`);
+    textPath.setAttribute('startOffset', placement.offset);
+    textPath.setAttribute('text-anchor', 'middle');
+    textPath.textContent = text;
+    label.appendChild(textPath);
+    g.appendChild(label);
+    
+    placedLabels.push(placement.box);
+    return placement.box;
+},
+
 /**
  * Render river names along the river paths - subtle vintage style
  */
@@ -5438,7 +5955,7 @@ _renderWindrose(ctx) {
     ctx.lineWidth = 1;
     ctx.setLineDash([8, 6]);
     
-    const lineLength = Math.max(this.width, this.height) * 1.5;
+    const lineLength = Math.max(this.viewWidth, this.viewHeight) * 1.5;
     const directions = [0, 45, 90, 135, 180, 225, 270, 315];
     
     for (const deg of directions) {
@@ -5792,6 +6309,29 @@ _renderScaleBar(ctx) {
     ctx.restore();
 },
 
+/**
+ * Circle showing the terrain brush radius, with a dot marking the center
+ */
+_renderBrushOutline(ctx) {
+    const { x, y } = this.brushPosition;
+    const zoom = this.viewport.zoom;
+    
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x, y, this.brush.radius, 0, Math.PI * 2);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.lineWidth = 3 / zoom;
+    ctx.stroke();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.stroke();
+    
+    ctx.beginPath();
+    ctx.arc(x, y, 2 / zoom, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fill();
+    ctx.restore();
+},
 /**
  * Set hovered cell and re-render
  */
@@ -6059,13 +6599,30 @@ getKingdomStats(kingdomIndex) {
     const avgCellArea = (this.width * this.height) / this.cellCount;
     const areaKm2 = Math.round(cells.length * avgCellArea / 100); // Arbitrary scale
     
+    // Provinces, the capitol's first, each named with the settlement at its seat
+    const provinces = (this.provinces || [])
+        .filter(province => province.kingdom === kingdomIndex)
+        .map(province => {
+            const cityIndex = (this.cities || []).findIndex(city => city.cell === province.seat);
+            const seatName = province.seat === this.capitols[kingdomIndex]
+                ? capitalName
+                : (cityIndex >= 0 && this.cityNames ? this.cityNames[cityIndex] : null);
+            return {
+                name: province.name,
+                seatName,
+                cellCount: province.cells.length,
+                areaKm2: Math.round(province.cells.length * avgCellArea / 100)
+            };
+        });
+    
     // Calculate terrain breakdown
-    let mountains = 0, highlands = 0, lowlands = 0, coastal = 0;
+    let mountains = 0, highlands = 0, lowlands = 0, coastal = 0, forest = 0;
     for (const cellIdx of cells) {
         const height = this.heights[cellIdx];
         if (height > 2000) mountains++;
         else if (height > 1000) highlands++;
         else lowlands++;
+        if (this.forestIds && this.forestIds[cellIdx] >= 0) forest++;
         
         // Check if coastal
         for (const n of this.voronoi.neighbors(cellIdx)) {
@@ -6083,12 +6640,64 @@ getKingdomStats(kingdomIndex) {
         cellCount: cells.length,
         cityCount,
         areaKm2,
+        provinces,
         terrain: {
             mountains: Math.round(mountains / cells.length * 100),
             highlands: Math.round(highlands / cells.length * 100),
             lowlands: Math.round(lowlands / cells.length * 100),
+            forest: Math.round(forest / cells.length * 100),
             coastalCells: coastal
-        }
+        },
+        culture: this._kingdomCulture(kingdomIndex) || null,
+        climate: this._climateStats(cells)
+    };
+},
+
+/**
+ * Seasonal averages and climate zone shares over a set of cells
+ * @param {number[]} cells - Cell indices
+ * @returns {Object|null} - null until climate zones are classified
+ */
+_climateStats(cells) {
+    if (!this.climateZones || cells.length === 0) return null;
+    
+    const zoneCounts = new Map();
+    let summerTemp = 0, winterTemp = 0, summerPrecip = 0, winterPrecip = 0;
+    let snowy = 0, monsoon = 0;
+    
+    for (const cell of cells) {
+        const zone = this.climateZones[cell];
+        zoneCounts.set(zone, (zoneCounts.get(zone) || 0) + 1);
+        
+        summerTemp += this.summerTemperature[cell];
+        winterTemp += this.winterTemperature[cell];
+        summerPrecip += this.summerPrecipitation[cell];
+        winterPrecip += this.winterPrecipitation[cell];
+        
+        // Snow: freezing winters with some rain to fall as snow
+        if (this.winterTemperature[cell] < 0 && this.winterPrecipitation[cell] > 50) snowy++;
+        // Monsoon: a wet season against a dry one (Am, Cw*, Dw*)
+        const code = CLIMATE_CODES[zone];
+        if (code === 'Am' || code[1] === 'w') monsoon++;
+    }
+    
+    const zones = [...zoneCounts]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([zone, count]) => ({
+            code: CLIMATE_CODES[zone],
+            name: CLIMATE_NAMES[zone],
+            percent: Math.round(count / cells.length * 100)
+        }));
+    
+    return {
+        zones,
+        summerTemperature: Math.round(summerTemp / cells.length),
+        winterTemperature: Math.round(winterTemp / cells.length),
+        summerPrecipitation: Math.round(summerPrecip / cells.length),
+        winterPrecipitation: Math.round(winterPrecip / cells.length),
+        snowyWinters: Math.round(snowy / cells.length * 100),
+        monsoon: Math.round(monsoon / cells.length * 100)
     };
 },
 
@@ -6143,6 +6752,7 @@ getCityStats(cityIndex) {
     return {
         name,
         kingdomName,
+        type: city.type || 'city',
         population,
         elevation: height,
         isCoastal,
@@ -6150,6 +6760,44 @@ getCityStats(cityIndex) {
     };
 },
 
+/**
+ * Get forest statistics
+ * @param {number} forestIndex - Forest index
+ * @returns {Object} - Forest stats
+ */
+getForestStats(forestIndex) {
+    if (!this.forests || forestIndex < 0 || forestIndex >= this.forests.length) return null;
+    
+    const forest = this.forests[forestIndex];
+    const cells = forest.cells;
+    
+    // Calculate approximate area (same scale as kingdoms)
+    const avgCellArea = (this.width * this.height) / this.cellCount;
+    const areaKm2 = Math.round(cells.length * avgCellArea / 100);
+    
+    // Mean elevation and the kingdoms holding the forest, largest share first
+    let elevation = 0;
+    const shares = new Map();
+    for (const cellIdx of cells) {
+        elevation += this.heights[cellIdx];
+        const k = this.kingdoms ? this.kingdoms[cellIdx] : -1;
+        if (k >= 0) shares.set(k, (shares.get(k) || 0) + 1);
+    }
+    const kingdomNames = [...shares]
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+        .map(([k]) => (this.kingdomNames && this.kingdomNames[k]) || `Kingdom ${k}`);
+    
+    return {
+        name: forest.name,
+        kind: forest.kind,
+        cellCount: cells.length,
+        areaKm2,
+        elevation: Math.round(elevation / cells.length),
+        kingdomNames,
+        climate: this._climateStats(cells)
+    };
+},
+
 /**
  * Get capital statistics
  * @param {number} kingdomIndex - Kingdom index
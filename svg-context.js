@@ -0,0 +1,199 @@
+/**
+ * SVG CONTEXT - Records Canvas 2D path drawing as SVG markup
+ *
+ * Lets the existing canvas renderers (_renderPoliticalBase, _renderTerrainCells, ...)
+ * draw straight into a vector document for SVG export.
+ * Only the subset of CanvasRenderingContext2D those renderers use is supported:
+ * paths (moveTo/lineTo/curves/arc), fill, stroke, fillRect, line dashes, save/restore and clip.
+ *
+ * Usage:
+ *   import { SVGPathContext } from './svg-context.js';
+ *
+ *   const svgCtx = new SVGPathContext();
+ *   this._renderTerrainCells(svgCtx, bounds);
+ *   const markup = svgCtx.toString();
+ */
+
+// Style rules from styles.css that the live SVG layers rely on.
+// Layers are wrapped in groups with the same ids so the selectors match unchanged.
+export const SVG_LAYER_STYLES = `
+#kingdom-svg .kingdom-fill { stroke: none; }
+#kingdom-svg .kingdom-border { fill: none; stroke-linejoin: round; stroke-linecap: round; }
+#kingdom-svg .province-border { fill: none; stroke-linejoin: round; stroke-linecap: butt; opacity: 0.8; }
+#sea-route-svg .sea-route { fill: none; stroke-linecap: round; }
+#coastline-svg path { fill: none; stroke-linecap: round; stroke-linejoin: round; }
+#river-svg path { fill: rgb(166, 155, 125); stroke: none; }
+#road-svg path { fill: none; stroke: rgba(90, 74, 58, 0.5); stroke-linecap: butt; stroke-linejoin: miter; }
+#label-svg text { font-family: 'Palatino Linotype', 'Book Antiqua', Palatino, serif; fill: rgba(60, 45, 30, 0.9); }
+#label-svg .kingdom-label { font-family: 'Cinzel', 'Times New Roman', serif; font-variant: small-caps; letter-spacing: 0.15em; font-weight: 400; }
+#label-svg .mountain-label { font-family: 'IM Fell English', 'Times New Roman', serif; font-style: italic; fill: rgba(95, 70, 45, 0.8); }
+#label-svg .water-label { font-family: 'IM Fell English', 'Times New Roman', serif; font-style: italic; fill: rgba(50, 80, 110, 0.75); }
+#label-svg .forest-label { font-family: 'IM Fell English', 'Times New Roman', serif; font-style: italic; fill: rgba(55, 75, 40, 0.8); }
+`;
+
+// Round coordinates to keep the document small without visible loss
+const fmt = (v) => Math.round(v * 100) / 100;
+
+export class SVGPathContext {
+    constructor() {
+        // Drawing state (mirrors the canvas properties the renderers set)
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.lineJoin = 'miter';
+        this.lineCap = 'butt';
+        this.globalAlpha = 1;
+        this._lineDash = [];
+
+        this._path = '';
+        this._clipId = null;
+        this._stateStack = [];
+        this._clipCount = 0;
+
+        // Output
+        this._defs = [];
+        this._elements = [];
+    }
+
+    // ============================================================
+    // PATH BUILDING
+    // ============================================================
+
+    beginPath() {
+        this._path = '';
+    }
+
+    moveTo(x, y) {
+        this._path += `M${fmt(x)} ${fmt(y)}`;
+    }
+
+    lineTo(x, y) {
+        this._path += `L${fmt(x)} ${fmt(y)}`;
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        this._path += `Q${fmt(cx)} ${fmt(cy)} ${fmt(x)} ${fmt(y)}`;
+    }
+
+    bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+        this._path += `C${fmt(c1x)} ${fmt(c1y)} ${fmt(c2x)} ${fmt(c2y)} ${fmt(x)} ${fmt(y)}`;
+    }
+
+    arc(x, y, r, startAngle, endAngle) {
+        const sweep = endAngle - startAngle;
+
+        // Full circle - two half arcs (a single arc can't start and end at the same point)
+        if (Math.abs(sweep) >= Math.PI * 2 - 1e-6) {
+            this._path += `M${fmt(x + r)} ${fmt(y)}` +
+                `A${fmt(r)} ${fmt(r)} 0 1 1 ${fmt(x - r)} ${fmt(y)}` +
+                `A${fmt(r)} ${fmt(r)} 0 1 1 ${fmt(x + r)} ${fmt(y)}`;
+            return;
+        }
+
+        const sx = x + r * Math.cos(startAngle);
+        const sy = y + r * Math.sin(startAngle);
+        const ex = x + r * Math.cos(endAngle);
+        const ey = y + r * Math.sin(endAngle);
+        const largeArc = Math.abs(sweep) > Math.PI ? 1 : 0;
+        const sweepFlag = sweep > 0 ? 1 : 0;
+        this._path += `${this._path ? 'L' : 'M'}${fmt(sx)} ${fmt(sy)}` +
+            `A${fmt(r)} ${fmt(r)} 0 ${largeArc} ${sweepFlag} ${fmt(ex)} ${fmt(ey)}`;
+    }
+
+    rect(x, y, w, h) {
+        this._path += `M${fmt(x)} ${fmt(y)}h${fmt(w)}v${fmt(h)}h${fmt(-w)}Z`;
+    }
+
+    closePath() {
+        this._path += 'Z';
+    }
+
+    // ============================================================
+    // DRAWING
+    // ============================================================
+
+    fill(fillRule = 'nonzero') {
+        if (!this._path) return;
+        const rule = fillRule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+        this._emit(`<path d="${this._path}" fill="${this.fillStyle}"${rule}${this._alphaAttr()}/>`);
+    }
+
+    stroke() {
+        if (!this._path) return;
+        this._emit(`<path d="${this._path}" fill="none" stroke="${this.strokeStyle}" ` +
+            `stroke-width="${fmt(this.lineWidth)}" stroke-linejoin="${this.lineJoin}" ` +
+            `stroke-linecap="${this.lineCap}"${this._dashAttr()}${this._alphaAttr()}/>`);
+    }
+
+    fillRect(x, y, w, h) {
+        this._emit(`<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" ` +
+            `fill="${this.fillStyle}"${this._alphaAttr()}/>`);
+    }
+
+    clip(fillRule = 'nonzero') {
+        const id = `export-clip-${this._clipCount++}`;
+        const rule = fillRule === 'evenodd' ? ' clip-rule="evenodd"' : '';
+        // Nested clips intersect, same as canvas
+        const parent = this._clipId ? ` clip-path="url(#${this._clipId})"` : '';
+        this._defs.push(`<clipPath id="${id}"${parent}><path d="${this._path}"${rule}/></clipPath>`);
+        this._clipId = id;
+    }
+
+    save() {
+        this._stateStack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineJoin: this.lineJoin,
+            lineCap: this.lineCap,
+            globalAlpha: this.globalAlpha,
+            lineDash: this._lineDash,
+            clipId: this._clipId
+        });
+    }
+
+    restore() {
+        const state = this._stateStack.pop();
+        if (!state) return;
+        this.fillStyle = state.fillStyle;
+        this.strokeStyle = state.strokeStyle;
+        this.lineWidth = state.lineWidth;
+        this.lineJoin = state.lineJoin;
+        this.lineCap = state.lineCap;
+        this.globalAlpha = state.globalAlpha;
+        this._lineDash = state.lineDash;
+        this._clipId = state.clipId;
+    }
+
+    setLineDash(segments) {
+        this._lineDash = segments ? segments.slice() : [];
+    }
+
+    // ============================================================
+    // OUTPUT
+    // ============================================================
+
+    _dashAttr() {
+        return this._lineDash.length > 0 ? ` stroke-dasharray="${this._lineDash.map(fmt).join(' ')}"` : '';
+    }
+
+    _alphaAttr() {
+        return this.globalAlpha < 1 ? ` opacity="${fmt(this.globalAlpha)}"` : '';
+    }
+
+    _emit(element) {
+        if (this._clipId) {
+            this._elements.push(`<g clip-path="url(#${this._clipId})">${element}</g>`);
+        } else {
+            this._elements.push(element);
+        }
+    }
+
+    /**
+     * Recorded drawing as SVG markup (defs followed by elements)
+     */
+    toString() {
+        const defs = this._defs.length > 0 ? `<defs>${this._defs.join('')}</defs>` : '';
+        return defs + this._elements.join('\n');
+    }
+}
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+for (const args of [['--bogus'], ['--seed'], ['stray']]) {
+    test(`bad arguments (${args.join(' ')}) print the usage and exit with 2`, () => {
+        const { status, stdout, stderr } = run(...args);
+        assert.equal(status, 2);
+        assert.equal(stdout, '');
+        assert.match(stderr, /Usage: node cli\.mjs/);
+        assert.doesNotMatch(stderr, /ERR_PARSE_ARGS|\n\s+at /);
+    });
+}
+
+test('--help prints the usage', () => {
+    const { status, stdout } = run('--help');
+    assert.equal(status, 0);
+    assert.match(stdout, /Usage: node cli\.mjs/);
+});
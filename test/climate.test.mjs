@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { terrainOnly, smallWorld, ELEVATION } from './helpers.mjs';
+
+const { CLIMATE_CODES } = await import('../map-constants.js');
+
+const terrain = terrainOnly(9, { algorithm: 'continental' });
+
+function rained(options) {
+    terrain.generatePrecipitation(options);
+    return Float32Array.from(terrain.precipitation);
+}
+
+test('precipitation is reproducible and within 0-1', () => {
+    const rain = rained({ windDirection: 270 });
+    assert.equal(rain.length, terrain.cellCount);
+    assert.ok(rain.every(p => p >= 0 && p <= 1));
+    assert.deepEqual(rained({ windDirection: 270 }), rain);
+    assert.notDeepEqual(rained({ windDirection: 90 }), rain);
+    assert.notDeepEqual(rained({ windDirection: 270, windBands: true }), rain);
+});
+
+test('mountains leave a rain shadow downwind', () => {
+    // Wind from the west: the land east of the high ground should be drier than the land west of it
+    const rain = rained({ windDirection: 270, windBands: false });
+    const { heights, points } = terrain;
+    let windward = 0, leeward = 0, samples = 0;
+    for (let i = 0; i < terrain.cellCount; i++) {
+        if (heights[i] < 1500) continue;
+        for (const n of terrain.voronoi.neighbors(i)) {
+            if (heights[n] < ELEVATION.SEA_LEVEL) continue;
+            const dx = points[n * 2] - points[i * 2];
+            if (dx < 0) windward += rain[n];
+            else leeward += rain[n];
+            samples++;
+        }
+    }
+    assert.ok(samples > 20, `${samples} samples`);
+    assert.ok(windward > leeward, `windward ${windward.toFixed(1)}, leeward ${leeward.toFixed(1)}`);
+});
+
+test('every land cell gets seasons and a climate zone', async () => {
+    const world = await smallWorld({ seed: 9 });
+    const zones = new Set();
+    for (let i = 0; i < world.cellCount; i++) {
+        const zone = world.climateZones[i];
+        if (world.heights[i] < ELEVATION.SEA_LEVEL) {
+            assert.equal(zone, 0, `sea cell ${i}`);
+            continue;
+        }
+        assert.ok(zone > 0 && zone < CLIMATE_CODES.length, `land cell ${i} in zone ${zone}`);
+        zones.add(CLIMATE_CODES[zone]);
+        
+        const [warm, cold] = [world.summerTemperature[i], world.winterTemperature[i]].sort((a, b) => b - a);
+        assert.ok(warm >= world.temperature[i] - 0.5 && cold <= world.temperature[i] + 0.5, `cell ${i} seasons`);
+        assert.ok(world.summerPrecipitation[i] >= 0 && world.winterPrecipitation[i] >= 0, `cell ${i} rainfall`);
+    }
+    assert.ok(zones.size > 3, [...zones].join(' '));
+    
+    const { climate } = world.getKingdomStats(0);
+    assert.ok(climate.zones.length > 0);
+    assert.ok(climate.snowyWinters >= 0 && climate.snowyWinters <= 100);
+    assert.ok(climate.monsoon >= 0 && climate.monsoon <= 100);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoronoiGenerator, smallWorld, worldDigest, SMALL_WORLD } from './helpers.mjs';
+
+function roundTrip(generator, size = SMALL_WORLD) {
+    const json = JSON.parse(JSON.stringify(generator.exportData()));
+    const imported = new VoronoiGenerator(null, { width: size.width, height: size.height });
+    imported.importData(json);
+    return imported;
+}
+
+for (const [label, options] of [['with kingdoms', {}], ['without kingdoms', { kingdoms: false }]]) {
+    test(`export → import round-trips a world ${label}`, async () => {
+        const generator = await smallWorld({ seed: 8, ...options });
+        const imported = roundTrip(generator);
+        
+        assert.deepEqual(worldDigest(imported), worldDigest(generator));
+        assert.deepEqual(imported.exportData(), generator.exportData());
+    });
+}
+
+test('import restores a world made at another size', async () => {
+    const generator = await smallWorld({ seed: 8 });
+    const imported = roundTrip(generator, { width: 400, height: 300 });
+    
+    assert.equal(imported.width, SMALL_WORLD.width);
+    assert.equal(imported.height, SMALL_WORLD.height);
+    assert.deepEqual(worldDigest(imported), worldDigest(generator));
+    assert.deepEqual([...imported.voronoi.cellPolygon(0)], [...generator.voronoi.cellPolygon(0)]);
+});
+
+test('export is plain JSON', async () => {
+    const data = (await smallWorld({ seed: 8 })).exportData();
+    assert.deepEqual(JSON.parse(JSON.stringify(data)), data);
+    assert.equal(data.seed, 8);
+    assert.equal(data.cellCount, data.points.length / 2);
+});
+
+test('an imported world can be edited like a generated one', async () => {
+    const imported = roundTrip(await smallWorld({ seed: 8 }));
+    const count = imported.kingdomCount;
+    assert.ok(imported.splitKingdom(0) >= 0);
+    assert.equal(imported.kingdomCount, count + 1);
+});
+
+test('an older world file imports and names the fields it lacks', async (t) => {
+    const data = JSON.parse(JSON.stringify((await smallWorld({ seed: 8 })).exportData()));
+    data.schemaVersion = 2;
+    for (const field of ['climateZones', 'cultures', 'mountainRanges', 'waterBodies', 'forests', 'provinces']) {
+        delete data[field];
+    }
+    const warn = t.mock.method(console, 'warn', () => {});
+    
+    const imported = new VoronoiGenerator(null, SMALL_WORLD);
+    imported.importData(data);
+    
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /version 2 .*climateZones.*mountainRanges.*provinces/);
+    assert.deepEqual(imported.getMissingImportFields(3), []);
+    assert.equal(imported.climateZones, null);
+    assert.ok(imported.provinces.length > 0);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { smallWorld, ELEVATION, SMALL_WORLD } from './helpers.mjs';
+
+const world = await smallWorld({ seed: 6, kingdoms: false });
+
+/**
+ * Raise a land cell well away from `cells` - a terrain edit on the far side of the map
+ */
+function editFarFrom(generator, cells) {
+    const members = new Set(cells);
+    const x = generator.points[cells[0] * 2];
+    const y = generator.points[cells[0] * 2 + 1];
+    let far = -1;
+    let farDist = -1;
+    for (let i = 0; i < generator.cellCount; i++) {
+        if (members.has(i) || generator.heights[i] < ELEVATION.SEA_LEVEL) continue;
+        const d = (generator.points[i * 2] - x) ** 2 + (generator.points[i * 2 + 1] - y) ** 2;
+        if (d > farDist) {
+            farDist = d;
+            far = i;
+        }
+    }
+    generator.heights[far] += 50;
+}
+
+test('mountain ranges are found and named', () => {
+    assert.ok(world.mountainRanges.length > 0);
+    world.mountainRanges.forEach((range, r) => {
+        assert.ok(range.name);
+        for (const cell of range.cells) assert.equal(world.mountainRangeIds[cell], r);
+    });
+});
+
+test('rebuilt mountain ranges keep their names', () => {
+    const names = world.mountainRanges.map(range => range.name);
+    world.mountainRanges[0].name = 'The Misty Mountains';
+    editFarFrom(world, world.mountainRanges[0].cells);
+    world.generateMountainRanges();
+    
+    assert.equal(world.mountainRanges[0].name, 'The Misty Mountains');
+    assert.deepEqual(world.mountainRanges.slice(1).map(range => range.name), names.slice(1));
+});
+
+test('water bodies cover the sea and are named', () => {
+    assert.ok(world.waterBodies.some(body => body.kind === 'ocean'));
+    world.waterBodies.forEach((body, b) => {
+        assert.ok(body.name);
+        for (const cell of body.cells) {
+            assert.equal(world.waterBodyIds[cell], b);
+            assert.ok(world.heights[cell] < ELEVATION.SEA_LEVEL);
+        }
+    });
+});
+
+test('large enclosed seas survive drainage as named inland seas', async () => {
+    const generator = await smallWorld({ seed: 1, kingdoms: false });
+    const inland = generator.waterBodies.filter(body => body.kind === 'inland');
+    assert.ok(inland.length > 0);
+    for (const body of inland) {
+        assert.ok(body.name);
+        assert.ok(body.cells.length >= 0.002 * generator.cellCount);
+    }
+    
+    generator.calculateDrainage({ ...SMALL_WORLD.drainage, minInlandSea: 1 });
+    generator.generateWaterBodies();
+    assert.ok(!generator.waterBodies.some(body => body.kind === 'inland'));
+});
+
+test('rebuilt water bodies keep their names', () => {
+    const names = world.waterBodies.map(body => body.name);
+    world.waterBodies[0].name = 'The Sundering Sea';
+    editFarFrom(world, world.waterBodies[0].cells);
+    world.generateWaterBodies();
+    
+    assert.equal(world.waterBodies[0].name, 'The Sundering Sea');
+    assert.deepEqual(world.waterBodies.slice(1).map(body => body.name), names.slice(1));
+});
+
+test('forests are grown and named', () => {
+    assert.ok(world.forests.length > 0);
+    world.forests.forEach((forest, f) => {
+        assert.ok(forest.name);
+        assert.ok(['boreal', 'temperate', 'tropical'].includes(forest.kind));
+        for (const cell of forest.cells) assert.equal(world.forestIds[cell], f);
+    });
+});
+
+test('a renamed forest keeps its name when the forests are rebuilt', () => {
+    const names = world.forests.map(forest => forest.name);
+    assert.ok(world.renameLabel({ type: 'forest', index: 0 }, 'Mirkwood'));
+    editFarFrom(world, world.forests[0].cells);
+    world.generateForests();
+    
+    assert.equal(world.forests[0].name, 'Mirkwood');
+    assert.deepEqual(world.forests.slice(1).map(forest => forest.name), names.slice(1));
+});
+
+test('new rainfall regrows the forests from the reclassified biomes', async () => {
+    const generator = await smallWorld({ seed: 6, kingdoms: false });
+    const biomes = generator.biomes.slice();
+    const forestIds = generator.forestIds.slice();
+    
+    generator.generatePrecipitation({ windDirection: 90, windStrength: 0.8 });
+    generator.refreshDerivedLayers();
+    assert.notDeepEqual(generator.biomes, biomes);
+    assert.notDeepEqual(generator.forestIds, forestIds);
+    
+    const refreshed = generator.forestIds.slice();
+    generator.classifyBiomes();
+    generator.generateForests();
+    assert.deepEqual(generator.forestIds, refreshed);
+});
@@ -0,0 +1,45 @@
+/**
+ * Golden seeds: fixed worlds whose digests are checked in (golden.json), so any change
+ * to the generator that alters an existing world fails here and names the layers it moved.
+ * After an intended change, re-record with
+ *   UPDATE_GOLDEN=1 node --test test/golden.test.mjs
+ * Digests depend on floating-point math - record them with the Node.js version CI uses.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { smallWorld, worldDigest } from './helpers.mjs';
+
+const GOLDEN_FILE = new URL('./golden.json', import.meta.url);
+
+const CASES = {
+    'continental-jittered-1': { seed: 1 },
+    'tectonic-poisson-2': { seed: 2, distribution: 'poisson', heightmap: { algorithm: 'tectonic' } },
+    'ridged-lakes-3': { seed: 3, heightmap: { algorithm: 'ridged' }, drainage: { numberOfRivers: 12, mode: 'lakes' } },
+    'warped-random-4-no-kingdoms': { seed: 4, distribution: 'random', heightmap: { algorithm: 'warped' }, kingdoms: false }
+};
+
+const update = !!process.env.UPDATE_GOLDEN;
+const golden = fs.existsSync(GOLDEN_FILE) ? JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8')) : {};
+
+for (const [name, options] of Object.entries(CASES)) {
+    test(`golden world ${name}`, async () => {
+        const digest = worldDigest(await smallWorld(options));
+        if (update) {
+            golden[name] = digest;
+            return;
+        }
+        
+        const expected = golden[name];
+        assert.ok(expected, `no golden digest for ${name} - record one with UPDATE_GOLDEN=1`);
+        const moved = Object.keys({ ...expected.layers, ...digest.layers })
+            .filter(layer => expected.layers[layer] !== digest.layers[layer]);
+        assert.deepEqual(moved, [], `layers changed: ${moved.join(', ')}`);
+        assert.equal(digest.world, expected.world);
+    });
+}
+
+if (update) {
+    after(() => fs.writeFileSync(GOLDEN_FILE, JSON.stringify(golden, null, 2) + '\n'));
+}
@@ -0,0 +1,42 @@
+/**
+ * TEST HELPERS - Shared setup for the node:test suite
+ *
+ * Loads the browser sources through headless.mjs (module hooks + the `d3` global),
+ * so test files must reach generator modules through these exports or dynamic
+ * imports made after this module has loaded - a static import of noise.js would
+ * resolve its CDN import before the hooks are registered.
+ *
+ * Usage:
+ *   import { smallWorld } from './helpers.mjs';
+ *
+ *   const generator = await smallWorld({ seed: 7 });
+ */
+
+export const { VoronoiGenerator, generateWorld, runPostProcessing, worldDigest } = await import('../headless.mjs');
+export const { Noise } = await import('../noise.js');
+export const { NameGenerator } = await import('../name-generator.js');
+export const { ELEVATION } = await import('../map-constants.js');
+
+// Small enough to generate in about a second
+export const SMALL_WORLD = {
+    cellCount: 3000,
+    width: 960,
+    height: 540,
+    erosion: { iterations: 2000 },
+    drainage: { numberOfRivers: 12 },
+    kingdoms: { count: 6, roadDensity: 5 }
+};
+
+export function smallWorld(options = {}) {
+    return generateWorld({ ...SMALL_WORLD, ...options });
+}
+
+/**
+ * Headless generator with points and heights only (before post-processing)
+ */
+export function terrainOnly(seed = 1, heightmap = {}, distribution = 'jittered') {
+    const generator = new VoronoiGenerator(null, { width: SMALL_WORLD.width, height: SMALL_WORLD.height });
+    generator.generate(SMALL_WORLD.cellCount, distribution, seed, heightmap);
+    generator.generateHeightmap({ seed: seed + 1000, ...heightmap });
+    return generator;
+}
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { smallWorld, runPostProcessing, worldDigest, ELEVATION } from './helpers.mjs';
+
+const { WorkerBridge } = await import('../worker-bridge.js');
+
+const world = await smallWorld({ seed: 11 });
+
+function assertConsistent(generator) {
+    const { kingdomCount } = generator;
+    for (const list of ['kingdomNames', 'kingdomColors', 'kingdomCapitals', 'capitols', 'capitolNames', 'kingdomCultures']) {
+        assert.equal(generator[list].length, kingdomCount, list);
+    }
+    
+    const owned = Array.from({ length: kingdomCount }, () => []);
+    for (let i = 0; i < generator.cellCount; i++) {
+        const k = generator.kingdoms[i];
+        assert.ok(k >= -1 && k < kingdomCount, `cell ${i} in kingdom ${k}`);
+        if (k < 0) continue;
+        assert.ok(generator.heights[i] >= ELEVATION.SEA_LEVEL, `sea cell ${i} claimed`);
+        owned[k].push(i);
+    }
+    owned.forEach((cells, k) => {
+        assert.deepEqual([...generator.kingdomCells[k]].sort((a, b) => a - b), cells, `kingdom ${k} cells`);
+    });
+    
+    generator.capitols.forEach((cell, k) => {
+        if (cell >= 0) assert.equal(generator.kingdoms[cell], k, `capitol of ${k}`);
+    });
+    assert.equal(generator.cityNames.length, generator.cities.length);
+    for (const city of generator.cities) {
+        assert.equal(generator.kingdoms[city.cell], city.kingdom, `city at ${city.cell}`);
+    }
+    
+    generator.provinces.forEach((province, p) => {
+        for (const cell of province.cells) {
+            assert.equal(generator.provinceIds[cell], p);
+            assert.equal(generator.kingdoms[cell], province.kingdom);
+        }
+    });
+}
+
+test('kingdoms divide the land consistently', () => {
+    assert.equal(world.kingdomCount, 6);
+    assertConsistent(world);
+    assert.ok(world.cities.length > 0);
+    assert.ok(world.roads.length > 0);
+    assert.ok(world.provinces.length >= world.kingdomCount);
+});
+
+test('provinces are named and grow around their kingdom\'s settlements', () => {
+    const seats = new Set([...world.capitols, ...world.cities.map(city => city.cell)]);
+    const names = new Set();
+    for (const province of world.provinces) {
+        assert.ok(province.name);
+        names.add(province.name);
+        assert.ok(seats.has(province.seat), `seat ${province.seat}`);
+        assert.equal(world.provinceIds[province.seat], world.provinces.indexOf(province));
+    }
+    assert.equal(names.size, world.provinces.length);
+    
+    for (let i = 0; i < world.cellCount; i++) {
+        assert.equal(world.provinceIds[i] >= 0, world.kingdoms[i] >= 0, `cell ${i}`);
+    }
+});
+
+test('roads join settlements', () => {
+    const settlements = new Set([...world.capitols, ...world.cities.map(city => city.cell)]);
+    for (const road of world.roads) {
+        const ends = [road.path[0].cell, road.path[road.path.length - 1].cell];
+        assert.ok(ends.some(cell => settlements.has(cell)), `road ${ends}`);
+    }
+});
+
+test('kingdoms are reproducible', async () => {
+    assert.deepEqual(worldDigest(await smallWorld({ seed: 11 })), worldDigest(world));
+});
+
+test('splitting and merging keep the political data consistent', async () => {
+    const generator = await smallWorld({ seed: 11 });
+    const count = generator.kingdomCount;
+    
+    const breakaway = generator.splitKingdom(0);
+    assert.equal(breakaway, count);
+    assert.equal(generator.kingdomCount, count + 1);
+    assertConsistent(generator);
+    
+    assert.equal(generator.mergeKingdoms(1, 0), 0);
+    assert.equal(generator.kingdomCount, count);
+    assertConsistent(generator);
+});
+
+test('merging keeps each kingdom its own culture', async () => {
+    const generator = await smallWorld({ seed: 11 });
+    const cultures = generator.kingdomCultures.slice();
+    
+    assert.equal(generator.mergeKingdoms(3, 0), 2);
+    assert.equal(generator.kingdomCultures.length, generator.kingdomCount);
+    assert.deepEqual(generator.kingdomCultures, cultures.slice(1));
+});
+
+test('border and settlement edits keep the political data consistent', async () => {
+    const generator = await smallWorld({ seed: 11 });
+    
+    const from = generator.kingdomCells[1];
+    assert.ok(generator.assignCellsToKingdom(from.slice(0, 10), 0).length > 0);
+    assertConsistent(generator);
+    
+    const site = generator.kingdomCells[0].find(cell => generator._canPlaceSettlement(cell));
+    const town = generator.addSettlement(site, 'town');
+    assert.deepEqual(town, { type: 'city', index: generator.cities.length - 1 });
+    assertConsistent(generator);
+    
+    assert.ok(generator.removeSettlement(town));
+    assertConsistent(generator);
+});
+
+test('post-processing without kingdoms drops the previous world\'s, in either path', async () => {
+    const assertCleared = (generator) => {
+        assert.equal(generator.kingdoms, null);
+        assert.equal(generator.kingdomCount, 0);
+        assert.deepEqual([generator.cities, generator.roads, generator.provinces], [[], [], []]);
+        assert.equal(generator.provinceIds, null);
+    };
+    
+    const mainThread = await smallWorld({ seed: 11 });
+    mainThread.generateHeightmap({ seed: 2000 });
+    await runPostProcessing(mainThread, { erosion: { iterations: 2000 }, kingdoms: null });
+    assertCleared(mainThread);
+    
+    // The worker sends no political fields when it made no kingdoms
+    const worker = await smallWorld({ seed: 11 });
+    new WorkerBridge().applyPostProcessResults(worker, { world: { rivers: [] } });
+    assertCleared(worker);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NameGenerator } from './helpers.mjs';
+
+test('same seed gives the same names', () => {
+    const a = new NameGenerator(99);
+    const b = new NameGenerator(99);
+    for (const type of a.getNameTypes()) {
+        assert.deepEqual(a.generateNames(5, type), b.generateNames(5, type), type);
+    }
+});
+
+test('reset replays the names from the seed', () => {
+    const names = new NameGenerator(5);
+    const first = names.generateNames(10, 'kingdom');
+    names.reset();
+    assert.deepEqual(names.generateNames(10, 'kingdom'), first);
+});
+
+test('names in one batch are unique and non-empty', () => {
+    const names = new NameGenerator(1234).generateNames(60, 'settlement');
+    assert.equal(names.length, 60);
+    assert.equal(new Set(names.map(n => n.toLowerCase())).size, names.length);
+    for (const name of names) assert.ok(name.trim().length > 0);
+});
+
+test('every culture names every kind of place', () => {
+    const names = new NameGenerator(8);
+    for (const culture of names.getCultures()) {
+        for (const type of ['kingdom', 'settlement', 'region', 'river', 'mountain', 'forest', 'sea', 'lake']) {
+            const [name] = names.generateNames(1, type, { culture });
+            assert.ok(typeof name === 'string' && name.length > 0, `${culture} ${type}`);
+        }
+    }
+});
+
+test('clearCityNames frees names for reuse', () => {
+    const names = new NameGenerator(3);
+    const [city] = names.generateNames(1, 'settlement');
+    assert.ok(names.usedNames.has(city.toLowerCase()));
+    names.clearCityNames([city]);
+    assert.ok(!names.usedNames.has(city.toLowerCase()));
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Noise } from './helpers.mjs';
+
+const sample = (fn) => {
+    const values = [];
+    for (let y = 0; y < 20; y++) {
+        for (let x = 0; x < 20; x++) values.push(fn(x / 7.3, y / 5.1));
+    }
+    return values;
+};
+
+test('same seed gives the same field', () => {
+    Noise.init(42);
+    const first = sample((x, y) => Noise.simplex2(x, y));
+    Noise.init(43);
+    const other = sample((x, y) => Noise.simplex2(x, y));
+    Noise.init(42);
+    assert.deepEqual(sample((x, y) => Noise.simplex2(x, y)), first);
+    assert.notDeepEqual(other, first);
+});
+
+test('simplex2 stays in [-1, 1]', () => {
+    Noise.init(5);
+    for (const v of sample((x, y) => Noise.simplex2(x * 13, y * 13))) {
+        assert.ok(v >= -1 && v <= 1);
+    }
+});
+
+test('every layered algorithm returns finite values', () => {
+    Noise.init(11);
+    for (const name of ['fbm', 'ridged', 'valleys', 'eroded', 'multiWarp', 'swiss', 'terraced', 'continental', 'warped']) {
+        for (const v of sample((x, y) => Noise[name](x, y, { octaves: 4 }))) {
+            assert.ok(Number.isFinite(v), `${name} gave ${v}`);
+        }
+    }
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoronoiGenerator, SMALL_WORLD } from './helpers.mjs';
+
+const { width, height } = SMALL_WORLD;
+
+function points(distribution, seed, heightmap = null) {
+    const generator = new VoronoiGenerator(null, { width, height });
+    generator.generate(2000, distribution, seed, heightmap);
+    return generator;
+}
+
+for (const distribution of ['random', 'jittered', 'poisson', 'relaxed']) {
+    test(`${distribution} points are reproducible and inside the map`, () => {
+        const generator = points(distribution, 21);
+        assert.ok(generator.cellCount > 1500, `${generator.cellCount} cells`);
+        assert.equal(generator.points.length, generator.cellCount * 2);
+        for (let i = 0; i < generator.cellCount; i++) {
+            const x = generator.points[i * 2];
+            const y = generator.points[i * 2 + 1];
+            assert.ok(x >= 0 && x <= width && y >= 0 && y <= height, `point ${i} at ${x}, ${y}`);
+        }
+        
+        assert.deepEqual(points(distribution, 21).points, generator.points);
+        assert.notDeepEqual(points(distribution, 22).points, generator.points);
+    });
+}
+
+test('land-biased points follow the heightmap options', () => {
+    const heightmap = { algorithm: 'continental', seaLevel: 0.4 };
+    const biased = points('jittered', 21, heightmap);
+    assert.deepEqual(points('jittered', 21, heightmap).points, biased.points);
+    assert.notDeepEqual(points('jittered', 21).points, biased.points);
+});
+
+test('the diagram has a polygon and neighbours for every cell', () => {
+    const generator = points('jittered', 4);
+    for (let i = 0; i < generator.cellCount; i++) {
+        assert.ok(generator.voronoi.cellPolygon(i)?.length >= 4, `cell ${i}`);
+        assert.ok([...generator.voronoi.neighbors(i)].length > 0, `cell ${i}`);
+    }
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { smallWorld } from './helpers.mjs';
+
+const { SVGPathContext } = await import('../svg-context.js');
+
+const world = await smallWorld({ seed: 6 });
+const bounds = { left: 0, top: 0, right: world.width, bottom: world.height };
+
+/**
+ * Stub canvas 2D context: keeps property writes, records every method call and
+ * returns harmless values for the few calls whose result the renderers use
+ */
+function stubContext() {
+    const calls = [];
+    const state = {
+        calls,
+        canvas: { width: world.width, height: world.height },
+        measureText: (text) => ({ width: String(text).length * 6 }),
+        createLinearGradient: () => ({ addColorStop() {} }),
+        createRadialGradient: () => ({ addColorStop() {} }),
+        getLineDash: () => []
+    };
+    return new Proxy(state, {
+        get(target, prop) {
+            if (prop in target) return target[prop];
+            return (...args) => { calls.push([prop, args]); };
+        }
+    });
+}
+
+// Terrain mode draws contours with d3-contour, which headless.mjs does not load
+const RENDERERS = {
+    political: '_renderPoliticalBase',
+    precipitation: '_renderPrecipitationCells',
+    biomes: '_renderBiomeCells'
+};
+
+for (const [mode, renderer] of Object.entries(RENDERERS)) {
+    test(`${mode} cells draw onto a stub canvas with finite coordinates`, () => {
+        const ctx = stubContext();
+        world.renderMode = mode;
+        world[renderer](ctx, bounds);
+        
+        const paths = ctx.calls.filter(([name]) => name === 'moveTo' || name === 'lineTo');
+        assert.ok(paths.length > 0, 'nothing drawn');
+        for (const [name, args] of ctx.calls) {
+            for (const arg of args) {
+                if (typeof arg === 'number') assert.ok(Number.isFinite(arg), `${name}(${args})`);
+            }
+        }
+    });
+}
+
+test('the same world draws the same SVG paths', async () => {
+    const draw = (generator) => {
+        const svgCtx = new SVGPathContext();
+        generator.renderMode = 'biomes';
+        generator._renderBiomeCells(svgCtx, bounds);
+        return svgCtx.toString();
+    };
+    const markup = draw(world);
+    assert.match(markup, /<path /);
+    assert.equal(draw(await smallWorld({ seed: 6 })), markup);
+});
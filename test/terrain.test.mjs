@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { terrainOnly, ELEVATION } from './helpers.mjs';
+
+const ALGORITHMS = ['fbm', 'simplex', 'ridged', 'warped', 'valleys', 'eroded', 'multiwarp', 'swiss', 'terraced', 'continental', 'tectonic'];
+
+for (const algorithm of ALGORITHMS) {
+    test(`${algorithm} heightmap is reproducible, with land and sea`, () => {
+        const generator = terrainOnly(3, { algorithm });
+        assert.equal(generator.heights.length, generator.cellCount);
+        assert.ok(generator.heights.every(Number.isFinite));
+        
+        const land = generator.heights.filter(h => h >= ELEVATION.SEA_LEVEL).length / generator.cellCount;
+        assert.ok(land > 0.1 && land < 0.9, `${Math.round(land * 100)}% land`);
+        
+        assert.deepEqual(terrainOnly(3, { algorithm }).heights, generator.heights);
+        assert.notDeepEqual(terrainOnly(4, { algorithm }).heights, generator.heights);
+    });
+}
+
+test('erosion is reproducible and reshapes the land', () => {
+    const eroded = () => {
+        const generator = terrainOnly(5, { algorithm: 'continental' });
+        generator.applyHydraulicErosion({ iterations: 2000 });
+        return generator;
+    };
+    const generator = eroded();
+    assert.ok(generator.heights.every(Number.isFinite));
+    assert.notDeepEqual(generator.heights, terrainOnly(5, { algorithm: 'continental' }).heights);
+    assert.deepEqual(eroded().heights, generator.heights);
+});
+
+for (const mode of ['lakes', 'filled']) {
+    test(`drainage (${mode}) runs rivers downstream into the sea or a lake`, () => {
+        const drained = () => {
+            const generator = terrainOnly(5, { algorithm: 'continental' });
+            generator.applyHydraulicErosion({ iterations: 2000 });
+            generator.generatePrecipitation();
+            generator.generateTemperature();
+            generator.calculateDrainage({ numberOfRivers: 12, mode });
+            return generator;
+        };
+        const generator = drained();
+        assert.ok(generator.rivers.length > 0);
+        
+        for (const river of generator.rivers) {
+            const cells = river.path.map(p => p.cell).filter(cell => cell >= 0);
+            assert.ok(generator.heights[cells[0]] >= ELEVATION.SEA_LEVEL, 'rises on land');
+            
+            const mouth = cells[cells.length - 1];
+            const ends = generator.heights[mouth] < ELEVATION.SEA_LEVEL || generator.lakeCells?.has(mouth);
+            assert.ok(ends, `${river.name} ends on land at cell ${mouth}`);
+            
+            for (let i = 1; i < cells.length; i++) {
+                assert.ok([...generator.voronoi.neighbors(cells[i - 1])].includes(cells[i]), `${river.name} jumps at ${i}`);
+            }
+        }
+        
+        const again = drained();
+        assert.deepEqual(again.rivers.map(r => r.path.map(p => p.cell)), generator.rivers.map(r => r.path.map(p => p.cell)));
+        assert.deepEqual(again.lakes.map(l => [...l.cells]), generator.lakes.map(l => [...l.cells]));
+    });
+}
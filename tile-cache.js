@@ -103,6 +103,40 @@ export class TileCache {
         this.stats.tilesRendered = 0;
     }
     
+    /**
+     * Invalidate only the cached tiles (every LOD) that contain the given cells
+     * Call after editing individual cells, e.g. with the terrain or kingdom brush
+     * @param {number[]} cells - Edited cells
+     * @param {string|null} layer - Only this layer (e.g. 'political'), or every layer
+     */
+    invalidateCells(cells, layer = null) {
+        if (!this.cellTileIndex) {
+            this.invalidate(layer);
+            return;
+        }
+        
+        const cellSet = new Set(cells);
+        const dirtyTiles = new Set();
+        for (const [tileKey, tileCells] of this.cellTileIndex) {
+            for (const cell of cellSet) {
+                if (tileCells.has(cell)) {
+                    dirtyTiles.add(tileKey);
+                    break;
+                }
+            }
+        }
+        
+        const caches = layer ? [this.cache[layer]].filter(Boolean) : Object.values(this.cache);
+        for (const cache of caches) {
+            for (const key of cache.keys()) {
+                // Cache keys are "lod:tx:ty", index keys "tx:ty"
+                if (dirtyTiles.has(key.slice(key.indexOf(':') + 1))) {
+                    cache.delete(key);
+                }
+            }
+        }
+    }
+    
     /**
      * Build spatial index mapping cells to tiles
      * Call once after generation
@@ -621,7 +655,7 @@ export function addTileCaching(VoronoiGenerator) {
         
         // Clear canvas
         ctx.fillStyle = this.colors.bg;
-        ctx.fillRect(0, 0, this.width, this.height);
+        ctx.fillRect(0, 0, this.viewWidth, this.viewHeight);
         
         if (!this.voronoi) {
             this.metrics.renderTime = performance.now() - start;
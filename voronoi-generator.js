@@ -4,21 +4,62 @@
  * Uses flat Float64Array for maximum performance
  */
 
-import { PRNG } from './prng.js';
+import { createPRNG, deriveSeed } from './prng.js';
 import { Noise } from './noise.js';
 import { NameGenerator } from './name-generator.js';
 import { 
     LAND_COLORS, OCEAN_COLORS, PRECIP_COLORS, 
     POLITICAL_COLORS, POLITICAL_OCEAN, POLITICAL_BORDER,
-    ELEVATION 
+    ELEVATION, BIOME, BIOME_COLORS, CLIMATE_CODES 
 } from './map-constants.js';
 import { renderingMethods } from './rendering-methods.js';
 import { TileCache } from './tile-cache.js';
+import { SVGPathContext, SVG_LAYER_STYLES } from './svg-context.js';
+import { PNGStreamEncoder } from './png-encoder.js';
+import { MinHeap } from './priority-queue.js';
+
+// Bump when the exportData() layout changes, listing the fields the new version adds below
+const EXPORT_SCHEMA_VERSION = 3;
+
+// exportData() fields first written by each schema version (climate.* are inside the climate block)
+const SCHEMA_FIELDS_ADDED = {
+    3: [
+        'summerTemperature', 'winterTemperature', 'summerPrecipitation', 'winterPrecipitation',
+        'climateZones', 'climate.windBands', 'cultures', 'cultureNames', 'cultureOrigins',
+        'kingdomCultures', 'mountainRanges', 'waterBodies', 'forests', 'provinces'
+    ]
+};
+
+// Brush strokes rebuild whole-map caches (contours, coastline, borders) at most this often
+const BRUSH_REFRESH_MS = 250;
+
+// Climate zone id for each Köppen code (see CLIMATE_CODES)
+const CLIMATE_ZONE_IDS = new Map(CLIMATE_CODES.map((code, id) => [code, id]));
+
+// Generated world state covered by captureState() / restoreState() (undo history)
+const WORLD_STATE_FIELDS = [
+    'width', 'height', 'points', 'cellCount', 'heights', 'terrain', 'filledHeights', 'seaLevel',
+    'plates', 'plateCount', 'plateMotions', 'plateOceanic',
+    'precipitation', 'temperature', 'biomes', 'windDirection', 'windStrength', 'windBands',
+    'summerPrecipitation', 'winterPrecipitation', 'summerTemperature', 'winterTemperature', 'climateZones',
+    'cultures', 'cultureNames', 'cultureOrigins', 'kingdomCultures',
+    'drainage', 'riverFlow', 'rivers', 'lakes', 'lakeCells', 'lakeDepths',
+    'mountainRanges', 'mountainRangeIds', 'waterBodies', 'waterBodyIds', 'forests', 'forestIds',
+    'kingdoms', 'kingdomCount', 'kingdomNames', 'kingdomCapitals', 'kingdomCells', 'kingdomCentroids',
+    'kingdomColors', 'kingdomPopulations', 'capitols', 'capitolNames', 'cities', 'cityNames',
+    'capitalPopulations', 'totalPopulation', 'roads', 'seaRoutes', 'roadDensity', 'provinces', 'provinceIds',
+    '_lastSeed', '_lastDistribution', '_lastCellCount', '_lastHeightmapOptions'
+];
 
 export class VoronoiGenerator {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement|null} canvas - Map canvas; pass null for a headless generator
+     *   (generation stages only, e.g. inside the generation worker)
+     * @param {Object} options - Headless only: { width, height } of the world
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+        this.ctx = canvas ? canvas.getContext('2d') : null;
         
         // Core data structures
         this.points = null;      // Float64Array [x0, y0, x1, y1, ...]
@@ -31,26 +72,65 @@ export class VoronoiGenerator {
         this.elevations = null;  // Alias for heights (elevation in meters)
         this.terrain = null;     // Uint8Array of terrain type (0=water, 1=land)
         
+        // Tectonic plate data (only set by the 'tectonic' heightmap algorithm)
+        this.plates = null;         // Int16Array of plate id per cell
+        this.plateCount = 0;
+        this.plateMotions = [];     // Array of plate motion vectors [{x, y}]
+        this.plateOceanic = null;   // Uint8Array - 1 if plate is oceanic, 0 if continental
+        
         // Precipitation data
         this.precipitation = null;  // Float32Array of precipitation values (0-1)
         this.windDirection = 270;   // Wind direction in degrees (270 = from west)
         this.windStrength = 0.8;    // Wind strength (0-1)
+        this.windBands = false;     // Prevailing winds by latitude (overrides windDirection)
+        this.summerPrecipitation = null;  // Float32Array of warm half-year rainfall (mm)
+        this.winterPrecipitation = null;  // Float32Array of cold half-year rainfall (mm)
+        
+        // Climate data
+        this.temperature = null;    // Float32Array of mean annual temperature (°C)
+        this.summerTemperature = null;  // Float32Array of warm-season temperature (°C)
+        this.winterTemperature = null;  // Float32Array of cold-season temperature (°C)
+        this.biomes = null;         // Uint8Array of biome ids (see BIOME in map-constants.js)
+        this.climateZones = null;   // Uint8Array of Köppen-style zone ids (see CLIMATE_CODES)
+        
+        // Culture data
+        this.cultures = null;       // Uint8Array of culture ids per cell (index into cultureNames)
+        this.cultureNames = [];     // NameGenerator culture of each culture id, e.g. 'norse'
+        this.cultureOrigins = [];   // Cell each culture spread from
+        this.kingdomCultures = [];  // Culture id per kingdom
         
         // River data
         this.rivers = [];           // Array of river paths [{path: [cellIndices], flow: number}]
         this.riverFlow = null;      // Float32Array of accumulated water flow per cell
-        this.lakes = [];            // Array of lake cells [{cells: [indices], elevation: number}]
+        this.lakes = [];            // Array of lakes [{cells, surfaceElevation, depth, outlet, salt, name}]
         this.lakeCells = null;      // Set of cell indices that are lakes
         this.lakeDepths = null;     // Map of cell index to lake depth
         this.drainage = null;       // Int32Array - which cell does each cell drain to (-1 = ocean/lake)
         
+        // Relief data
+        this.mountainRanges = [];   // Named ranges [{name, cells, peak, peakHeight, center, angle, length, width, spine}]
+        this.mountainRangeIds = null;   // Int32Array of range index per cell (-1 = none)
+        this.waterBodies = [];      // Named seas [{name, kind, cells, anchor, center, angle, length, width, spine}]
+        this.waterBodyIds = null;   // Int32Array of water body index per cell (-1 = land or lake)
+        
+        // Vegetation
+        this.forests = [];          // Named forests [{name, kind, cells, anchor, center, angle, length, width, spine}]
+        this.forestIds = null;      // Int32Array of forest index per cell (-1 = none)
+        
+        // Political subdivisions
+        this.provinces = [];        // Provinces of the kingdoms [{name, kingdom, seat, cells}]
+        this.provinceIds = null;    // Int32Array of province index per cell (-1 = none)
+        
         // Hover state
         this.hoveredCell = -1;
         
-        // Dimensions
+        // Dimensions: the map in world units, and the map area on screen in CSS pixels.
+        // They match for a generated world; an imported one keeps the size it was made at.
         this.width = 0;
         this.height = 0;
-        this.dpr = window.devicePixelRatio || 1;
+        this.viewWidth = 0;
+        this.viewHeight = 0;
+        this.dpr = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
         
         // Animation frame tracking
         this._animationFrameId = null;
@@ -70,6 +150,23 @@ export class VoronoiGenerator {
         this.dragStart = { x: 0, y: 0 };
         this.lastPan = { x: 0, y: 0 };
         
+        // Terrain brush - left drag paints instead of panning while a tool is selected
+        this.brush = {
+            tool: null,       // null (pan), 'raise', 'lower', 'smooth', 'flatten', 'sea', 'kingdom'
+            radius: 30,       // World units
+            strength: 0.5,    // 0-1
+            target: 500,      // Flatten target elevation (meters)
+            kingdom: 0        // Kingdom tool: kingdom to paint, -1 founds a new one where the stroke starts
+        };
+        this.brushPosition = null;  // World position of the brush outline
+        this.isPainting = false;
+        this._brushStroke = null;
+        
+        // Settlement editing - left drag on a city or capitol moves it instead of panning
+        this.editSettlements = false;
+        this.isMovingSettlement = false;
+        this._settlementDrag = null;
+        
         // Display options
         this.showEdges = true;
         this.showCenters = false;
@@ -79,7 +176,7 @@ export class VoronoiGenerator {
         this.showGrid = true;    // Show coordinate grid
         this.showScale = true;   // Show scale bar
         this.worldSizeKm = 1000; // World size in kilometers (map width)
-        this.renderMode = 'political'; // 'heightmap', 'terrain', 'precipitation', 'political'
+        this.renderMode = 'political'; // 'heightmap', 'terrain', 'precipitation', 'biomes', 'climate', 'political'
         this.seaLevel = 0.4;
         this.subdivisionLevel = 2;  // 0 = no subdivision, 1-4 = subdivision levels
         
@@ -98,12 +195,16 @@ export class VoronoiGenerator {
             genTime: 0,
             renderTime: 0,
             heightmapTime: 0,
-            visibleCells: 0
+            visibleCells: 0,
+            unreachableCities: 0  // Cities _generateRoads could not reach by land
         };
         
         // Name generator for kingdoms, counties, etc.
         this.nameGenerator = new NameGenerator();
         
+        // World seed - each generation stage derives its own random stream from it
+        this._lastSeed = 12345;
+        
         // Contour cache for fast rendering
         this._contourCache = null;
         
@@ -116,6 +217,7 @@ export class VoronoiGenerator {
         // Tile cache for fast pan/zoom rendering
         this.tileCache = null;  // Initialized after resize when dimensions are known
         this.useTileRendering = false;  // Disabled - direct rendering is always crisp
+        this._exporting = false;  // True while exportHighResPNG drives render()
         
         // Debounce timers
         this._renderDebounceTimer = null;
@@ -138,8 +240,15 @@ export class VoronoiGenerator {
         this._onTouchMove = this._onTouchMove.bind(this);
         this._onTouchEnd = this._onTouchEnd.bind(this);
         
-        this.resize();
-        this._setupEventListeners();
+        if (canvas) {
+            this.resize();
+            this._setupEventListeners();
+        } else {
+            this.width = options.width || 0;
+            this.height = options.height || 0;
+            this.viewWidth = this.width;
+            this.viewHeight = this.height;
+        }
     }
     
     /**
@@ -164,6 +273,7 @@ export class VoronoiGenerator {
      * Remove event listeners (cleanup)
      */
     destroy() {
+        if (!this.canvas) return;
         this.canvas.removeEventListener('wheel', this._onWheel);
         this.canvas.removeEventListener('mousedown', this._onMouseDown);
         window.removeEventListener('mousemove', this._onMouseMove);
@@ -213,6 +323,19 @@ export class VoronoiGenerator {
     _onMouseDown(e) {
         if (e.button !== 0) return; // Left click only
         
+        // Paint instead of panning while a brush tool is selected
+        if (this.brush.tool && this.heights) {
+            const rect = this.canvas.getBoundingClientRect();
+            this.beginBrushStroke(e.clientX - rect.left, e.clientY - rect.top);
+            return;
+        }
+        
+        // Drag a settlement instead of panning when one is under the cursor
+        if (this.editSettlements) {
+            const rect = this.canvas.getBoundingClientRect();
+            if (this.beginSettlementDrag(e.clientX - rect.left, e.clientY - rect.top)) return;
+        }
+        
         this.isDragging = true;
         this._isInteracting = true;
         this.dragStart.x = e.clientX;
@@ -226,6 +349,28 @@ export class VoronoiGenerator {
      * Mouse move - pan
      */
     _onMouseMove(e) {
+        if (this._settlementDrag) {
+            const rect = this.canvas.getBoundingClientRect();
+            this.continueSettlementDrag(e.clientX - rect.left, e.clientY - rect.top);
+            return;
+        }
+        
+        if (this.brush.tool) {
+            const rect = this.canvas.getBoundingClientRect();
+            const sx = e.clientX - rect.left;
+            const sy = e.clientY - rect.top;
+            
+            if (this.isPainting) {
+                this.continueBrushStroke(sx, sy);
+            } else {
+                // Move the brush outline while over the map
+                const inside = sx >= 0 && sy >= 0 && sx <= this.viewWidth && sy <= this.viewHeight;
+                this.brushPosition = inside ? this.screenToWorld(sx, sy) : null;
+                this._debouncedRender();
+            }
+            return;
+        }
+        
         if (!this.isDragging) return;
         
         const dx = e.clientX - this.dragStart.x;
@@ -241,6 +386,16 @@ export class VoronoiGenerator {
      * Mouse up - end pan
      */
     _onMouseUp(e) {
+        if (this.isPainting) {
+            this.endBrushStroke();
+            return;
+        }
+        
+        if (this._settlementDrag) {
+            this.endSettlementDrag();
+            return;
+        }
+        
         if (this.isDragging) {
             this.isDragging = false;
             this.canvas.style.cursor = 'grab';
@@ -352,8 +507,8 @@ export class VoronoiGenerator {
         const newZoom = Math.max(this.viewport.minZoom, 
                         Math.min(this.viewport.maxZoom, zoom));
         
-        if (centerX === null) centerX = this.width / 2;
-        if (centerY === null) centerY = this.height / 2;
+        if (centerX === null) centerX = this.viewWidth / 2;
+        if (centerY === null) centerY = this.viewHeight / 2;
         
         const worldX = (centerX - this.viewport.x) / this.viewport.zoom;
         const worldY = (centerY - this.viewport.y) / this.viewport.zoom;
@@ -379,12 +534,16 @@ export class VoronoiGenerator {
     }
     
     /**
-     * Fit content to view
+     * Fit the whole map into the view, centered
+     * (same as resetView() when the map is the size of the view)
      */
     fitToView() {
-        this.viewport.x = 0;
-        this.viewport.y = 0;
-        this.viewport.zoom = 1;
+        const zoom = this.width > 0 && this.height > 0
+            ? Math.min(this.viewWidth / this.width, this.viewHeight / this.height)
+            : 1;
+        this.viewport.zoom = zoom;
+        this.viewport.x = (this.viewWidth - this.width * zoom) / 2;
+        this.viewport.y = (this.viewHeight - this.height * zoom) / 2;
         this.render();
         this._onZoomChange();
     }
@@ -397,8 +556,8 @@ export class VoronoiGenerator {
         return {
             left: -this.viewport.x * invZoom,
             top: -this.viewport.y * invZoom,
-            right: (this.width - this.viewport.x) * invZoom,
-            bottom: (this.height - this.viewport.y) * invZoom
+            right: (this.viewWidth - this.viewport.x) * invZoom,
+            bottom: (this.viewHeight - this.viewport.y) * invZoom
         };
     }
     
@@ -427,13 +586,19 @@ export class VoronoiGenerator {
      */
     resize() {
         const rect = this.canvas.parentElement.getBoundingClientRect();
-        this.width = rect.width;
-        this.height = rect.height;
+        this.viewWidth = rect.width;
+        this.viewHeight = rect.height;
         
-        this.canvas.width = this.width * this.dpr;
-        this.canvas.height = this.height * this.dpr;
-        this.canvas.style.width = this.width + 'px';
-        this.canvas.style.height = this.height + 'px';
+        // A world keeps its size; the next one generated takes the new view size
+        if (!this.points) {
+            this.width = rect.width;
+            this.height = rect.height;
+        }
+        
+        this.canvas.width = this.viewWidth * this.dpr;
+        this.canvas.height = this.viewHeight * this.dpr;
+        this.canvas.style.width = this.viewWidth + 'px';
+        this.canvas.style.height = this.viewHeight + 'px';
         
         this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
         
@@ -444,13 +609,38 @@ export class VoronoiGenerator {
             });
         }
         
-        // Regenerate if we have points
         if (this.points && this.cellCount > 0) {
-            this.updateDiagram();
             this.render();
         }
     }
     
+    /**
+     * Set the world seed without regenerating points
+     * (for a generator given its points and heights from elsewhere, e.g. the worker)
+     */
+    setSeed(seed) {
+        this._lastSeed = seed;
+    }
+    
+    /**
+     * Random stream for one generation stage, derived from the world seed.
+     * Stages never share a stream, so re-running one (cities after a road density
+     * change, say) reproduces its result and leaves every other stage untouched.
+     */
+    _randomStream(name) {
+        return createPRNG(deriveSeed(this._lastSeed, name));
+    }
+    
+    /**
+     * Point the name generator at a stage's stream. Names already handed out stay
+     * reserved unless `fresh` is set (the stage renames everything it owns).
+     */
+    _nameStream(name, fresh = false) {
+        // NameGenerator's LCG works on 31-bit seeds
+        this.nameGenerator.setSeed(deriveSeed(this._lastSeed, 'names:' + name) & 0x7fffffff);
+        if (fresh) this.nameGenerator.reset();
+    }
+    
     /**
      * Generate points with specified distribution
      */
@@ -462,7 +652,13 @@ export class VoronoiGenerator {
         this._lastDistribution = distribution;
         this._lastCellCount = count;
         
-        PRNG.setSeed(seed);
+        // A new world fills the map area, whatever size an imported one had
+        if (this.canvas) {
+            this.width = this.viewWidth;
+            this.height = this.viewHeight;
+        }
+        
+        const rng = this._randomStream('points');
         this.cellCount = count;
         
         // Allocate flat array for points
@@ -472,12 +668,34 @@ export class VoronoiGenerator {
         this.heights = null;
         this.terrain = null;
         this.precipitation = null;
+        this.summerPrecipitation = null;
+        this.winterPrecipitation = null;
+        this.temperature = null;
+        this.summerTemperature = null;
+        this.winterTemperature = null;
+        this.biomes = null;
+        this.climateZones = null;
+        this.cultures = null;
+        this.cultureNames = [];
+        this.cultureOrigins = [];
+        this.kingdomCultures = [];
+        this.plates = null;
+        this.plateCount = 0;
+        this.plateMotions = [];
+        this.plateOceanic = null;
         this.rivers = [];
         this.lakes = [];
         this.lakeCells = null;
         this.lakeDepths = null;
         this.riverFlow = null;
         this.drainage = null;
+        this.mountainRanges = [];
+        this.mountainRangeIds = null;
+        this.waterBodies = [];
+        this.waterBodyIds = null;
+        this.forests = [];
+        this.forestIds = null;
+        this.clearKingdoms();
         this._contourCache = null;
         this._coastlineCache = null;
         
@@ -495,20 +713,20 @@ export class VoronoiGenerator {
         
         switch (distribution) {
             case 'random':
-                this._generateRandomBiased(margin, w, h, landProb);
+                this._generateRandomBiased(rng, margin, w, h, landProb);
                 break;
             case 'jittered':
-                this._generateJitteredBiased(margin, w, h, landProb);
+                this._generateJitteredBiased(rng, margin, w, h, landProb);
                 break;
             case 'poisson':
-                this._generatePoissonBiased(margin, w, h, landProb);
+                this._generatePoissonBiased(rng, margin, w, h, landProb);
                 break;
             case 'relaxed':
-                this._generateJitteredBiased(margin, w, h, landProb);
+                this._generateJitteredBiased(rng, margin, w, h, landProb);
                 this._relaxPoints(3); // 3 iterations of Lloyd relaxation
                 break;
             default:
-                this._generateJitteredBiased(margin, w, h, landProb);
+                this._generateJitteredBiased(rng, margin, w, h, landProb);
         }
         
         this.updateDiagram();
@@ -538,11 +756,12 @@ export class VoronoiGenerator {
             falloff = 'radial',
             falloffStrength = 0.7,
             smoothing = 0,       // Number of smoothing iterations (0 = none)
-            smoothingStrength = 0.6  // How much to blend with neighbors (0-1)
+            smoothingStrength = 0.6, // How much to blend with neighbors (0-1)
+            plateCount = 12      // Number of plates for the 'tectonic' algorithm
         } = options;
         
         // Store settings for potential redraw
-        this._lastHeightmapOptions = { seed, algorithm, frequency, octaves, seaLevel, falloff, falloffStrength, smoothing, smoothingStrength };
+        this._lastHeightmapOptions = { seed, algorithm, frequency, octaves, seaLevel, falloff, falloffStrength, smoothing, smoothingStrength, plateCount };
         
         this.seaLevel = seaLevel;
         
@@ -561,6 +780,15 @@ export class VoronoiGenerator {
         const cx = this.width / 2;
         const cy = this.height / 2;
         
+        // Tectonic heights depend on the cell graph, so they are built up front
+        this.plates = null;
+        this.plateCount = 0;
+        this.plateMotions = [];
+        this.plateOceanic = null;
+        const tectonicField = algorithm === 'tectonic'
+            ? this._generateTectonicField(seed, { frequency, octaves, plateCount })
+            : null;
+        
         // Generate height for each cell
         for (let i = 0; i < this.cellCount; i++) {
             const x = this.points[i * 2];
@@ -601,6 +829,9 @@ export class VoronoiGenerator {
                 case 'continental':
                     h = Noise.continental(nx, ny, { frequency, octaves, continentSize: 0.6, coastComplexity: 0.5 });
                     break;
+                case 'tectonic':
+                    h = tectonicField[i];
+                    break;
                 case 'fbm':
                 default:
                     h = Noise.fbm(nx, ny, { frequency, octaves });
@@ -668,6 +899,177 @@ export class VoronoiGenerator {
         return this.metrics;
     }
     
+    /**
+     * Build a tectonic height field over the Voronoi cells
+     * Seeds plates, grows them across the cell graph, assigns motion vectors,
+     * then raises convergent boundaries and lowers divergent ones
+     * Returns Float32Array of heights in [-1, 1] and stores plate data on the generator
+     */
+    _generateTectonicField(seed, options = {}) {
+        const {
+            frequency = 3,
+            octaves = 6,
+            plateCount = 12
+        } = options;
+        
+        const n = this.cellCount;
+        const numPlates = Math.max(2, Math.min(plateCount, n));
+        
+        // Plates draw from their own stream of the heightmap seed
+        const rng = createPRNG(deriveSeed(seed, 'plates'));
+        
+        // 1. Seed plates at random cells
+        const plates = new Int16Array(n).fill(-1);
+        const queues = [];
+        const queueHeads = new Int32Array(numPlates);
+        const growth = new Float32Array(numPlates);
+        
+        for (let p = 0; p < numPlates; p++) {
+            let cell;
+            let attempts = 0;
+            do {
+                cell = rng.int(0, n - 1);
+                attempts++;
+            } while (plates[cell] >= 0 && attempts < 100);
+            
+            plates[cell] = p;
+            queues.push([cell]);
+            // Uneven growth rates give a mix of large and small plates
+            growth[p] = rng.range(0.4, 1.6);
+        }
+        
+        // 2. Grow plates round-robin, each plate expanding at its own rate
+        const credit = new Float32Array(numPlates);
+        let active = numPlates;
+        
+        while (active > 0) {
+            active = 0;
+            for (let p = 0; p < numPlates; p++) {
+                const queue = queues[p];
+                if (queueHeads[p] >= queue.length) continue;
+                active++;
+                
+                credit[p] += growth[p];
+                while (credit[p] >= 1 && queueHeads[p] < queue.length) {
+                    credit[p] -= 1;
+                    const cell = queue[queueHeads[p]++];
+                    for (const nb of this.voronoi.neighbors(cell)) {
+                        if (plates[nb] >= 0) continue;
+                        plates[nb] = p;
+                        queue.push(nb);
+                    }
+                }
+            }
+        }
+        
+        // 3. Motion vectors and crust type per plate
+        const motions = [];
+        const oceanic = new Uint8Array(numPlates);
+        for (let p = 0; p < numPlates; p++) {
+            const angle = rng.random() * Math.PI * 2;
+            const speed = rng.range(0.3, 1);
+            motions.push({ x: Math.cos(angle) * speed, y: Math.sin(angle) * speed });
+            oceanic[p] = rng.random() < 0.45 ? 1 : 0;
+        }
+        
+        // 4. Boundary stress - relative plate motion projected on the boundary normal
+        // Positive = plates collide (convergent), negative = plates pull apart (divergent)
+        const boundaryEffect = new Float32Array(n);
+        const queue = new Int32Array(n);
+        let tail = 0;
+        
+        for (let i = 0; i < n; i++) {
+            const p = plates[i];
+            const x = this.points[i * 2];
+            const y = this.points[i * 2 + 1];
+            let effect = 0;
+            
+            for (const nb of this.voronoi.neighbors(i)) {
+                const q = plates[nb];
+                if (q === p) continue;
+                
+                let dx = this.points[nb * 2] - x;
+                let dy = this.points[nb * 2 + 1] - y;
+                const len = Math.sqrt(dx * dx + dy * dy) || 1;
+                dx /= len;
+                dy /= len;
+                
+                const stress = (motions[p].x - motions[q].x) * dx + (motions[p].y - motions[q].y) * dy;
+                
+                let e;
+                if (stress > 0) {
+                    if (oceanic[p] && !oceanic[q]) {
+                        e = -stress * 0.6;      // Subducting oceanic plate - trench
+                    } else if (!oceanic[p] && oceanic[q]) {
+                        e = stress * 1.0;       // Overriding continent - coastal range
+                    } else if (oceanic[p] && oceanic[q]) {
+                        e = stress * 0.55;      // Ocean-ocean collision - island arc
+                    } else {
+                        e = stress * 1.2;       // Continental collision - high range
+                    }
+                } else {
+                    e = stress * 0.5;           // Divergent - rift
+                }
+                
+                if (Math.abs(e) > Math.abs(effect)) effect = e;
+            }
+            
+            if (effect !== 0) {
+                boundaryEffect[i] = effect;
+                queue[tail++] = i;
+            }
+        }
+        
+        // 5. Spread boundary effects into each plate with distance falloff
+        const dist = new Int32Array(n).fill(-1);
+        const source = new Float32Array(n);
+        for (let k = 0; k < tail; k++) {
+            dist[queue[k]] = 0;
+            source[queue[k]] = boundaryEffect[queue[k]];
+        }
+        
+        let head = 0;
+        while (head < tail) {
+            const cell = queue[head++];
+            for (const nb of this.voronoi.neighbors(cell)) {
+                if (dist[nb] >= 0 || plates[nb] !== plates[cell]) continue;
+                dist[nb] = dist[cell] + 1;
+                source[nb] = source[cell];
+                queue[tail++] = nb;
+            }
+        }
+        
+        // Belt width scales with cell density so ranges look the same at any cell count
+        const beltWidth = Math.max(2, Math.sqrt(n) / 40);
+        
+        // 6. Combine plate base height, boundary uplift and noise detail
+        const field = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            const nx = this.points[i * 2] / this.width;
+            const ny = this.points[i * 2 + 1] / this.height;
+            
+            const base = oceanic[plates[i]] ? -0.35 : 0.2;
+            
+            let uplift = 0;
+            if (dist[i] >= 0) {
+                // Break ranges into peaks and passes along their length
+                const variation = 0.7 + 0.3 * Noise.simplex2(nx * frequency * 4, ny * frequency * 4);
+                uplift = source[i] * Math.exp(-dist[i] / beltWidth) * variation;
+            }
+            
+            const detail = Noise.fbm(nx, ny, { frequency, octaves }) * 0.25;
+            
+            field[i] = Math.max(-1, Math.min(1, base + uplift + detail));
+        }
+        
+        this.plates = plates;
+        this.plateCount = numPlates;
+        this.plateMotions = motions;
+        this.plateOceanic = oceanic;
+        
+        return field;
+    }
+    
     /**
      * Smooth heights by averaging with neighbors
      * @param {number} iterations - Number of smoothing passes
@@ -682,30 +1084,7 @@ export class VoronoiGenerator {
             const newHeights = new Float32Array(this.cellCount);
             
             for (let i = 0; i < this.cellCount; i++) {
-                const neighbors = Array.from(this.voronoi.neighbors(i));
-                
-                if (neighbors.length === 0) {
-                    newHeights[i] = this.heights[i];
-                    continue;
-                }
-                
-                // Calculate weighted average with neighbors
-                let sum = 0;
-                let totalWeight = 0;
-                
-                // Add neighbor contributions
-                for (const n of neighbors) {
-                    // Weight by inverse distance for smoother results
-                    const dx = this.points[i * 2] - this.points[n * 2];
-                    const dy = this.points[i * 2 + 1] - this.points[n * 2 + 1];
-                    const dist = Math.sqrt(dx * dx + dy * dy);
-                    const weight = 1 / (dist + 1);
-                    
-                    sum += this.heights[n] * weight;
-                    totalWeight += weight;
-                }
-                
-                const neighborAvg = sum / totalWeight;
+                const neighborAvg = this._neighborAverageHeight(i);
                 
                 // Blend between original and neighbor average
                 newHeights[i] = this.heights[i] * (1 - clampedStrength) + neighborAvg * clampedStrength;
@@ -721,6 +1100,319 @@ export class VoronoiGenerator {
         }
     }
     
+    /**
+     * Inverse-distance weighted average height of a cell's neighbors
+     * (the cell's own height if it has none)
+     */
+    _neighborAverageHeight(i) {
+        let sum = 0;
+        let totalWeight = 0;
+        
+        for (const n of this.voronoi.neighbors(i)) {
+            // Weight by inverse distance for smoother results
+            const dx = this.points[i * 2] - this.points[n * 2];
+            const dy = this.points[i * 2 + 1] - this.points[n * 2 + 1];
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const weight = 1 / (dist + 1);
+            
+            sum += this.heights[n] * weight;
+            totalWeight += weight;
+        }
+        
+        return totalWeight > 0 ? sum / totalWeight : this.heights[i];
+    }
+    
+    /**
+     * Cells within `radius` of a world position with their brush weight
+     * (1 at the center, smoothly falling to 0 at the rim). Grows outward from the
+     * cell under the point, so cost depends on brush size, not map size.
+     * @returns {Array<{cell: number, weight: number}>}
+     */
+    _cellsInBrush(x, y, radius) {
+        const start = this.findCellWorld(x, y);
+        if (start < 0) return [];
+        
+        const r2 = radius * radius;
+        const result = [];
+        const visited = new Set([start]);
+        const queue = [start];
+        
+        while (queue.length > 0) {
+            const cell = queue.pop();
+            const dx = this.points[cell * 2] - x;
+            const dy = this.points[cell * 2 + 1] - y;
+            const d2 = dx * dx + dy * dy;
+            
+            // Keep the start cell even when the brush is smaller than a cell
+            if (d2 > r2 && cell !== start) continue;
+            
+            const falloff = 1 - Math.min(1, d2 / r2);
+            result.push({ cell, weight: falloff * falloff });
+            
+            for (const n of this.voronoi.neighbors(cell)) {
+                if (!visited.has(n)) {
+                    visited.add(n);
+                    queue.push(n);
+                }
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Apply one brush dab at a world position
+     * raise/lower add up to ±BRUSH_RATE meters, smooth blends toward the neighbor
+     * average (as in smoothHeights), flatten pulls toward `brush.target`, sea pushes
+     * cells below sea level. Strength and distance from the center scale the effect.
+     * kingdom hands every land cell under the brush to `brush.kingdom`.
+     * @returns {number[]} Changed cells
+     */
+    applyBrush(x, y, brush = this.brush) {
+        if (!this.heights || !this.voronoi || !brush.tool) return [];
+        
+        const cells = this._cellsInBrush(x, y, brush.radius);
+        
+        // The kingdom brush claims the whole disc - strength doesn't apply
+        if (brush.tool === 'kingdom') {
+            return this.assignCellsToKingdom(cells.map(({ cell }) => cell), brush.kingdom);
+        }
+        
+        const BRUSH_RATE = 250;  // Meters per dab at full strength
+        const strength = Math.max(0, Math.min(1, brush.strength));
+        
+        // Smooth reads neighbors, so compute every new value before writing any
+        const newHeights = cells.map(({ cell, weight }) => {
+            const h = this.heights[cell];
+            const amount = strength * weight;
+            switch (brush.tool) {
+                case 'raise': return h + BRUSH_RATE * amount;
+                case 'lower': return h - BRUSH_RATE * amount;
+                case 'smooth': return h + (this._neighborAverageHeight(cell) - h) * amount;
+                case 'flatten': return h + (brush.target - h) * amount;
+                case 'sea': return Math.min(h, ELEVATION.SEA_LEVEL - 20 - 480 * amount);
+                default: return h;
+            }
+        });
+        
+        const changed = [];
+        let coastChanged = false;
+        for (let i = 0; i < cells.length; i++) {
+            const cell = cells[i].cell;
+            const h = Math.max(ELEVATION.MIN, Math.min(ELEVATION.MAX, newHeights[i]));
+            if (h === this.heights[cell]) continue;
+            
+            this.heights[cell] = h;
+            const land = h >= ELEVATION.SEA_LEVEL ? 1 : 0;
+            if (this.terrain[cell] !== land) {
+                this.terrain[cell] = land;
+                coastChanged = true;
+            }
+            changed.push(cell);
+        }
+        
+        if (changed.length > 0) {
+            this._invalidateEditedCells(changed, coastChanged);
+        }
+        return changed;
+    }
+    
+    /**
+     * Drop only what an edit to `cells` invalidates: their cached tiles always,
+     * contours while heights change, coastline and borders only when land/sea flipped.
+     * Contours and coastline are whole-map structures, so during a stroke they are
+     * rebuilt at most every BRUSH_REFRESH_MS and once more when the stroke ends.
+     */
+    _invalidateEditedCells(cells, coastChanged, final = false) {
+        if (this.tileCache) {
+            this.tileCache.invalidateCells(cells);
+        }
+        
+        const stroke = this._brushStroke;
+        if (stroke) {
+            stroke.heightsDirty = true;
+            stroke.coastDirty = stroke.coastDirty || coastChanged;
+            
+            const now = performance.now();
+            if (!final && now - stroke.lastRefresh < BRUSH_REFRESH_MS) return;
+            stroke.lastRefresh = now;
+            coastChanged = stroke.coastDirty;
+            stroke.heightsDirty = false;
+            stroke.coastDirty = false;
+        }
+        
+        this._contourCache = null;
+        if (coastChanged) {
+            this.clearContourCache();
+            this.landmasses = null;
+            this.landmassBoundaries = null;
+        }
+    }
+    
+    /**
+     * Start a brush stroke at screen coordinates
+     * Emits 'brushstart' on the canvas before anything changes (the app saves undo history there).
+     * A kingdom stroke with `brush.kingdom` -1 first founds a kingdom on the cell under the cursor
+     * and keeps painting with it.
+     */
+    beginBrushStroke(screenX, screenY) {
+        const tool = this.brush.tool;
+        if (!this.heights || !tool) return;
+        
+        let foundingCell = -1;
+        if (tool === 'kingdom') {
+            if (!this.kingdoms) return;
+            if (this.brush.kingdom < 0) {
+                foundingCell = this.findCell(screenX, screenY);
+                if (!this._canSeatCapitol(foundingCell)) return;
+            }
+        }
+        
+        this.canvas?.dispatchEvent(new CustomEvent('brushstart', { detail: { tool } }));
+        
+        this.isPainting = true;
+        this._brushStroke = {
+            tool, lastX: null, lastY: null, lastRefresh: performance.now(),
+            heightsDirty: false, coastDirty: false, bordersDirty: false
+        };
+        
+        if (foundingCell >= 0) {
+            this.brush.kingdom = this.createKingdom(foundingCell);
+        }
+        this.continueBrushStroke(screenX, screenY);
+    }
+    
+    /**
+     * Paint along the stroke - dabs are spaced a third of the radius apart
+     * so the effect doesn't depend on how often the mouse reports movement
+     */
+    continueBrushStroke(screenX, screenY) {
+        const stroke = this._brushStroke;
+        if (!stroke) return;
+        
+        const world = this.screenToWorld(screenX, screenY);
+        this.brushPosition = world;
+        
+        if (stroke.lastX !== null) {
+            const spacing = Math.max(1, this.brush.radius / 3);
+            const dx = world.x - stroke.lastX;
+            const dy = world.y - stroke.lastY;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < spacing) {
+                this._debouncedRender();
+                return;
+            }
+            
+            // Fill in dabs along fast strokes
+            const steps = Math.floor(dist / spacing);
+            for (let i = 1; i < steps; i++) {
+                const t = i / steps;
+                this.applyBrush(stroke.lastX + dx * t, stroke.lastY + dy * t);
+            }
+        }
+        
+        this.applyBrush(world.x, world.y);
+        stroke.lastX = world.x;
+        stroke.lastY = world.y;
+        this._debouncedRender();
+    }
+    
+    /**
+     * Finish the stroke: rebuild deferred caches and bring temperature, biomes and climate zones
+     * in line with the new elevations. Emits 'brushend' on the canvas.
+     */
+    endBrushStroke() {
+        const stroke = this._brushStroke;
+        if (!stroke) return;
+        
+        if (stroke.heightsDirty || stroke.coastDirty) {
+            this._invalidateEditedCells([], stroke.coastDirty, true);
+        }
+        if (stroke.bordersDirty) {
+            this._invalidateKingdomCells([], true);
+        }
+        this._brushStroke = null;
+        this.isPainting = false;
+        
+        if (stroke.tool !== 'kingdom') {
+            this.refreshDerivedLayers();
+        }
+        this._updateProvinces();
+        
+        this.render();
+        this.canvas?.dispatchEvent(new CustomEvent('brushend', { detail: { tool: stroke.tool } }));
+    }
+    
+    /**
+     * Bring temperature, biomes, climate zones, mountain ranges, seas and forests in line
+     * with changed elevations or rainfall. Only layers the world already has are rebuilt.
+     */
+    refreshDerivedLayers() {
+        if (this.temperature) {
+            const hadBiomes = !!this.biomes;
+            const hadClimates = !!this.climateZones;
+            this.generateTemperature();
+            if (hadBiomes) this.classifyBiomes();
+            if (hadClimates) this.classifyClimates();
+        }
+        if (this.mountainRangeIds) this.generateMountainRanges();
+        if (this.waterBodyIds) this.generateWaterBodies();
+        if (this.forestIds) this.generateForests();
+    }
+    
+    /**
+     * Pick up the city or capitol under the cursor
+     * @returns {boolean} Whether there was one to drag
+     */
+    beginSettlementDrag(screenX, screenY) {
+        const hit = this.hitTestLabel(screenX, screenY);
+        if (!hit || (hit.type !== 'city' && hit.type !== 'capital')) return false;
+        
+        this._settlementDrag = { ref: { type: hit.type, index: hit.index }, from: hit.cell, moved: false };
+        this.isMovingSettlement = true;
+        this.canvas.style.cursor = 'grabbing';
+        return true;
+    }
+    
+    /**
+     * Follow the cursor cell by cell, skipping cells the settlement can't stand on
+     * Emits 'settlementdragstart' on the canvas before the first move (the app saves undo history there)
+     */
+    continueSettlementDrag(screenX, screenY) {
+        const drag = this._settlementDrag;
+        if (!drag) return;
+        
+        const cell = this.findCell(screenX, screenY);
+        if (cell < 0 || cell === this._settlementCell(drag.ref) || !this._canMoveSettlement(drag.ref, cell)) return;
+        
+        if (!drag.moved) {
+            this.canvas?.dispatchEvent(new CustomEvent('settlementdragstart', { detail: { ...drag.ref } }));
+            drag.moved = true;
+        }
+        this._placeSettlement(drag.ref, cell);
+        this._debouncedRender();
+    }
+    
+    /**
+     * Drop the settlement and re-route its roads. Emits 'settlementdragend' on the canvas.
+     */
+    endSettlementDrag() {
+        const drag = this._settlementDrag;
+        if (!drag) return;
+        this._settlementDrag = null;
+        this.isMovingSettlement = false;
+        this.canvas.style.cursor = 'grab';
+        if (!drag.moved) return;
+        
+        const cell = this._settlementCell(drag.ref);
+        if (cell !== drag.from) {
+            this._rerouteSettlement(drag.from, cell);
+            this._updateProvinces();
+        }
+        this.render();
+        this.canvas?.dispatchEvent(new CustomEvent('settlementdragend', { detail: { ...drag.ref } }));
+    }
+    
     /**
      * Apply realistic hydraulic erosion simulation
      * Traces water from high points downhill to sea, carving valleys
@@ -1044,113 +1736,102 @@ export class VoronoiGenerator {
     }
     
     /**
-     * Generate precipitation based on wind direction and terrain
-     * Windward slopes (facing wind) get rain, leeward slopes (behind mountains) are dry
+     * Generate precipitation by carrying moisture across the map with the wind
+     * Air picks up humidity over the sea and loses it over land; climbing air can hold
+     * less, so windward slopes get heavy rain and everything downwind of a range stays
+     * dry until the air crosses water again (rain shadows span whole ranges)
      */
     generatePrecipitation(options = {}) {
         if (!this.heights || this.cellCount === 0) return;
         
         const {
             windDirection = this.windDirection,  // degrees, 0=N, 90=E, 180=S, 270=W
-            windStrength = this.windStrength,    // 0-1
-            basePrecip = 0.5,                    // base precipitation level
-            orographicStrength = 2.0             // how much slopes affect rain
+            windStrength = this.windStrength,    // 0-1, stronger wind carries moisture further inland
+            windBands = this.windBands,          // Prevailing winds by latitude instead of windDirection
+            equator = 1.0,                       // As in generateTemperature (0=top, 1=bottom)
+            basePrecip = 0.5,                    // Rain from air at full humidity on flat land
+            orographicStrength = 1.2,            // How quickly air loses capacity as it climbs
+            evaporation = 0.6,                   // Share of the humidity deficit refilled per cell over water
+            recycling = 0.5,                     // Share of land rain that evaporates back into the air
+            annualRainfall = 2500,               // Yearly rainfall (mm) of the wettest cell, for the seasonal split
+            coastalReach = 4                     // Neighbor steps over which sea air evens out the seasons
         } = options;
         
         this.windDirection = windDirection;
         this.windStrength = windStrength;
-        
-        // Wind blows FROM the specified direction
-        // Wind FROM north (0°) means air moves southward (+Y in screen coords)
-        // Wind FROM west (270°) means air moves eastward (+X)
-        const windRad = windDirection * Math.PI / 180;
-        const windToX = Math.sin(windRad);   // Direction wind blows TO
-        const windToY = Math.cos(windRad);   // +Y is down on screen
-        
-        // Allocate array
-        this.precipitation = new Float32Array(this.cellCount);
-        
-        // For each cell, calculate precipitation based on slope relative to wind
-        for (let i = 0; i < this.cellCount; i++) {
-            const x = this.points[i * 2];
-            const y = this.points[i * 2 + 1];
-            const elevation = this.heights[i];
-            const isOcean = elevation < ELEVATION.SEA_LEVEL;
-            
-            // Calculate elevation gradient in wind direction
-            const neighbors = Array.from(this.voronoi.neighbors(i));
-            
-            let upwindElev = 0;
-            let upwindCount = 0;
-            let downwindElev = 0; 
-            let downwindCount = 0;
-            
-            for (const n of neighbors) {
-                const nx = this.points[n * 2];
-                const ny = this.points[n * 2 + 1];
-                const nElev = this.heights[n];
+        this.windBands = windBands;
+        
+        const n = this.cellCount;
+        const points = this.points;
+        const heights = this.heights;
+        
+        // Wind vector per cell (direction the air moves TO; +Y is down on screen)
+        const windX = new Float32Array(n);
+        const windY = new Float32Array(n);
+        this._fillWindField(windX, windY, { windDirection, windBands, equator });
+        
+        // Visit cells upwind first, so each cell sees its upwind neighbors' air already updated
+        const along = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            along[i] = points[i * 2] * windX[i] + points[i * 2 + 1] * windY[i];
+        }
+        const order = new Uint32Array(n);
+        for (let i = 0; i < n; i++) order[i] = i;
+        order.sort((a, b) => along[a] - along[b]);
+        
+        // Distance over which air rains out on flat land
+        const reach = Math.max(this.width, this.height) * (0.1 + 0.4 * windStrength);
+        const spacing = Math.sqrt(this.width * this.height / n);
+        
+        const humidity = new Float32Array(n);   // Humidity of the air leaving each cell (0-1)
+        this.precipitation = new Float32Array(n);
+        
+        // Uniform wind is ordered in one sweep; bands meet at their edges and need a few
+        const sweeps = windBands ? 3 : 1;
+        for (let sweep = 0; sweep < sweeps; sweep++) {
+            for (let k = 0; k < n; k++) {
+                const i = order[k];
+                const x = points[i * 2];
+                const y = points[i * 2 + 1];
                 
-                // Vector from this cell to neighbor
-                const toNeighborX = nx - x;
-                const toNeighborY = ny - y;
-                
-                // Dot product with wind direction
-                // Positive = neighbor is in downwind direction
-                // Negative = neighbor is in upwind direction
-                const dot = toNeighborX * windToX + toNeighborY * windToY;
-                
-                if (dot < -5) {  // Neighbor is upwind
-                    upwindElev += nElev;
-                    upwindCount++;
-                } else if (dot > 5) {  // Neighbor is downwind
-                    downwindElev += nElev;
-                    downwindCount++;
-                }
-            }
-            
-            // Calculate slope in wind direction
-            // Positive slope = terrain rises in wind direction (windward slope)
-            // Negative slope = terrain falls in wind direction (leeward slope)
-            let slope = 0;
-            
-            if (upwindCount > 0 && downwindCount > 0) {
-                upwindElev /= upwindCount;
-                downwindElev /= downwindCount;
-                // Slope from upwind to this cell, normalized
-                slope = (elevation - upwindElev) / 1000;
-            } else if (upwindCount > 0) {
-                upwindElev /= upwindCount;
-                slope = (elevation - upwindElev) / 1000;
-            }
-            
-            let precip;
-            
-            if (isOcean) {
-                // Ocean has moderate, steady precipitation  
-                precip = basePrecip * 1.1;
-            } else {
-                if (slope > 0.05) {
-                    // WINDWARD slope - air rises, cools, releases moisture = HIGH rain
-                    // The steeper the upward slope, the more rain
-                    const lift = Math.min(1.5, slope * orographicStrength);
-                    precip = basePrecip + lift * windStrength * 0.5;
-                } else if (slope < -0.05) {
-                    // LEEWARD slope - air descends, warms = LOW rain (rain shadow)
-                    // The steeper the downward slope, the drier
-                    const shadow = Math.min(1, Math.abs(slope) * orographicStrength);
-                    precip = basePrecip - shadow * windStrength * 0.4;
-                } else {
-                    // Relatively flat area
-                    precip = basePrecip;
+                // Air arriving from the neighbors whose wind points at this cell
+                let inflow = 0, weight = 0, step = 0;
+                for (const j of this.voronoi.neighbors(i)) {
+                    const dx = x - points[j * 2];
+                    const dy = y - points[j * 2 + 1];
+                    const len = Math.sqrt(dx * dx + dy * dy) || 1;
+                    const w = (dx * windX[j] + dy * windY[j]) / len;
+                    if (w <= 0) continue;
+                    inflow += w * humidity[j];
+                    step += w * len;
+                    weight += w;
                 }
                 
-                // Very high elevations can still catch some moisture if windward
-                if (slope > 0 && elevation > 2000) {
-                    precip += 0.05 * (elevation / ELEVATION.MAX);
+                const isOcean = heights[i] < ELEVATION.SEA_LEVEL;
+                // Air entering over the map edge: moist from the sea, half-dry over land
+                let h = weight > 0 ? inflow / weight : (isOcean ? 1 : 0.5);
+                step = weight > 0 ? step / weight : spacing;
+                
+                if (isOcean) {
+                    // Water refills the air
+                    h += (1 - h) * evaporation;
+                    this.precipitation[i] = basePrecip * 1.1 * h;
+                    humidity[i] = h;
+                    continue;
                 }
+                
+                // Cold air aloft holds less - the excess falls on the way up
+                const capacity = Math.exp(-heights[i] * orographicStrength / 5000);
+                const lift = Math.max(0, h - capacity);
+                const rain = lift + (h - lift) * (1 - Math.exp(-step / reach));
+                
+                this.precipitation[i] = basePrecip * h + lift * orographicStrength;
+                humidity[i] = h - rain * (1 - recycling);
             }
-            
-            this.precipitation[i] = Math.max(0.05, Math.min(1, precip));
+        }
+        
+        for (let i = 0; i < n; i++) {
+            this.precipitation[i] = Math.max(0.05, Math.min(1, this.precipitation[i]));
         }
         
         // Smooth precipitation for more natural look
@@ -1168,11 +1849,126 @@ export class VoronoiGenerator {
             this.precipitation[i] = (this.precipitation[i] - minP) / range;
         }
         
+        this._splitPrecipitationSeasons({ equator, annualRainfall, coastalReach });
+        
+        // Biomes and climate zones depend on precipitation and must be reclassified
+        this.biomes = null;
+        this.climateZones = null;
+        
         this.clearContourCache();
         
         return this.precipitation;
     }
     
+    /**
+     * Wind vector per cell, pointing where the air moves
+     * One direction everywhere, or with `windBands` Earth-like prevailing winds:
+     * trade winds from the east toward the equator, westerlies in the mid latitudes
+     * and polar easterlies, with the bands a third of the pole-to-equator span each
+     */
+    _fillWindField(windX, windY, { windDirection = this.windDirection, windBands = false, equator = 1.0 } = {}) {
+        // Wind FROM north (0°) means air moves southward (+Y in screen coords)
+        // Wind FROM west (270°) means air moves eastward (+X)
+        const windRad = windDirection * Math.PI / 180;
+        const uniformX = -Math.sin(windRad);
+        const uniformY = Math.cos(windRad);
+        const norm = 1 / Math.sqrt(1.25);
+        
+        for (let i = 0; i < this.cellCount; i++) {
+            if (!windBands) {
+                windX[i] = uniformX;
+                windY[i] = uniformY;
+                continue;
+            }
+            
+            const y = this.points[i * 2 + 1];
+            const lat = this._latitudeAt(y, equator);
+            const towardEquator = y < equator * this.height ? 1 : -1;
+            
+            if (lat < 1 / 3 || lat >= 2 / 3) {
+                // Trade winds and polar easterlies: westward, drifting toward the equator
+                windX[i] = -norm;
+                windY[i] = 0.5 * towardEquator * norm;
+            } else {
+                // Westerlies: eastward, drifting toward the pole
+                windX[i] = norm;
+                windY[i] = -0.5 * towardEquator * norm;
+            }
+        }
+    }
+    
+    /**
+     * Divide each cell's yearly rainfall between the warm and cold half-year
+     * Monsoons wet the summers of the outer tropics, subtropical highs dry the summers
+     * of coasts around 40% of the way to the pole (Mediterranean), and continental
+     * interiors get most of their rain from summer storms. Near the equator and over
+     * open water rain falls evenly through the year.
+     */
+    _splitPrecipitationSeasons({ equator = 1.0, annualRainfall = 2500, coastalReach = 4 } = {}) {
+        const n = this.cellCount;
+        const seaDist = this._seaDistance();
+        // Tent function: 1 at center, 0 beyond halfWidth
+        const band = (lat, center, halfWidth) => Math.max(0, 1 - Math.abs(lat - center) / halfWidth);
+        
+        this.summerPrecipitation = new Float32Array(n);
+        this.winterPrecipitation = new Float32Array(n);
+        
+        for (let i = 0; i < n; i++) {
+            const lat = this._latitudeAt(this.points[i * 2 + 1], equator);
+            const dist = seaDist[i] < 0 ? Infinity : seaDist[i];
+            const coastal = Math.exp(-dist / (coastalReach * 3));
+            const isOcean = this.heights[i] < ELEVATION.SEA_LEVEL;
+            
+            // Share of the year's rain that falls in summer (0.5 = even)
+            let summerShare = 0.5;
+            summerShare += 0.35 * band(lat, 0.22, 0.17) * (isOcean ? 0.5 : 1);
+            summerShare -= 0.35 * band(lat, 0.42, 0.12) * coastal;
+            if (!isOcean) summerShare += 0.15 * (1 - coastal) * Math.min(1, lat / 0.3);
+            summerShare = Math.max(0.05, Math.min(0.95, summerShare));
+            
+            // Squared so most land is moderately wet and only the wettest cells get rainforest totals
+            const annual = this.precipitation[i] * this.precipitation[i] * annualRainfall;
+            this.summerPrecipitation[i] = annual * summerShare;
+            this.winterPrecipitation[i] = annual * (1 - summerShare);
+        }
+    }
+    
+    /**
+     * Distance from the sea in neighbor steps (0 for ocean cells, -1 where no ocean is reachable)
+     */
+    _seaDistance() {
+        const dist = new Int32Array(this.cellCount).fill(-1);
+        const queue = new Int32Array(this.cellCount);
+        let head = 0, tail = 0;
+        
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.heights[i] < ELEVATION.SEA_LEVEL) {
+                dist[i] = 0;
+                queue[tail++] = i;
+            }
+        }
+        
+        while (head < tail) {
+            const cell = queue[head++];
+            for (const n of this.voronoi.neighbors(cell)) {
+                if (dist[n] >= 0) continue;
+                dist[n] = dist[cell] + 1;
+                queue[tail++] = n;
+            }
+        }
+        
+        return dist;
+    }
+    
+    /**
+     * Latitude of a map row: 0 at the equator row, 1 at the map edge furthest from it
+     * @param {number} equator - Equator row as a fraction of map height (0=top, 1=bottom)
+     */
+    _latitudeAt(y, equator = 1.0) {
+        const maxLatDist = Math.max(equator, 1 - equator) || 1;
+        return Math.min(1, Math.abs(y / this.height - equator) / maxLatDist);
+    }
+    
     /**
      * Smooth precipitation values
      */
@@ -1180,76 +1976,1243 @@ export class VoronoiGenerator {
         for (let iter = 0; iter < iterations; iter++) {
             const newPrecip = new Float32Array(this.cellCount);
             
-            for (let i = 0; i < this.cellCount; i++) {
-                const neighbors = Array.from(this.voronoi.neighbors(i));
-                let sum = this.precipitation[i];
+            for (let i = 0; i < this.cellCount; i++) {
+                const neighbors = Array.from(this.voronoi.neighbors(i));
+                let sum = this.precipitation[i];
+                
+                for (const n of neighbors) {
+                    sum += this.precipitation[n];
+                }
+                
+                newPrecip[i] = sum / (neighbors.length + 1);
+            }
+            
+            this.precipitation.set(newPrecip);
+        }
+    }
+    
+    /**
+     * Generate mean annual temperature (°C) per cell
+     * Latitude band across the map height, cooled by elevation (lapse rate)
+     * and pulled toward a mild mean near the ocean.
+     * Also fills summer and winter temperatures: the seasonal swing grows toward
+     * the poles and away from the sea.
+     */
+    generateTemperature(options = {}) {
+        if (!this.heights || this.cellCount === 0) return;
+        
+        const {
+            equator = 1.0,           // Warmest row as fraction of map height (0=top, 1=bottom)
+            poleTemp = -8,           // Sea-level temperature furthest from the equator
+            equatorTemp = 34,        // Sea-level temperature at the equator
+            lapseRate = 4.5,         // °C lost per 1000m (gentler than Earth's 6.5 so uplands aren't all tundra)
+            oceanModeration = 0.35,  // How strongly the sea evens out extremes (0-1)
+            coastalReach = 4,        // Neighbor steps over which the sea influence fades
+            equatorSeasonRange = 2,  // Summer-winter difference at the equator (°C)
+            poleSeasonRange = 40,    // Summer-winter difference at the pole, far inland (°C)
+            seaSeasonDamping = 0.5   // Share of the seasonal swing the sea removes at the coast
+        } = options;
+        
+        const meanTemp = (poleTemp + equatorTemp) / 2;
+        const coastDist = this._seaDistance();
+        
+        this.temperature = new Float32Array(this.cellCount);
+        this.summerTemperature = new Float32Array(this.cellCount);
+        this.winterTemperature = new Float32Array(this.cellCount);
+        
+        for (let i = 0; i < this.cellCount; i++) {
+            const y = this.points[i * 2 + 1];
+            const elevation = this.heights[i];
+            
+            // Latitude: 0 at the equator, 1 at the pole edge of the map
+            const lat = this._latitudeAt(y, equator);
+            const seaLevelTemp = equatorTemp + (poleTemp - equatorTemp) * lat;
+            
+            // Pull toward the mean near water, fading inland
+            const dist = coastDist[i] < 0 ? Infinity : coastDist[i];
+            const moderation = oceanModeration * Math.exp(-dist / coastalReach);
+            let temp = seaLevelTemp + (meanTemp - seaLevelTemp) * moderation;
+            
+            // Cool with altitude on land only
+            if (elevation > ELEVATION.SEA_LEVEL) {
+                temp -= lapseRate * elevation / 1000;
+            }
+            
+            this.temperature[i] = temp;
+            
+            // Seasonal swing: wider poleward, narrower where the sea reaches further inland
+            const seaDamping = seaSeasonDamping * Math.exp(-dist / (coastalReach * 3));
+            const seasonRange = (equatorSeasonRange + (poleSeasonRange - equatorSeasonRange) * lat) * (1 - seaDamping);
+            this.summerTemperature[i] = temp + seasonRange / 2;
+            this.winterTemperature[i] = temp - seasonRange / 2;
+        }
+        
+        // Temperature changes invalidate biomes and climate zones
+        this.biomes = null;
+        this.climateZones = null;
+        
+        return this.temperature;
+    }
+    
+    /**
+     * Classify each cell into a Whittaker-style biome
+     * Combines mean annual temperature with normalized precipitation
+     */
+    classifyBiomes() {
+        if (!this.heights || this.cellCount === 0) return;
+        
+        if (!this.precipitation) this.generatePrecipitation();
+        if (!this.temperature) this.generateTemperature();
+        
+        this.biomes = new Uint8Array(this.cellCount);
+        
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.heights[i] < ELEVATION.SEA_LEVEL) {
+                this.biomes[i] = BIOME.MARINE;
+                continue;
+            }
+            this.biomes[i] = this._getBiome(this.temperature[i], this.precipitation[i]);
+        }
+        
+        return this.biomes;
+    }
+    
+    /**
+     * Whittaker lookup for a land cell
+     * @param {number} temp - Mean annual temperature (°C)
+     * @param {number} precip - Precipitation (0-1)
+     */
+    _getBiome(temp, precip) {
+        if (temp < -10) return BIOME.GLACIER;
+        if (temp < -2) return BIOME.TUNDRA;
+        if (temp < 4) return precip < 0.3 ? BIOME.TUNDRA : BIOME.TAIGA;
+        
+        if (temp < 18) {
+            if (precip < 0.3) return BIOME.COLD_DESERT;
+            if (precip < 0.37) return BIOME.GRASSLAND;
+            if (precip < 0.43) return BIOME.SHRUBLAND;
+            if (precip < 0.62) return BIOME.TEMPERATE_FOREST;
+            return BIOME.TEMPERATE_RAINFOREST;
+        }
+        
+        if (precip < 0.33) return BIOME.DESERT;
+        if (precip < 0.45) return BIOME.SAVANNA;
+        if (precip < 0.6) return BIOME.TROPICAL_SEASONAL_FOREST;
+        return BIOME.TROPICAL_RAINFOREST;
+    }
+    
+    /**
+     * Classify each land cell into a Köppen-style climate zone
+     * from its summer and winter temperature and rainfall
+     */
+    classifyClimates() {
+        if (!this.heights || this.cellCount === 0) return;
+        
+        if (!this.summerPrecipitation) this.generatePrecipitation();
+        if (!this.summerTemperature) this.generateTemperature();
+        
+        this.climateZones = new Uint8Array(this.cellCount);
+        
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.heights[i] < ELEVATION.SEA_LEVEL) continue;
+            const code = this._getClimateCode(
+                this.summerTemperature[i], this.winterTemperature[i],
+                this.summerPrecipitation[i], this.winterPrecipitation[i]
+            );
+            this.climateZones[i] = CLIMATE_ZONE_IDS.get(code);
+        }
+        
+        return this.climateZones;
+    }
+    
+    /**
+     * Köppen code for a land cell
+     * Summer and winter temperatures stand in for the warmest and coldest month,
+     * and the monthly mean of the drier half-year for the driest month.
+     * @param {number} summerTemp - Warm-season temperature (°C)
+     * @param {number} winterTemp - Cold-season temperature (°C)
+     * @param {number} summerPrecip - Warm half-year rainfall (mm)
+     * @param {number} winterPrecip - Cold half-year rainfall (mm)
+     */
+    _getClimateCode(summerTemp, winterTemp, summerPrecip, winterPrecip) {
+        const annual = summerPrecip + winterPrecip;
+        const meanTemp = (summerTemp + winterTemp) / 2;
+        
+        // Polar: too cold in summer for trees
+        if (summerTemp < 0) return 'EF';
+        if (summerTemp < 10) return 'ET';
+        
+        // Arid: less rain than evaporation takes, which is more when the rain comes in the heat
+        const seasonalBonus = summerPrecip >= 0.7 * annual ? 280 : (winterPrecip >= 0.7 * annual ? 0 : 140);
+        const aridThreshold = 20 * meanTemp + seasonalBonus;
+        if (annual < aridThreshold) {
+            return (annual < aridThreshold / 2 ? 'BW' : 'BS') + (meanTemp >= 18 ? 'h' : 'k');
+        }
+        
+        const driestMonth = Math.min(summerPrecip, winterPrecip) / 6;
+        
+        // Tropical: no cool season
+        if (winterTemp >= 18) {
+            if (driestMonth >= 60) return 'Af';
+            return driestMonth >= 100 - annual / 25 ? 'Am' : 'Aw';
+        }
+        
+        // Temperate (mild winters) or continental: dry season, then summer heat
+        let dryness = 'f';
+        if (summerPrecip < winterPrecip / 3 && summerPrecip / 6 < 40) dryness = 's';
+        else if (winterPrecip < summerPrecip / 4) dryness = 'w';
+        
+        let heat = summerTemp >= 22 ? 'a' : (summerTemp >= 15 ? 'b' : 'c');
+        if (winterTemp > -3) return 'C' + dryness + heat;
+        if (winterTemp < -38) heat = 'd';
+        return 'D' + dryness + heat;
+    }
+    
+    /**
+     * Spread naming cultures over the map from a few origins on land
+     * Each origin takes one of the NameGenerator cultures (weighted, no repeats) and
+     * claims cells in order of travel cost, so high ground and open water hold cultures
+     * apart. Every cell gets a culture, water included, so land that appears later
+     * (filled inland seas, brush edits) already has one.
+     */
+    generateCultures(options = {}) {
+        if (!this.heights || this.cellCount === 0) return;
+        
+        const {
+            count = 6,          // Number of culture origins
+            mountainCost = 3,   // Extra travel cost per 1000m of elevation
+            seaCost = 10        // Travel cost multiplier over water
+        } = options;
+        
+        const rng = this._randomStream('cultures');
+        
+        const landCells = [];
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.heights[i] >= ELEVATION.SEA_LEVEL) landCells.push(i);
+        }
+        
+        // Which cultures: weighted draw without replacement
+        const available = Object.entries(this.nameGenerator.cultures).map(([name, culture]) => ({ name, weight: culture.weight }));
+        const cultureCount = Math.min(count, available.length, Math.max(1, landCells.length));
+        this.cultureNames = [];
+        while (this.cultureNames.length < cultureCount) {
+            const total = available.reduce((sum, c) => sum + c.weight, 0);
+            let pick = rng.random() * total;
+            let index = 0;
+            while (index < available.length - 1 && (pick -= available[index].weight) > 0) index++;
+            this.cultureNames.push(available.splice(index, 1)[0].name);
+        }
+        
+        // Where: best of a few random land cells, farthest from the origins so far
+        this.cultureOrigins = [];
+        if (landCells.length > 0) {
+            while (this.cultureOrigins.length < cultureCount) {
+                let best = -1, bestDist = -1;
+                for (let c = 0; c < 20; c++) {
+                    const cell = landCells[Math.floor(rng.random() * landCells.length)];
+                    let minDist = Infinity;
+                    for (const origin of this.cultureOrigins) {
+                        const dx = this.points[cell * 2] - this.points[origin * 2];
+                        const dy = this.points[cell * 2 + 1] - this.points[origin * 2 + 1];
+                        minDist = Math.min(minDist, dx * dx + dy * dy);
+                    }
+                    if (minDist > bestDist) {
+                        bestDist = minDist;
+                        best = cell;
+                    }
+                }
+                this.cultureOrigins.push(best);
+            }
+        }
+        
+        // Cheapest-first expansion from all origins at once
+        this.cultures = new Uint8Array(this.cellCount);
+        const cost = new Float64Array(this.cellCount).fill(Infinity);
+        const heap = new MinHeap(1024);
+        
+        this.cultureOrigins.forEach((cell, culture) => {
+            this.cultures[cell] = culture;
+            cost[cell] = 0;
+            heap.push(cell, 0);
+        });
+        
+        while (heap.size > 0) {
+            const current = heap.peekPriority();
+            const cell = heap.pop();
+            if (current > cost[cell]) continue;
+            
+            const x = this.points[cell * 2];
+            const y = this.points[cell * 2 + 1];
+            
+            for (const n of this.voronoi.neighbors(cell)) {
+                const dx = this.points[n * 2] - x;
+                const dy = this.points[n * 2 + 1] - y;
+                let step = Math.sqrt(dx * dx + dy * dy);
+                
+                if (this.heights[n] < ELEVATION.SEA_LEVEL) {
+                    step *= seaCost;
+                } else {
+                    step *= 1 + this.heights[n] / 1000 * mountainCost;
+                }
+                
+                const next = current + step;
+                if (next < cost[n]) {
+                    cost[n] = next;
+                    this.cultures[n] = this.cultures[cell];
+                    heap.push(n, next);
+                }
+            }
+        }
+        
+        if (this.kingdoms && this.kingdomCells) this._assignKingdomCultures();
+        
+        return this.cultures;
+    }
+    
+    /**
+     * NameGenerator culture for names at a cell (undefined before cultures are generated,
+     * which lets the NameGenerator pick one at random)
+     */
+    _cultureAt(cell) {
+        if (!this.cultures || cell < 0) return undefined;
+        return this.cultureNames[this.cultures[cell]];
+    }
+    
+    /**
+     * NameGenerator culture for a kingdom's names
+     */
+    _kingdomCulture(kingdom) {
+        if (!this.kingdomCultures || kingdom < 0 || this.kingdomCultures[kingdom] === undefined) return undefined;
+        return this.cultureNames[this.kingdomCultures[kingdom]];
+    }
+    
+    /**
+     * Give each kingdom the culture of most of its cells
+     */
+    _assignKingdomCultures() {
+        this.kingdomCultures = [];
+        for (let k = 0; k < this.kingdomCount; k++) {
+            const cells = this.kingdomCells[k] || [];
+            const counts = new Map();
+            for (const cell of cells) {
+                counts.set(this.cultures[cell], (counts.get(this.cultures[cell]) || 0) + 1);
+            }
+            
+            let culture = cells.length > 0 ? this.cultures[cells[0]] : 0;
+            let most = 0;
+            for (const [c, n] of counts) {
+                if (n > most || (n === most && c < culture)) {
+                    most = n;
+                    culture = c;
+                }
+            }
+            this.kingdomCultures.push(culture);
+        }
+    }
+    
+    /**
+     * Calculate drainage direction for each cell and trace rivers
+     * 'filled' mode (the default) fills every depression so rivers run straight to the sea.
+     * In 'lakes' mode significant depressions are kept as lakes: lakes whose catchment
+     * out-rains their evaporation overflow into an outflow river, the rest become
+     * endorheic salt lakes.
+     * Seas cut off from the map edge are filled to low land unless they are big enough
+     * to stay as inland seas.
+     */
+    calculateDrainage(options = {}) {
+        if (!this.heights || this.cellCount === 0) {
+            return;
+        }
+        
+        const {
+            fillInlandSeas = true,
+            minInlandSea = 0.002,   // Share of the cells an enclosed sea needs to stay as an inland sea
+            numberOfRivers = 30,
+            mode = 'filled',        // 'filled' or 'lakes'
+            minLakeDepth = 30,      // Meters of water a depression must hold to become a lake
+            maxLakeSize = 100,      // Max cells per lake
+            evaporation = 1.0       // Lake evaporation scale (higher = more salt lakes)
+        } = options;
+        
+        // Step 1: Fill the small enclosed seas (ocean cells not connected to map edge)
+        if (fillInlandSeas) {
+            this._fillInlandSeas(Math.ceil(minInlandSea * this.cellCount));
+        }
+        
+        // Step 2: Fill depressions so every cell has a downhill path to the ocean
+        this._fillDepressions();
+        
+        // Clear all previous data
+        this.rivers = [];
+        this.lakes = [];
+        this.lakeCells = new Set();
+        this.lakeDepths = new Map();
+        
+        // Step 3: Drainage direction - steepest descent over filled heights
+        this.drainage = new Int32Array(this.cellCount).fill(-1);
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.heights[i] < ELEVATION.SEA_LEVEL) continue;
+            
+            let lowest = this.filledHeights[i];
+            for (const n of this.voronoi.neighbors(i)) {
+                if (this.filledHeights[n] < lowest) {
+                    lowest = this.filledHeights[n];
+                    this.drainage[i] = n;
+                }
+            }
+        }
+        
+        // Step 4: Keep significant depressions as lakes
+        if (mode === 'lakes') {
+            this._generateLakes(minLakeDepth, maxLakeSize, evaporation);
+        }
+        
+        // Find all land cells (lakes are water, rivers never start in them)
+        const landCells = [];
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.heights[i] >= ELEVATION.SEA_LEVEL && !this.lakeCells.has(i)) {
+                landCells.push(i);
+            }
+        }
+        
+        if (landCells.length === 0) return;
+        
+        // Place river start points randomly across high elevation areas
+        const startCells = this._selectRiverStartPoints(landCells, numberOfRivers);
+        
+        
+        // Trace each river to the ocean (or into a lake)
+        let reachedOcean = 0;
+        for (const startCell of startCells) {
+            const river = this._traceRiverToOcean(startCell);
+            if (river.path.length >= 5) {  // Minimum 5 cells for a river
+                this.rivers.push(river);
+                reachedOcean++;
+            }
+        }
+        
+        // Outflow rivers from lakes that overflow
+        for (let l = 0; l < this.lakes.length; l++) {
+            const lake = this.lakes[l];
+            if (lake.salt) continue;
+            
+            const river = this._traceRiverToOcean(lake.outlet, new Set(lake.cells));
+            
+            // Start at the shore cell next to the outlet so the river leaves the lake
+            const shore = lake.cells.find(c => Array.from(this.voronoi.neighbors(c)).includes(lake.outlet));
+            if (shore !== undefined) {
+                river.path.unshift({
+                    cell: shore,
+                    x: this.points[shore * 2],
+                    y: this.points[shore * 2 + 1],
+                    elevation: this.heights[shore],
+                    isOcean: false
+                });
+            }
+            
+            if (river.path.length >= 3) {
+                river.sourceLake = l;
+                this.rivers.push(river);
+            }
+        }
+        
+        // Generate names for rivers and lakes (from the world seed, not the previous run's state)
+        if (!this.cultures) this.generateCultures();
+        this._nameStream('rivers', true);
+        this._generateRiverNames();
+        this._generateLakeNames();
+        
+    }
+    
+    /**
+     * Turn terrain depressions into lakes (via _createLake) and classify them
+     * Lakes whose catchment rainfall can't make up for surface evaporation have
+     * no outlet - endorheic basins with salt lakes
+     */
+    _generateLakes(minLakeDepth, maxLakeSize, evaporation) {
+        // Candidate basins: land pits no higher than any neighbor, lowest first
+        const pits = [];
+        for (let i = 0; i < this.cellCount; i++) {
+            const h = this.heights[i];
+            if (h < ELEVATION.SEA_LEVEL) continue;
+            
+            let isPit = true;
+            for (const n of this.voronoi.neighbors(i)) {
+                if (this.heights[n] < h) {
+                    isPit = false;
+                    break;
+                }
+            }
+            if (isPit) pits.push(i);
+        }
+        pits.sort((a, b) => this.heights[a] - this.heights[b]);
+        
+        const processed = new Set();
+        const lakeIndex = new Int32Array(this.cellCount).fill(-1);
+        
+        for (const pit of pits) {
+            if (processed.has(pit)) continue;
+            
+            const lake = this._createLake(pit, processed, minLakeDepth, maxLakeSize);
+            if (!lake) continue;
+            
+            // Basins from neighboring pits can overlap - first lake wins
+            if (lake.cells.some(c => lakeIndex[c] >= 0)) continue;
+            
+            for (const cell of lake.cells) {
+                lakeIndex[cell] = this.lakes.length;
+                this.lakeCells.add(cell);
+                this.lakeDepths.set(cell, lake.surfaceElevation - this.heights[cell]);
+            }
+            this.lakes.push(lake);
+        }
+        
+        if (this.lakes.length === 0) return;
+        
+        // Water balance: rain over each lake's catchment vs evaporation from its surface
+        const inflow = new Float64Array(this.lakes.length);
+        const terminal = new Int32Array(this.cellCount).fill(-2);  // -2 = not yet routed
+        const chain = [];
+        
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.heights[i] < ELEVATION.SEA_LEVEL) continue;
+            
+            // Follow drainage until it reaches a lake, the sea, or an already routed cell
+            let current = i;
+            chain.length = 0;
+            while (current >= 0 && terminal[current] === -2 && lakeIndex[current] < 0) {
+                terminal[current] = -3;  // In progress (guards against drainage loops)
+                chain.push(current);
+                current = this.drainage[current];
+            }
+            
+            let result = -1;
+            if (current >= 0) {
+                result = lakeIndex[current] >= 0 ? lakeIndex[current] : Math.max(-1, terminal[current]);
+            }
+            for (const cell of chain) {
+                terminal[cell] = result;
+            }
+            
+            const target = lakeIndex[i] >= 0 ? lakeIndex[i] : result;
+            if (target >= 0) {
+                inflow[target] += this.precipitation ? this.precipitation[i] : 0.5;
+            }
+        }
+        
+        for (let l = 0; l < this.lakes.length; l++) {
+            const lake = this.lakes[l];
+            
+            // Warmer lakes lose more water
+            let meanTemp = 15;
+            if (this.temperature) {
+                meanTemp = 0;
+                for (const cell of lake.cells) meanTemp += this.temperature[cell];
+                meanTemp /= lake.cells.length;
+            }
+            const loss = lake.cells.length * evaporation * Math.max(0.2, (meanTemp + 10) / 30);
+            
+            // An outlet that drains back into the lake means the basin is closed at this level
+            const escapes = lakeIndex[lake.outlet] < 0 && terminal[lake.outlet] !== l;
+            
+            lake.salt = !escapes || inflow[l] < loss;
+            if (lake.salt) {
+                // Endorheic - water only leaves by evaporating
+                lake.outlet = -1;
+                for (const cell of lake.cells) {
+                    this.drainage[cell] = -1;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Generate names for all lakes
+     */
+    _generateLakeNames() {
+        if (!this.lakes || this.lakes.length === 0) return;
+        
+        for (const lake of this.lakes) {
+            lake.name = this.nameGenerator.generateNames(1, 'lake', { culture: this._cultureAt(lake.cells[0]) })[0] || 'Lake';
+        }
+    }
+    
+    /**
+     * Find and name mountain ranges: clusters of high ground grown from the highest
+     * land cells down to their foothills, so peaks joined by a high pass form one range.
+     * The threshold follows the world's own relief (the top `highlandShare` of land,
+     * never below `minElevation`). Each range gets its principal axis from the cell
+     * covariance and a smoothed spine along it for the label to follow.
+     * Ranges that survive a rebuild (after a terrain edit) keep their names.
+     */
+    generateMountainRanges(options = {}) {
+        if (!this.heights || this.cellCount === 0) return;
+        
+        const {
+            minElevation = 1000,    // Lowest peak elevation (m) that can start a range
+            highlandShare = 0.12,   // Share of land high enough to start a range
+            foothills = 0.9,        // Ranges spread through cells above this fraction of the threshold
+            minCells = 5,           // Smallest cluster that counts as a range
+            minLength = Math.max(this.width, this.height) * 0.03, // Shortest range (px) along its axis
+            maxRanges = 24
+        } = options;
+        
+        const landHeights = [];
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.heights[i] >= ELEVATION.SEA_LEVEL) landHeights.push(this.heights[i]);
+        }
+        
+        const previous = this.mountainRanges || [];
+        const previousIds = this.mountainRangeIds?.length === this.cellCount ? this.mountainRangeIds : null;
+        
+        this.mountainRanges = [];
+        this.mountainRangeIds = new Int32Array(this.cellCount).fill(-1);
+        if (landHeights.length === 0) return this.mountainRanges;
+        
+        landHeights.sort((a, b) => a - b);
+        const threshold = Math.max(minElevation, landHeights[Math.floor((landHeights.length - 1) * (1 - highlandShare))]);
+        const floor = threshold * foothills;
+        
+        // Highest cells first, so each range grows from its summit
+        const summits = [];
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.heights[i] >= threshold) summits.push(i);
+        }
+        summits.sort((a, b) => this.heights[b] - this.heights[a]);
+        
+        const visited = new Uint8Array(this.cellCount);
+        const clusters = [];
+        for (const summit of summits) {
+            if (visited[summit]) continue;
+            
+            const cells = [summit];
+            visited[summit] = 1;
+            for (let c = 0; c < cells.length; c++) {
+                for (const n of this.voronoi.neighbors(cells[c])) {
+                    if (!visited[n] && this.heights[n] >= floor) {
+                        visited[n] = 1;
+                        cells.push(n);
+                    }
+                }
+            }
+            
+            if (cells.length >= minCells) clusters.push(cells);
+        }
+        
+        const ranges = [];
+        for (const cells of clusters) {
+            const range = this._measureMountainRange(cells);
+            if (range.length >= minLength) ranges.push(range);
+        }
+        ranges.sort((a, b) => b.cells.length - a.cells.length || a.peak - b.peak);
+        ranges.length = Math.min(ranges.length, maxRanges);
+        
+        const inherited = this._inheritRegionNames(previous, previousIds, ranges);
+        this._nameStream('mountains', true);
+        ranges.forEach((range, r) => {
+            range.name = inherited[r] || this.nameGenerator.generateNames(1, 'mountain', { culture: this._cultureAt(range.peak), isRange: true })[0] || `Range ${r + 1}`;
+            for (const cell of range.cells) this.mountainRangeIds[cell] = r;
+        });
+        
+        this.mountainRanges = ranges;
+        return ranges;
+    }
+    
+    /**
+     * Names to carry over when a set of named regions (mountain ranges, seas, forests) is
+     * rebuilt: each new region takes the name of the old region of the same kind it overlaps
+     * most, as long as they share at least half of the smaller one. Larger overlaps claim
+     * their names first, and each old name goes to one region at most.
+     * @param {Array} previous - Regions before the rebuild ({name, cells, kind})
+     * @param {Int32Array|null} previousIds - Old region index per cell
+     * @param {Array} regions - Rebuilt regions ({cells, kind})
+     * @returns {Array<string|undefined>} Inherited name per rebuilt region
+     */
+    _inheritRegionNames(previous, previousIds, regions) {
+        const names = [];
+        if (!previousIds || previous.length === 0) return names;
+        
+        const pairs = [];
+        regions.forEach((region, r) => {
+            const overlap = new Map();
+            for (const cell of region.cells) {
+                const old = previousIds[cell];
+                if (old >= 0) overlap.set(old, (overlap.get(old) || 0) + 1);
+            }
+            for (const [old, count] of overlap) {
+                const before = previous[old];
+                if (!before || before.kind !== region.kind) continue;
+                if (count * 2 >= Math.min(region.cells.length, before.cells.length)) pairs.push({ r, old, count });
+            }
+        });
+        pairs.sort((a, b) => b.count - a.count || a.r - b.r || a.old - b.old);
+        
+        const claimed = new Set();
+        for (const { r, old } of pairs) {
+            if (names[r] !== undefined || claimed.has(old)) continue;
+            names[r] = previous[old].name;
+            claimed.add(old);
+        }
+        return names;
+    }
+    
+    /**
+     * Shape of a mountain cluster: summit, centre, principal axis, extent along and
+     * across it, and a spine of a few points following the cluster's bends
+     */
+    _measureMountainRange(cells) {
+        let peak = cells[0];
+        for (const cell of cells) {
+            if (this.heights[cell] > this.heights[peak]) peak = cell;
+        }
+        
+        const { cx, cy, angle, ux, uy, minT, maxT, width } = this._principalAxis(cells);
+        const length = maxT - minT;
+        
+        // Average offset across the axis in a few bins along it
+        const binCount = Math.max(2, Math.min(6, Math.round(cells.length / 6)));
+        const offsetSum = new Float64Array(binCount);
+        const binCells = new Uint32Array(binCount);
+        for (const cell of cells) {
+            const dx = this.points[cell * 2] - cx;
+            const dy = this.points[cell * 2 + 1] - cy;
+            const bin = Math.min(binCount - 1, Math.floor((dx * ux + dy * uy - minT) / (length || 1) * binCount));
+            offsetSum[bin] += -dx * uy + dy * ux;
+            binCells[bin]++;
+        }
+        
+        // Bin centres, with the end bins pushed out to the ends of the range
+        const spine = [];
+        for (let b = 0; b < binCount; b++) {
+            if (binCells[b] === 0) continue;
+            const t = b === 0 ? minT : b === binCount - 1 ? maxT : minT + (b + 0.5) / binCount * length;
+            const offset = offsetSum[b] / binCells[b];
+            spine.push({ x: cx + ux * t - uy * offset, y: cy + uy * t + ux * offset });
+        }
+        
+        return {
+            name: '',
+            cells,
+            peak,
+            peakHeight: this.heights[peak],
+            center: { x: cx, y: cy },
+            angle,
+            length,
+            width,
+            spine: this._smoothSpine(spine)
+        };
+    }
+    
+    /**
+     * Centre and principal axis of a cluster of cells (main eigenvector of the cell
+     * position covariance), turned to point rightwards so text along it reads upright,
+     * with the extent along the axis and the spread (4 standard deviations) across it
+     */
+    _principalAxis(cells) {
+        let cx = 0, cy = 0;
+        for (const cell of cells) {
+            cx += this.points[cell * 2];
+            cy += this.points[cell * 2 + 1];
+        }
+        cx /= cells.length;
+        cy /= cells.length;
+        
+        let sxx = 0, syy = 0, sxy = 0;
+        for (const cell of cells) {
+            const dx = this.points[cell * 2] - cx;
+            const dy = this.points[cell * 2 + 1] - cy;
+            sxx += dx * dx;
+            syy += dy * dy;
+            sxy += dx * dy;
+        }
+        sxx /= cells.length;
+        syy /= cells.length;
+        sxy /= cells.length;
+        
+        let angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        if (Math.cos(angle) < 0) angle += Math.PI;
+        const ux = Math.cos(angle), uy = Math.sin(angle);
+        
+        let minT = Infinity, maxT = -Infinity, across = 0;
+        for (const cell of cells) {
+            const dx = this.points[cell * 2] - cx;
+            const dy = this.points[cell * 2 + 1] - cy;
+            const t = dx * ux + dy * uy;
+            minT = Math.min(minT, t);
+            maxT = Math.max(maxT, t);
+            across += (dx * uy - dy * ux) ** 2;
+        }
+        
+        return { cx, cy, angle, ux, uy, minT, maxT, width: 4 * Math.sqrt(across / cells.length) };
+    }
+    
+    /**
+     * One pass of neighbour averaging over a label spine: keeps the bends, drops the zigzag
+     */
+    _smoothSpine(spine) {
+        return spine.map((p, i) => {
+            if (i === 0 || i === spine.length - 1) return p;
+            return {
+                x: (spine[i - 1].x + 2 * p.x + spine[i + 1].x) / 4,
+                y: (spine[i - 1].y + 2 * p.y + spine[i + 1].y) / 4
+            };
+        });
+    }
+    
+    /**
+     * Split the sea into named water bodies. Sea cells are ranked by distance from the
+     * coast and flooded from the most open water down (a watershed on that distance);
+     * where two basins meet at a neck narrower than `neck` times the smaller one's
+     * open-water radius they stay apart. Basins are then classed by size and by how much
+     * of their shore is land - oceans, seas, gulfs and bays - with inland seas cut off
+     * from the map edge. Narrow necks between two landmasses become straits, and an
+     * ocean's coastal waters are split into seas by the culture of the coast they lie off.
+     * Bodies that survive a rebuild as the same kind keep their names.
+     */
+    generateWaterBodies(options = {}) {
+        if (!this.heights || this.cellCount === 0) return;
+        
+        const {
+            neck = 0.5,         // Basins stay apart where the neck is narrower than this share of the smaller one's radius
+            minRadius = 2.5,    // Open-water radius (cell spacings) a basin needs to stand on its own
+            straitWidth = 3,    // Widest neck (cell spacings from the middle to the shore) that makes a strait
+            oceanShare = 0.2,   // Share of the sea an edge-touching basin needs to be an ocean
+            enclosure = 0.6,    // Share of a basin's shore that is land for a bay or gulf
+            gulfShare = 0.03,   // Share of the sea an enclosed basin needs to be a gulf rather than a bay
+            coastalSea = 0.06,  // How far (share of the map's longer side) an ocean's coastal seas reach out
+            seaShare = 0.015    // Share of the sea a stretch of coastal water needs to be a sea of its own
+        } = options;
+        
+        const spacing = Math.sqrt(this.width * this.height / this.cellCount);
+        const isWater = (cell) => this.heights[cell] < ELEVATION.SEA_LEVEL && !(this.lakeCells && this.lakeCells.has(cell));
+        
+        const previous = this.waterBodies || [];
+        const previousIds = this.waterBodyIds?.length === this.cellCount ? this.waterBodyIds : null;
+        
+        this.waterBodies = [];
+        this.waterBodyIds = new Int32Array(this.cellCount).fill(-1);
+        
+        // Distance from the coast through the water, cheapest-first from the shore cells
+        const seaCells = [];
+        const coastDist = new Float64Array(this.cellCount).fill(Infinity);
+        const heap = new MinHeap(1024);
+        for (let i = 0; i < this.cellCount; i++) {
+            if (!isWater(i)) continue;
+            seaCells.push(i);
+            for (const n of this.voronoi.neighbors(i)) {
+                if (!isWater(n)) {
+                    coastDist[i] = 0;
+                    heap.push(i, 0);
+                    break;
+                }
+            }
+        }
+        if (seaCells.length === 0) return this.waterBodies;
+        
+        while (heap.size > 0) {
+            const current = heap.peekPriority();
+            const cell = heap.pop();
+            if (current > coastDist[cell]) continue;
+            
+            for (const n of this.voronoi.neighbors(cell)) {
+                if (!isWater(n)) continue;
+                const dx = this.points[n * 2] - this.points[cell * 2];
+                const dy = this.points[n * 2 + 1] - this.points[cell * 2 + 1];
+                const next = current + Math.sqrt(dx * dx + dy * dy);
+                if (next < coastDist[n]) {
+                    coastDist[n] = next;
+                    heap.push(n, next);
+                }
+            }
+        }
+        
+        // Watershed: open water first, basins joined by union-find unless the neck is narrow
+        const order = seaCells.slice().sort((a, b) => coastDist[b] - coastDist[a] || a - b);
+        const basinOf = new Int32Array(this.cellCount).fill(-1);
+        const basinParent = [];
+        const basinPeak = [];
+        const find = (b) => {
+            while (basinParent[b] !== b) {
+                basinParent[b] = basinParent[basinParent[b]];
+                b = basinParent[b];
+            }
+            return b;
+        };
+        
+        const saddles = [];
+        for (const cell of order) {
+            const roots = [];
+            for (const n of this.voronoi.neighbors(cell)) {
+                if (basinOf[n] < 0) continue;
+                const root = find(basinOf[n]);
+                if (!roots.includes(root)) roots.push(root);
+            }
+            
+            if (roots.length === 0) {
+                basinOf[cell] = basinParent.length;
+                basinParent.push(basinParent.length);
+                basinPeak.push(cell);
+                continue;
+            }
+            
+            // Water reaching the map edge is no neck: the sea carries on beyond it
+            const x = this.points[cell * 2];
+            const y = this.points[cell * 2 + 1];
+            const open = Math.min(x, y, this.width - x, this.height - y) < coastDist[cell];
+            
+            roots.sort((a, b) => coastDist[basinPeak[b]] - coastDist[basinPeak[a]] || a - b);
+            for (let r = 1; r < roots.length; r++) {
+                const radius = coastDist[basinPeak[roots[r]]];
+                if (open || radius < minRadius * spacing || coastDist[cell] >= neck * radius) {
+                    basinParent[roots[r]] = roots[0];
+                } else {
+                    saddles.push(cell);
+                }
+            }
+            basinOf[cell] = roots[0];
+        }
+        
+        // Straits: the narrow part of a neck, with land of two different landmasses on its shores
+        const landmass = new Int32Array(this.cellCount).fill(-1);
+        let landmassCount = 0;
+        for (let i = 0; i < this.cellCount; i++) {
+            if (isWater(i) || landmass[i] >= 0) continue;
+            const stack = [i];
+            landmass[i] = landmassCount;
+            while (stack.length > 0) {
+                for (const n of this.voronoi.neighbors(stack.pop())) {
+                    if (!isWater(n) && landmass[n] < 0) {
+                        landmass[n] = landmassCount;
+                        stack.push(n);
+                    }
+                }
+            }
+            landmassCount++;
+        }
+        
+        const straitOf = new Int32Array(this.cellCount).fill(-1);
+        const straits = [];
+        for (const saddle of saddles) {
+            const level = coastDist[saddle];
+            if (straitOf[saddle] >= 0 || level > straitWidth * spacing) continue;
+            
+            const sx = this.points[saddle * 2];
+            const sy = this.points[saddle * 2 + 1];
+            const reach = 2 * level + 2 * spacing;
+            const cells = [saddle];
+            const shores = new Set();
+            const seen = new Set([saddle]);
+            for (let c = 0; c < cells.length; c++) {
+                for (const n of this.voronoi.neighbors(cells[c])) {
+                    if (seen.has(n)) continue;
+                    seen.add(n);
+                    if (!isWater(n)) {
+                        shores.add(landmass[n]);
+                        continue;
+                    }
+                    const dx = this.points[n * 2] - sx;
+                    const dy = this.points[n * 2 + 1] - sy;
+                    if (straitOf[n] < 0 && coastDist[n] <= level + spacing * 0.5 && dx * dx + dy * dy <= reach * reach) {
+                        cells.push(n);
+                    }
+                }
+            }
+            
+            if (shores.size < 2 || cells.length < 2) continue;
+            for (const cell of cells) straitOf[cell] = straits.length;
+            straits.push({ cells, anchor: saddle });
+        }
+        
+        // Collect the basins (in order of openness) and classify them
+        const bodyOfRoot = new Map();
+        const bodies = [];
+        for (const cell of order) {
+            if (straitOf[cell] >= 0) continue;
+            const root = find(basinOf[cell]);
+            if (!bodyOfRoot.has(root)) {
+                bodyOfRoot.set(root, bodies.length);
+                bodies.push({ cells: [], anchor: basinPeak[root] });
+            }
+            bodies[bodyOfRoot.get(root)].cells.push(cell);
+        }
+        bodies.forEach((body, b) => {
+            for (const cell of body.cells) this.waterBodyIds[cell] = b;
+        });
+        straits.forEach((strait, s) => {
+            for (const cell of strait.cells) this.waterBodyIds[cell] = bodies.length + s;
+        });
+        
+        const edgeConnected = this._edgeConnectedOcean();
+        const margin = 10;
+        bodies.forEach((body, b) => {
+            let land = 0, open = 0, touchesEdge = false;
+            for (const cell of body.cells) {
+                const x = this.points[cell * 2];
+                const y = this.points[cell * 2 + 1];
+                if (x < margin || x > this.width - margin || y < margin || y > this.height - margin) {
+                    touchesEdge = true;
+                    open++;
+                }
+                for (const n of this.voronoi.neighbors(cell)) {
+                    if (!isWater(n)) land++;
+                    else if (this.waterBodyIds[n] !== b) open++;
+                }
+            }
+            
+            if (!edgeConnected[body.anchor]) {
+                body.kind = 'inland';
+            } else if (touchesEdge && body.cells.length >= oceanShare * seaCells.length) {
+                body.kind = 'ocean';
+            } else if (land >= enclosure * (land + open)) {
+                body.kind = body.cells.length >= gulfShare * seaCells.length ? 'gulf' : 'bay';
+            } else {
+                body.kind = 'sea';
+            }
+        });
+        // Seas: an ocean's coastal waters, one for each stretch of coast held by one culture
+        const seaReach = coastalSea * Math.max(this.width, this.height);
+        const oceanCount = bodies.length;
+        for (let b = 0; b < oceanCount; b++) {
+            const ocean = bodies[b];
+            if (ocean.kind !== 'ocean' || coastDist[ocean.anchor] < 2 * seaReach) continue;
+            
+            const claimed = new Set();
+            const carved = new Set();
+            for (const start of ocean.cells) {
+                if (claimed.has(start) || coastDist[start] > seaReach) continue;
                 
-                for (const n of neighbors) {
-                    sum += this.precipitation[n];
+                const culture = this.cultures ? this.cultures[start] : 0;
+                const cells = [start];
+                claimed.add(start);
+                for (let c = 0; c < cells.length; c++) {
+                    for (const n of this.voronoi.neighbors(cells[c])) {
+                        if (claimed.has(n) || this.waterBodyIds[n] !== b || coastDist[n] > seaReach) continue;
+                        if (this.cultures && this.cultures[n] !== culture) continue;
+                        claimed.add(n);
+                        cells.push(n);
+                    }
                 }
+                if (cells.length < seaShare * seaCells.length) continue;
                 
-                newPrecip[i] = sum / (neighbors.length + 1);
+                let anchor = cells[0];
+                for (const cell of cells) {
+                    carved.add(cell);
+                    if (coastDist[cell] > coastDist[anchor]) anchor = cell;
+                }
+                bodies.push({ cells, anchor, kind: 'sea' });
             }
-            
-            this.precipitation.set(newPrecip);
+            ocean.cells = ocean.cells.filter(cell => !carved.has(cell));
         }
+        
+        for (const strait of straits) {
+            strait.kind = 'strait';
+            bodies.push(strait);
+        }
+        
+        // Anchor each label in the open middle of its body, clear of the coast and the map edge
+        const roomAt = (cell) => {
+            const x = this.points[cell * 2];
+            const y = this.points[cell * 2 + 1];
+            return Math.min(coastDist[cell], x, y, this.width - x, this.height - y);
+        };
+        bodies.forEach((body, b) => {
+            for (const cell of body.cells) {
+                this.waterBodyIds[cell] = b;
+                if (roomAt(cell) > roomAt(body.anchor)) body.anchor = cell;
+            }
+        });
+        
+        const nameTypes = { ocean: 'Ocean', sea: 'Sea', gulf: 'Gulf', bay: 'Bay', strait: 'Strait', inland: 'Sea' };
+        const inherited = this._inheritRegionNames(previous, previousIds, bodies);
+        this._nameStream('seas', true);
+        this.waterBodies = bodies.map((body, b) => {
+            const name = inherited[b] || this.nameGenerator.generateNames(1, 'sea', { culture: this._cultureAt(body.anchor), type: nameTypes[body.kind] })[0];
+            return {
+                name: name || `${nameTypes[body.kind]} ${b + 1}`,
+                kind: body.kind,
+                cells: body.cells,
+                anchor: body.anchor,
+                ...this._regionLabelSpine(body.cells, body.anchor, this.waterBodyIds, b, spacing)
+            };
+        });
+        
+        return this.waterBodies;
     }
     
     /**
-     * Calculate drainage direction for each cell (for flow visualization)
-     * Uses precipitation to calculate flow accumulation which affects lake formation
+     * Find and name forests. A land cell is wooded where its rainfall, for its warmth,
+     * supports a forest biome and it lies below the treeline; contiguous wooded cells of
+     * one kind - boreal, temperate or tropical - make one forest. Each is named in the
+     * culture of its heartland, the cell deepest inside it, where its label is anchored.
+     * Forests that survive a rebuild (after a terrain edit) keep their names, renamed ones included.
      */
-    calculateDrainage(options = {}) {
-        if (!this.heights || this.cellCount === 0) {
-            return;
-        }
+    generateForests(options = {}) {
+        if (!this.heights || this.cellCount === 0) return;
         
         const {
-            fillInlandSeas = true,
-            numberOfRivers = 30
+            treeline = 2000,    // No forest above this elevation (m)
+            minCells = 6        // Smallest wood that counts as a forest
         } = options;
         
-        // Step 1: Fill inland seas (ocean cells not connected to map edge)
-        if (fillInlandSeas) {
-            this._fillInlandSeas();
-        }
+        if (!this.biomes) this.classifyBiomes();
         
-        // Step 2: Fill depressions so rivers flow straight to ocean
-        this._fillDepressions();
+        const spacing = Math.sqrt(this.width * this.height / this.cellCount);
+        const kindOfBiome = {
+            [BIOME.TAIGA]: 'boreal',
+            [BIOME.TEMPERATE_FOREST]: 'temperate',
+            [BIOME.TEMPERATE_RAINFOREST]: 'temperate',
+            [BIOME.TROPICAL_SEASONAL_FOREST]: 'tropical',
+            [BIOME.TROPICAL_RAINFOREST]: 'tropical'
+        };
+        const kindOf = (cell) => {
+            if (this.heights[cell] < ELEVATION.SEA_LEVEL || this.heights[cell] >= treeline) return null;
+            if (this.lakeCells && this.lakeCells.has(cell)) return null;
+            return kindOfBiome[this.biomes[cell]] || null;
+        };
         
-        // Clear all previous data - NO LAKES
-        this.rivers = [];
-        this.lakes = [];
-        this.lakeCells = new Set();
-        this.lakeDepths = new Map();
+        const previous = this.forests || [];
+        const previousIds = this.forestIds?.length === this.cellCount ? this.forestIds : null;
         
-        // Find all land cells
-        const landCells = [];
+        this.forests = [];
+        this.forestIds = new Int32Array(this.cellCount).fill(-1);
+        
+        // Contiguous woods of one kind; each cell's depth is its step count from the forest edge
+        const visited = new Uint8Array(this.cellCount);
+        const depth = new Int32Array(this.cellCount);
+        const woods = [];
         for (let i = 0; i < this.cellCount; i++) {
-            if (this.heights[i] >= ELEVATION.SEA_LEVEL) {
-                landCells.push(i);
+            const kind = kindOf(i);
+            if (visited[i] || !kind) continue;
+            
+            const cells = [i];
+            visited[i] = 1;
+            for (let c = 0; c < cells.length; c++) {
+                for (const n of this.voronoi.neighbors(cells[c])) {
+                    if (!visited[n] && kindOf(n) === kind) {
+                        visited[n] = 1;
+                        cells.push(n);
+                    }
+                }
+            }
+            if (cells.length < minCells) continue;
+            
+            const members = new Set(cells);
+            const queue = [];
+            for (const cell of cells) {
+                depth[cell] = -1;
+                for (const n of this.voronoi.neighbors(cell)) {
+                    if (!members.has(n)) {
+                        depth[cell] = 0;
+                        queue.push(cell);
+                        break;
+                    }
+                }
+            }
+            let anchor = queue.length > 0 ? queue[0] : cells[0];
+            for (let q = 0; q < queue.length; q++) {
+                const cell = queue[q];
+                for (const n of this.voronoi.neighbors(cell)) {
+                    if (members.has(n) && depth[n] < 0) {
+                        depth[n] = depth[cell] + 1;
+                        if (depth[n] > depth[anchor]) anchor = n;
+                        queue.push(n);
+                    }
+                }
             }
+            
+            woods.push({ kind, cells, anchor });
         }
+        woods.sort((a, b) => b.cells.length - a.cells.length || a.cells[0] - b.cells[0]);
         
-        if (landCells.length === 0) return;
+        woods.forEach((wood, f) => {
+            for (const cell of wood.cells) this.forestIds[cell] = f;
+        });
         
-        // Place river start points randomly across high elevation areas
-        const startCells = this._selectRiverStartPoints(landCells, numberOfRivers);
+        const inherited = this._inheritRegionNames(previous, previousIds, woods);
+        this._nameStream('forests', true);
+        this.forests = woods.map((wood, f) => ({
+            name: inherited[f] || this.nameGenerator.generateNames(1, 'forest', { culture: this._cultureAt(wood.anchor) })[0] || `Forest ${f + 1}`,
+            kind: wood.kind,
+            cells: wood.cells,
+            anchor: wood.anchor,
+            ...this._regionLabelSpine(wood.cells, wood.anchor, this.forestIds, f, spacing)
+        }));
         
+        return this.forests;
+    }
+    
+    /**
+     * Label line for a region (a water body or forest) whose cells are marked `region`
+     * in `ids`: from its most open cell along the principal axis as far as the region
+     * goes, each point then moved to its middle across the axis so the label bends
+     * with the region's shape
+     */
+    _regionLabelSpine(cells, anchor, ids, region, step) {
+        const { angle, ux, uy, minT, maxT, width } = this._principalAxis(cells);
+        const half = (maxT - minT) / 2;
+        const ax = this.points[anchor * 2];
+        const ay = this.points[anchor * 2 + 1];
+        
+        let hint = anchor;
+        const inRegion = (x, y) => {
+            if (x < step || x > this.width - step || y < step || y > this.height - step) return false;
+            hint = this.delaunay.find(x, y, hint);
+            return ids[hint] === region;
+        };
         
-        // Trace each river to ocean
-        let reachedOcean = 0;
-        for (const startCell of startCells) {
-            const river = this._traceRiverToOcean(startCell);
-            if (river.path.length >= 5) {  // Minimum 5 cells for a river
-                this.rivers.push(river);
-                reachedOcean++;
-            }
-        }
+        let ahead = 0, behind = 0;
+        while (ahead + step <= half && inRegion(ax + ux * (ahead + step), ay + uy * (ahead + step))) ahead += step;
+        while (behind + step <= half && inRegion(ax - ux * (behind + step), ay - uy * (behind + step))) behind += step;
         
-        // Generate names for rivers
-        this._generateRiverNames();
+        const maxShift = Math.max(step, width / 2);
+        const spine = [];
+        for (let i = 0; i <= 6; i++) {
+            const t = -behind + (ahead + behind) * i / 6;
+            const px = ax + ux * t;
+            const py = ay + uy * t;
+            
+            let left = 0, right = 0;
+            while (left + step <= maxShift && inRegion(px + uy * (left + step), py - ux * (left + step))) left += step;
+            while (right + step <= maxShift && inRegion(px - uy * (right + step), py + ux * (right + step))) right += step;
+            
+            const shift = (right - left) / 2;
+            spine.push({ x: px - uy * shift, y: py + ux * shift });
+        }
         
+        return {
+            center: { x: ax, y: ay },
+            angle,
+            length: ahead + behind,
+            width,
+            spine: this._smoothSpine(this._smoothSpine(spine))
+        };
+    }
+    
+    /**
+     * Drop every political layer (kingdoms, settlements, roads, provinces)
+     * They are indexed by cell, so they can't outlive the terrain they were made for.
+     */
+    clearKingdoms() {
+        this.kingdoms = null;
+        this.kingdomCount = 0;
+        this.kingdomNames = [];
+        this.kingdomCultures = [];
+        this.kingdomColors = [];
+        this.kingdomCentroids = [];
+        this.kingdomCells = [];
+        this.kingdomCapitals = [];
+        this.kingdomPopulations = [];
+        this.capitols = [];
+        this.capitolNames = [];
+        this.capitalPopulations = [];
+        this.totalPopulation = 0;
+        this.cities = [];
+        this.cityNames = [];
+        this.roads = [];
+        this.seaRoutes = [];
+        this.provinces = [];
+        this.provinceIds = null;
+        this.clearKingdomCache();
     }
     
     /**
@@ -1478,10 +3441,38 @@ export class VoronoiGenerator {
         this.kingdomCount = kingdomIdx;
         
         // Collect cells per kingdom and calculate centroids
+        this._collectKingdomTerritory();
+        
+        // Each kingdom names its land, capitol and cities in its main culture
+        if (!this.cultures) this.generateCultures();
+        this._assignKingdomCultures();
+        
+        // Generate names for all kingdoms (their capitols continue the same stream)
+        this._nameStream('kingdoms', true);
+        this.kingdomNames = [];
         for (let k = 0; k < this.kingdomCount; k++) {
-            this.kingdomCells[k] = [];
+            const culture = this._kingdomCulture(k);
+            this.kingdomNames.push(this.nameGenerator.generateNames(1, 'kingdom', { culture })[0] || `Kingdom ${k + 1}`);
         }
         
+        
+        // Generate capitols for each kingdom
+        this._generateCapitols();
+        
+        // Assign colors using graph coloring (no adjacent kingdoms share colors)
+        this._assignKingdomColors();
+        
+        // Clear kingdom render caches
+        this.clearKingdomCache();
+        
+    }
+    
+    /**
+     * Rebuild kingdomCells and kingdomCentroids from the per-cell kingdoms array
+     */
+    _collectKingdomTerritory() {
+        this.kingdomCells = Array.from({ length: this.kingdomCount }, () => []);
+        
         for (let i = 0; i < this.cellCount; i++) {
             const k = this.kingdoms[i];
             if (k >= 0 && k < this.kingdomCount) {
@@ -1489,39 +3480,16 @@ export class VoronoiGenerator {
             }
         }
         
-        // Calculate centroid for each kingdom
-        for (let k = 0; k < this.kingdomCount; k++) {
-            const cells = this.kingdomCells[k];
-            if (!cells || cells.length === 0) {
-                this.kingdomCentroids[k] = { x: 0, y: 0 };
-                continue;
-            }
+        this.kingdomCentroids = this.kingdomCells.map(cells => {
+            if (cells.length === 0) return { x: 0, y: 0 };
             
             let sumX = 0, sumY = 0;
             for (const cell of cells) {
                 sumX += this.points[cell * 2];
                 sumY += this.points[cell * 2 + 1];
             }
-            this.kingdomCentroids[k] = {
-                x: sumX / cells.length,
-                y: sumY / cells.length
-            };
-        }
-        
-        // Generate names for all kingdoms
-        this.nameGenerator.reset();
-        this.kingdomNames = this.nameGenerator.generateNames(this.kingdomCount, 'kingdom');
-        
-        
-        // Generate capitols for each kingdom
-        this._generateCapitols();
-        
-        // Assign colors using graph coloring (no adjacent kingdoms share colors)
-        this._assignKingdomColors();
-        
-        // Clear kingdom render caches
-        this.clearKingdomCache();
-        
+            return { x: sumX / cells.length, y: sumY / cells.length };
+        });
     }
     
     /**
@@ -1637,6 +3605,7 @@ export class VoronoiGenerator {
                 
                 // Skip water cells
                 if (height < ELEVATION.SEA_LEVEL) continue;
+                if (this.lakeCells && this.lakeCells.has(cellIdx)) continue;
                 
                 // Check distance to already placed capitols - skip if too close
                 let tooCloseToCapitol = false;
@@ -1790,6 +3759,7 @@ export class VoronoiGenerator {
             
             const elevation = this.heights[capitolCell];
             const name = this.nameGenerator.generateSettlementName({
+                culture: this._kingdomCulture(k),
                 isCoastal: isCoastal,
                 isHighland: elevation > 1200,
                 elevation: elevation,
@@ -1811,6 +3781,8 @@ export class VoronoiGenerator {
         if (this.cityNames && this.nameGenerator) {
             this.nameGenerator.clearCityNames(this.cityNames);
         }
+        this._nameStream('cities');
+        const rng = this._randomStream('cities');
         
         this.cities = [];      // Array of {cell, kingdom, type}
         this.cityNames = [];
@@ -1872,6 +3844,7 @@ export class VoronoiGenerator {
                 
                 // Skip water and very high mountains
                 if (height < ELEVATION.SEA_LEVEL) continue;
+                if (this.lakeCells && this.lakeCells.has(cellIdx)) continue;
                 if (height > 3500) continue;
                 
                 // Skip if too close to capitol
@@ -1911,7 +3884,7 @@ export class VoronoiGenerator {
                 }
                 
                 // Randomness to spread cities
-                score += Math.random() * 25;
+                score += rng.random() * 25;
                 
                 cellScores.push({ cell: cellIdx, score });
             }
@@ -1961,6 +3934,7 @@ export class VoronoiGenerator {
         this.cityNames = [];
         for (const city of this.cities) {
             const name = this.nameGenerator.generateSettlementName({
+                culture: this._kingdomCulture(city.kingdom),
                 isCoastal: city.isCoastal,
                 isHighland: city.elevation > 1200,
                 elevation: city.elevation
@@ -1981,6 +3955,191 @@ export class VoronoiGenerator {
         
         // Generate population distribution
         this._generatePopulation();
+        
+        // Divide the kingdoms into provinces around their settlements
+        this.generateProvinces();
+    }
+    
+    /**
+     * Divide each kingdom into provinces, one seated at its capitol and one at each of its
+     * cities. Seats grow cheapest-first through their own kingdom's land, where crossing a
+     * river or a ridge costs more (see _calculateBorderCosts), so province lines follow the
+     * lie of the land. Land no seat reaches overland joins the nearest seat of its kingdom;
+     * a kingdom without settlements has no provinces. Provinces squeezed below `minCells`
+     * are folded into the neighbour they share most border with, or across the water into
+     * the nearest one of their kingdom.
+     * With keepNames (after edits) a province inherits the name of the old province its seat
+     * stood in, so moving a town or redrawing a border doesn't rename the whole realm.
+     */
+    generateProvinces(options = {}) {
+        const {
+            minCells = 5,       // Smaller provinces join a neighbour
+            keepNames = false   // Inherit names from the current provinces (edits)
+        } = options;
+        
+        const previous = keepNames ? (this.provinces || []) : [];
+        const previousIds = keepNames && this.provinceIds?.length === this.cellCount ? this.provinceIds : null;
+        
+        this.provinces = [];
+        this.provinceIds = null;
+        if (!this.kingdoms || !this.kingdomCells) return this.provinces;
+        
+        // Capitol first, then the cities, grouped by kingdom
+        let seats = [];
+        for (let k = 0; k < this.kingdomCount; k++) {
+            const capitol = this.capitols?.[k] ?? -1;
+            if (capitol >= 0 && this.kingdoms[capitol] === k) seats.push({ cell: capitol, kingdom: k });
+        }
+        for (const city of this.cities || []) {
+            if (city.kingdom >= 0 && this.kingdoms[city.cell] === city.kingdom) {
+                seats.push({ cell: city.cell, kingdom: city.kingdom });
+            }
+        }
+        seats.sort((a, b) => a.kingdom - b.kingdom);
+        
+        this.provinceIds = new Int32Array(this.cellCount).fill(-1);
+        const edgeCost = this._calculateBorderCosts();
+        const cost = new Float64Array(this.cellCount).fill(Infinity);
+        const heap = new MinHeap(1024);
+        
+        seats.forEach((seat, p) => {
+            this.provinceIds[seat.cell] = p;
+            cost[seat.cell] = 0;
+            heap.push(seat.cell, 0);
+        });
+        
+        while (heap.size > 0) {
+            const current = heap.peekPriority();
+            const cell = heap.pop();
+            if (current > cost[cell]) continue;
+            
+            const kingdom = this.kingdoms[cell];
+            const x = this.points[cell * 2];
+            const y = this.points[cell * 2 + 1];
+            
+            for (const n of this.voronoi.neighbors(cell)) {
+                if (this.kingdoms[n] !== kingdom) continue;
+                const border = edgeCost.get(cell < n ? `${cell}-${n}` : `${n}-${cell}`);
+                if (border === undefined) continue;   // Water
+                
+                const dx = this.points[n * 2] - x;
+                const dy = this.points[n * 2 + 1] - y;
+                const next = current + Math.sqrt(dx * dx + dy * dy) * border;
+                if (next < cost[n]) {
+                    cost[n] = next;
+                    this.provinceIds[n] = this.provinceIds[cell];
+                    heap.push(n, next);
+                }
+            }
+        }
+        
+        // Islands and exclaves go to the nearest seat of their kingdom
+        const seatsOf = Array.from({ length: this.kingdomCount }, () => []);
+        seats.forEach((seat, p) => seatsOf[seat.kingdom].push(p));
+        for (let k = 0; k < this.kingdomCount; k++) {
+            if (seatsOf[k].length === 0) continue;
+            
+            for (const cell of this.kingdomCells[k] || []) {
+                if (this.provinceIds[cell] >= 0 || this.heights[cell] < ELEVATION.SEA_LEVEL) continue;
+                
+                const x = this.points[cell * 2];
+                const y = this.points[cell * 2 + 1];
+                let best = -1;
+                let bestDist = Infinity;
+                for (const p of seatsOf[k]) {
+                    const seat = seats[p].cell;
+                    const d = (this.points[seat * 2] - x) ** 2 + (this.points[seat * 2 + 1] - y) ** 2;
+                    if (d < bestDist) {
+                        bestDist = d;
+                        best = p;
+                    }
+                }
+                this.provinceIds[cell] = best;
+            }
+        }
+        
+        let cells = seats.map(() => []);
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.provinceIds[i] >= 0) cells[this.provinceIds[i]].push(i);
+        }
+        
+        // Fold slivers into the neighbour of the same kingdom they share most border with,
+        // islands into the kingdom's nearest seat
+        const merged = new Int32Array(seats.length).fill(-1);
+        seats.forEach((seat, p) => {
+            if (cells[p].length >= minCells) return;
+            
+            const shared = new Map();
+            for (const cell of cells[p]) {
+                for (const n of this.voronoi.neighbors(cell)) {
+                    const q = this.provinceIds[n];
+                    if (q >= 0 && q !== p && seats[q].kingdom === seat.kingdom) shared.set(q, (shared.get(q) || 0) + 1);
+                }
+            }
+            let best = -1;
+            for (const [q, count] of shared) {
+                if (best < 0 || count > shared.get(best)) best = q;
+            }
+            if (best < 0) {
+                const x = this.points[seat.cell * 2];
+                const y = this.points[seat.cell * 2 + 1];
+                let bestDist = Infinity;
+                for (const q of seatsOf[seat.kingdom]) {
+                    if (q === p || merged[q] >= 0) continue;
+                    const d = (this.points[seats[q].cell * 2] - x) ** 2 + (this.points[seats[q].cell * 2 + 1] - y) ** 2;
+                    if (d < bestDist) {
+                        bestDist = d;
+                        best = q;
+                    }
+                }
+            }
+            if (best < 0) return;
+            
+            for (const cell of cells[p]) this.provinceIds[cell] = best;
+            cells[best].push(...cells[p]);
+            cells[p] = [];
+            merged[p] = best;
+        });
+        const kept = [];
+        const index = new Int32Array(seats.length).fill(-1);
+        seats.forEach((seat, p) => {
+            if (merged[p] < 0) index[p] = kept.push(p) - 1;
+        });
+        if (kept.length < seats.length) {
+            for (let i = 0; i < this.cellCount; i++) {
+                if (this.provinceIds[i] >= 0) this.provinceIds[i] = index[this.provinceIds[i]];
+            }
+            seats = kept.map(p => seats[p]);
+            cells = kept.map(p => cells[p].sort((a, b) => a - b));
+        }
+        
+        // Old names go to the provinces whose seats stood in them, seats that stayed put first
+        const names = [];
+        if (previousIds) {
+            const claimed = new Set();
+            for (const stayed of [true, false]) {
+                seats.forEach((seat, p) => {
+                    const old = previousIds[seat.cell];
+                    if (names[p] || old < 0 || !previous[old] || claimed.has(old)) return;
+                    if (stayed && previous[old].seat !== seat.cell) return;
+                    names[p] = previous[old].name;
+                    claimed.add(old);
+                });
+            }
+        }
+        
+        this._nameStream('provinces', true);
+        this.provinces = seats.map((seat, p) => ({
+            name: names[p] || this.nameGenerator.generateNames(1, 'region', {
+                culture: this._kingdomCulture(seat.kingdom),
+                type: this._isCoastalCell(seat.cell) ? 'coastal' : this.heights[seat.cell] > 1200 ? 'elevated' : 'any'
+            })[0] || `Province ${p + 1}`,
+            kingdom: seat.kingdom,
+            seat: seat.cell,
+            cells: cells[p]
+        }));
+        
+        return this.provinces;
     }
     
     /**
@@ -1990,7 +4149,8 @@ export class VoronoiGenerator {
     _generatePopulation() {
         // Base population scales with land cells (roughly 50-200 people per cell)
         const landCells = this.heights.filter(h => h >= ELEVATION.SEA_LEVEL).length;
-        const popPerCell = 50 + PRNG.random() * 150;
+        const rng = this._randomStream('population');
+        const popPerCell = 50 + rng.random() * 150;
         this.totalPopulation = Math.round(landCells * popPerCell);
         
         // Initialize arrays
@@ -2008,7 +4168,7 @@ export class VoronoiGenerator {
         for (let k = 0; k < this.kingdomCount; k++) {
             const cells = (this.kingdomCells[k] || []).length;
             // Add some variation (+/- 20%)
-            const variation = 0.8 + PRNG.random() * 0.4;
+            const variation = 0.8 + rng.random() * 0.4;
             const proportion = cells / Math.max(1, totalKingdomCells);
             this.kingdomPopulations[k] = Math.round(this.totalPopulation * proportion * variation);
             assignedPop += this.kingdomPopulations[k];
@@ -2026,7 +4186,7 @@ export class VoronoiGenerator {
             const kingdomPop = this.kingdomPopulations[k];
             
             // Capital population (15-25%)
-            const capitalShare = 0.15 + PRNG.random() * 0.10;
+            const capitalShare = 0.15 + rng.random() * 0.10;
             this.capitalPopulations[k] = Math.round(kingdomPop * capitalShare);
             
             // Get cities in this kingdom
@@ -2034,7 +4194,7 @@ export class VoronoiGenerator {
             
             if (kingdomCities.length > 0) {
                 // Cities share 30-40% of population
-                const citiesShare = 0.30 + PRNG.random() * 0.10;
+                const citiesShare = 0.30 + rng.random() * 0.10;
                 const totalCityPop = Math.round(kingdomPop * citiesShare);
                 
                 // Distribute among cities with variation (larger share for earlier/better placed cities)
@@ -2052,7 +4212,7 @@ export class VoronoiGenerator {
                             break;
                         }
                     }
-                    const weight = positionBonus * bonus * (0.7 + PRNG.random() * 0.6);
+                    const weight = positionBonus * bonus * (0.7 + rng.random() * 0.6);
                     totalWeight += weight;
                     return weight;
                 });
@@ -2068,7 +4228,7 @@ export class VoronoiGenerator {
         // Assign population to cities that might not have a kingdom
         for (const city of this.cities) {
             if (city.population === undefined) {
-                city.population = Math.round(1000 + PRNG.random() * 5000);
+                city.population = Math.round(1000 + rng.random() * 5000);
             }
         }
     }
@@ -2084,31 +4244,9 @@ export class VoronoiGenerator {
         // Track cells that have roads to avoid overlaps
         const roadCells = new Set();
         
-        // Pre-build river cell sets once (expensive to do per-pathfind)
-        const riverCells = new Set();
-        const nearRiverCells = new Set();
-        
-        if (this.rivers) {
-            for (const river of this.rivers) {
-                if (river.path) {
-                    for (const point of river.path) {
-                        const cellIdx = point.cell !== undefined ? point.cell : point;
-                        if (cellIdx >= 0) {
-                            riverCells.add(cellIdx);
-                        }
-                    }
-                }
-            }
-            // Build near-river set after all river cells are known
-            for (const cellIdx of riverCells) {
-                const neighbors = this.getNeighbors(cellIdx);
-                for (const n of neighbors) {
-                    if (!riverCells.has(n) && this.heights[n] >= ELEVATION.SEA_LEVEL) {
-                        nearRiverCells.add(n);
-                    }
-                }
-            }
-        }
+        // One cost field and set of search buffers for every road in the pass
+        const costField = this._roadCostField();
+        const unreachable = [];
         
         // PHASE 1: Internal kingdom roads (capitol to cities)
         for (let k = 0; k < this.kingdomCount; k++) {
@@ -2159,11 +4297,11 @@ export class VoronoiGenerator {
                 }
                 
                 // Try to connect to nearest
-                let road = this._findRoadPath(nearestNode.cell, city.cell, roadCells, riverCells, nearRiverCells);
+                let road = this._findRoadPath(nearestNode.cell, city.cell, roadCells, costField);
                 
                 // If no path found, try connecting directly to capitol
                 if (!road && nearestNode.cell !== capitolCell) {
-                    road = this._findRoadPath(capitolCell, city.cell, roadCells, riverCells, nearRiverCells);
+                    road = this._findRoadPath(capitolCell, city.cell, roadCells, costField);
                 }
                 
                 if (road && road.length >= 2) {
@@ -2180,10 +4318,18 @@ export class VoronoiGenerator {
                         x: cityX,
                         y: cityY
                     });
+                } else if (!road) {
+                    // No land route (island city): left to sea routes
+                    unreachable.push(city.cell);
                 }
             }
         }
         
+        this.metrics.unreachableCities = unreachable.length;
+        if (unreachable.length > 0) {
+            console.warn(`Roads: ${unreachable.length} cities have no land route to their kingdom`);
+        }
+        
         // PHASE 2: Just 2-3 inter-kingdom trade routes connecting closest capitol pairs
         const capitolPairs = [];
         
@@ -2212,7 +4358,7 @@ export class VoronoiGenerator {
         
         for (let i = 0; i < Math.min(maxTradeRoutes, capitolPairs.length); i++) {
             const pair = capitolPairs[i];
-            const road = this._findRoadPath(pair.capitol1, pair.capitol2, roadCells, riverCells, nearRiverCells);
+            const road = this._findRoadPath(pair.capitol1, pair.capitol2, roadCells, costField);
             if (road && road.length >= 2) {
                 this.roads.push({
                     path: road,
@@ -2224,6 +4370,97 @@ export class VoronoiGenerator {
         }
     }
     
+    /**
+     * Per-cell cost of entering a cell by road, shared by every path in one road pass.
+     * Folds the terrain terms of the A* cost (impassable water and lakes, mountain
+     * penalty, river bridges, river valley bonus) into one Float32Array; the elevation
+     * step and the existing-road bonus depend on the path and are applied in _findRoadPath.
+     * Also carries land mass labels and the search buffers reused across paths.
+     */
+    _roadCostField() {
+        const riverCells = new Set();
+        const nearRiverCells = new Set();
+        
+        if (this.rivers) {
+            for (const river of this.rivers) {
+                if (river.path) {
+                    for (const point of river.path) {
+                        const cellIdx = point.cell !== undefined ? point.cell : point;
+                        if (cellIdx >= 0) {
+                            riverCells.add(cellIdx);
+                        }
+                    }
+                }
+            }
+            // Build near-river set after all river cells are known
+            for (const cellIdx of riverCells) {
+                const neighbors = this.getNeighbors(cellIdx);
+                for (const n of neighbors) {
+                    if (!riverCells.has(n) && this.heights[n] >= ELEVATION.SEA_LEVEL) {
+                        nearRiverCells.add(n);
+                    }
+                }
+            }
+        }
+        
+        const terrain = new Float32Array(this.cellCount);
+        for (let i = 0; i < this.cellCount; i++) {
+            const h = this.heights[i];
+            
+            // Water is completely impassable
+            if (h < ELEVATION.SEA_LEVEL || (this.lakeCells && this.lakeCells.has(i))) {
+                terrain[i] = Infinity;
+                continue;
+            }
+            
+            // High mountain penalty
+            let cost = 1;
+            if (h > 2500) cost = 3;
+            else if (h > 2000) cost = 2;
+            else if (h > 1500) cost = 1.5;
+            
+            // Rivers can be crossed but with high cost (represents bridges);
+            // cells beside them are favored (good trade routes)
+            if (riverCells.has(i)) cost *= 5;
+            else if (nearRiverCells.has(i)) cost *= 0.7;
+            
+            terrain[i] = cost;
+        }
+        
+        // Label connected land masses so paths between them fail without a search
+        const component = new Int32Array(this.cellCount).fill(-1);
+        const stack = [];
+        let components = 0;
+        for (let i = 0; i < this.cellCount; i++) {
+            if (component[i] >= 0 || terrain[i] === Infinity) continue;
+            component[i] = components;
+            stack.push(i);
+            while (stack.length > 0) {
+                const cell = stack.pop();
+                for (const n of this.voronoi.neighbors(cell)) {
+                    if (component[n] < 0 && terrain[n] !== Infinity) {
+                        component[n] = components;
+                        stack.push(n);
+                    }
+                }
+            }
+            components++;
+        }
+        
+        return {
+            terrain,
+            component,
+            gScore: new Float64Array(this.cellCount),
+            cameFrom: new Int32Array(this.cellCount),
+            // Search id per cell: gScore/cameFrom are valid when visited[cell] === search,
+            // closed when closed[cell] === search (avoids clearing the buffers per path)
+            visited: new Uint32Array(this.cellCount),
+            closed: new Uint32Array(this.cellCount),
+            search: 0,
+            heap: new MinHeap(1024)
+        };
+    }
+    
     /**
      * Generate sea routes between coastal cities and capitols
      */
@@ -2418,127 +4655,92 @@ export class VoronoiGenerator {
     
     /**
      * Find a road path between two cells using A* pathfinding
-     * Avoids water and rivers, prefers paths alongside rivers and existing roads
+     * Avoids water and rivers, prefers paths alongside rivers and existing roads.
+     * Null means the cells aren't connected by land: cells on different land masses
+     * fail at once, and there is no iteration cap on a search within one.
+     * @param {Set<number>|null} existingRoadCells - Cells already on a road (cheaper to follow)
+     * @param {Object|null} costField - From _roadCostField(); pass one in when finding many paths
      */
-    _findRoadPath(startCell, endCell, existingRoadCells = null, riverCells = null, nearRiverCells = null) {
-        const startX = this.points[startCell * 2];
-        const startY = this.points[startCell * 2 + 1];
-        const endX = this.points[endCell * 2];
-        const endY = this.points[endCell * 2 + 1];
-        
-        // Use provided river cells or empty sets
-        const rivers = riverCells || new Set();
-        const nearRivers = nearRiverCells || new Set();
+    _findRoadPath(startCell, endCell, existingRoadCells = null, costField = null) {
+        const field = costField || this._roadCostField();
+        const { terrain, component, gScore, cameFrom, visited, closed, heap } = field;
+        if (terrain[startCell] === Infinity || terrain[endCell] === Infinity) return null;
+        if (component[startCell] !== component[endCell]) return null;
         
-        // A* pathfinding
-        const openSet = new Map();
-        const closedSet = new Set();
-        const cameFrom = new Map();
-        const gScore = new Map();
-        const fScore = new Map();
+        const points = this.points;
+        const heights = this.heights;
+        const endX = points[endCell * 2];
+        const endY = points[endCell * 2 + 1];
         
         const heuristic = (cell) => {
-            const x = this.points[cell * 2];
-            const y = this.points[cell * 2 + 1];
-            return Math.sqrt((x - endX) ** 2 + (y - endY) ** 2);
+            const dx = points[cell * 2] - endX;
+            const dy = points[cell * 2 + 1] - endY;
+            return Math.sqrt(dx * dx + dy * dy);
         };
         
-        const getCost = (from, to) => {
-            const toHeight = this.heights[to];
-            
-            // Water is completely impassable
-            if (toHeight < ELEVATION.SEA_LEVEL) return Infinity;
-            
-            const x1 = this.points[from * 2];
-            const y1 = this.points[from * 2 + 1];
-            const x2 = this.points[to * 2];
-            const y2 = this.points[to * 2 + 1];
-            const baseDist = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
-            
-            // Rivers can be crossed but with high cost (represents bridges)
-            let riverCost = 1;
-            if (rivers.has(to)) {
-                riverCost = 5;
-            }
-            
-            // Elevation cost - prefer flat terrain, penalize steep climbs
-            const fromHeight = this.heights[from];
-            const elevDiff = Math.abs(toHeight - fromHeight);
-            const elevCost = 1 + (elevDiff / 500) * 2;
-            
-            // High mountain penalty
-            let mountainPenalty = 1;
-            if (toHeight > 2500) mountainPenalty = 3;
-            else if (toHeight > 2000) mountainPenalty = 2;
-            else if (toHeight > 1500) mountainPenalty = 1.5;
-            
-            // Bonus for being near rivers (good trade routes)
-            let riverBonus = 1;
-            if (nearRivers.has(to)) riverBonus = 0.7;
-            
-            // Strong bonus for existing roads (roads merge together)
-            let roadBonus = 1;
-            if (existingRoadCells && existingRoadCells.has(to)) roadBonus = 0.3;
-            
-            return baseDist * elevCost * mountainPenalty * riverBonus * roadBonus * riverCost;
-        };
-        
-        gScore.set(startCell, 0);
-        fScore.set(startCell, heuristic(startCell));
-        openSet.set(startCell, fScore.get(startCell));
+        // Buffers are stamped with a search id; restart the ids before they wrap
+        if (field.search >= 0xffffffff) {
+            visited.fill(0);
+            closed.fill(0);
+            field.search = 0;
+        }
+        const search = ++field.search;
         
-        let iterations = 0;
-        const maxIterations = 5000;
+        heap.clear();
+        visited[startCell] = search;
+        gScore[startCell] = 0;
+        cameFrom[startCell] = -1;
+        heap.push(startCell, heuristic(startCell));
         
-        while (openSet.size > 0 && iterations < maxIterations) {
-            iterations++;
-            
-            // Get cell with lowest fScore
-            let current = null;
-            let lowestF = Infinity;
-            for (const [cell, f] of openSet) {
-                if (f < lowestF) {
-                    lowestF = f;
-                    current = cell;
-                }
-            }
+        while (heap.size > 0) {
+            const current = heap.pop();
+            if (closed[current] === search) continue;  // Stale entry
+            closed[current] = search;
             
             if (current === endCell) {
                 // Reconstruct path with cell indices for road marking
-                const path = [];
                 const cells = [];
-                let c = current;
-                while (c !== undefined) {
-                    path.unshift({
-                        x: this.points[c * 2],
-                        y: this.points[c * 2 + 1],
-                        cell: c
-                    });
-                    cells.unshift(c);
-                    c = cameFrom.get(c);
+                for (let c = current; c !== -1; c = cameFrom[c]) {
+                    cells.push(c);
                 }
+                cells.reverse();
+                const path = cells.map(c => ({
+                    x: points[c * 2],
+                    y: points[c * 2 + 1],
+                    cell: c
+                }));
                 path.cells = cells; // Attach cell array to path
                 return path;
             }
             
-            openSet.delete(current);
-            closedSet.add(current);
+            const x1 = points[current * 2];
+            const y1 = points[current * 2 + 1];
+            const fromHeight = heights[current];
+            const g = gScore[current];
             
-            const neighbors = this.getNeighbors(current);
-            for (const neighbor of neighbors) {
-                if (closedSet.has(neighbor)) continue;
+            for (const neighbor of this.voronoi.neighbors(current)) {
+                if (closed[neighbor] === search) continue;
                 
-                const cost = getCost(current, neighbor);
-                if (cost === Infinity) continue;
+                const terrainCost = terrain[neighbor];
+                if (terrainCost === Infinity) continue;
                 
-                const tentativeG = gScore.get(current) + cost;
+                const dx = points[neighbor * 2] - x1;
+                const dy = points[neighbor * 2 + 1] - y1;
+                const baseDist = Math.sqrt(dx * dx + dy * dy);
                 
-                if (!gScore.has(neighbor) || tentativeG < gScore.get(neighbor)) {
-                    cameFrom.set(neighbor, current);
-                    gScore.set(neighbor, tentativeG);
-                    const f = tentativeG + heuristic(neighbor);
-                    fScore.set(neighbor, f);
-                    openSet.set(neighbor, f);
+                // Elevation cost - prefer flat terrain, penalize steep climbs
+                const elevCost = 1 + (Math.abs(heights[neighbor] - fromHeight) / 500) * 2;
+                
+                // Strong bonus for existing roads (roads merge together)
+                const roadBonus = existingRoadCells && existingRoadCells.has(neighbor) ? 0.3 : 1;
+                
+                const tentativeG = g + baseDist * elevCost * terrainCost * roadBonus;
+                
+                if (visited[neighbor] !== search || tentativeG < gScore[neighbor]) {
+                    visited[neighbor] = search;
+                    gScore[neighbor] = tentativeG;
+                    cameFrom[neighbor] = current;
+                    heap.push(neighbor, tentativeG + heuristic(neighbor));
                 }
             }
         }
@@ -2550,8 +4752,10 @@ export class VoronoiGenerator {
     /**
      * Assign colors to kingdoms using graph coloring algorithm
      * Ensures no two adjacent kingdoms share the same or similar colors
+     * @param {number[]|null} only - Color just these kingdoms around the existing colors
+     *   (new kingdoms from editing), instead of recoloring the whole map
      */
-    _assignKingdomColors() {
+    _assignKingdomColors(only = null) {
         if (!this.kingdoms || this.kingdomCount === 0) return;
         
         // Build kingdom adjacency graph
@@ -2576,11 +4780,15 @@ export class VoronoiGenerator {
         }
         
         // Sort kingdoms by number of neighbors (most constrained first)
-        const sortedKingdoms = Array.from({ length: this.kingdomCount }, (_, i) => i)
+        const sortedKingdoms = (only ? [...only] : Array.from({ length: this.kingdomCount }, (_, i) => i))
             .sort((a, b) => adjacency.get(b).size - adjacency.get(a).size);
         
         // Assign colors using greedy graph coloring
-        this.kingdomColors = new Array(this.kingdomCount).fill(-1);
+        if (only) {
+            for (const k of only) this.kingdomColors[k] = -1;
+        } else {
+            this.kingdomColors = new Array(this.kingdomCount).fill(-1);
+        }
         const numColors = POLITICAL_COLORS.length;
         
         for (const k of sortedKingdoms) {
@@ -2740,95 +4948,662 @@ export class VoronoiGenerator {
                 }
             }
             
-            // Apply changes
-            for (const { cell, newKingdom } of changes) {
-                this.kingdoms[cell] = newKingdom;
+            // Apply changes
+            for (const { cell, newKingdom } of changes) {
+                this.kingdoms[cell] = newKingdom;
+            }
+            
+            if (changes.length === 0) break;
+        }
+    }
+    
+    /**
+     * Remove small exclaves - isolated cells of a kingdom
+     * Reassigns disconnected cells to nearest appropriate kingdom
+     */
+    _removeKingdomExclaves() {
+        // Limit iterations - some small exclaves are acceptable
+        const maxIterations = 3;
+        let iteration = 0;
+        let totalRemoved = 0;
+        
+        while (iteration < maxIterations) {
+            let removedThisPass = 0;
+            
+            // For each kingdom, find connected components
+            for (let k = 0; k < this.kingdomCapitals.length; k++) {
+                const capital = this.kingdomCapitals[k];
+                if (capital < 0 || this.kingdoms[capital] !== k) continue;
+                
+                // BFS from capital to find main body
+                const mainBody = new Set();
+                const queue = [capital];
+                mainBody.add(capital);
+                
+                while (queue.length > 0) {
+                    const current = queue.shift();
+                    
+                    for (const neighbor of this.voronoi.neighbors(current)) {
+                        if (this.kingdoms[neighbor] === k && !mainBody.has(neighbor)) {
+                            mainBody.add(neighbor);
+                            queue.push(neighbor);
+                        }
+                    }
+                }
+                
+                // Find all exclave cells (not connected to capital)
+                const exclaveCells = [];
+                for (let i = 0; i < this.cellCount; i++) {
+                    if (this.kingdoms[i] === k && !mainBody.has(i)) {
+                        exclaveCells.push(i);
+                    }
+                }
+                
+                // Reassign each exclave cell to best neighboring kingdom
+                for (const i of exclaveCells) {
+                    // Find most common neighboring kingdom (LAND cells only)
+                    const neighborCounts = new Map();
+                    for (const neighbor of this.voronoi.neighbors(i)) {
+                        const nk = this.kingdoms[neighbor];
+                        if (nk >= 0 && nk !== k && this.heights[neighbor] >= ELEVATION.SEA_LEVEL) {
+                            neighborCounts.set(nk, (neighborCounts.get(nk) || 0) + 1);
+                        }
+                    }
+                    
+                    let maxCount = 0;
+                    let bestKingdom = -1;
+                    for (const [kingdom, count] of neighborCounts) {
+                        if (count > maxCount) {
+                            maxCount = count;
+                            bestKingdom = kingdom;
+                        }
+                    }
+                    
+                    // If no land neighbors from other kingdoms, just unassign the cell
+                    // (Skip expensive O(n²) nearest-cell search)
+                    if (bestKingdom >= 0) {
+                        this.kingdoms[i] = bestKingdom;
+                        removedThisPass++;
+                    }
+                }
+            }
+            
+            totalRemoved += removedThisPass;
+            iteration++;
+            
+            // Stop if no exclaves were removed this pass
+            if (removedThisPass === 0) break;
+        }
+        
+        if (totalRemoved > 0) {
+        }
+    }
+    
+    /**
+     * Hand cells over to `kingdom` (manual border edits)
+     * Water and other kingdoms' capitols are skipped. Cities change allegiance with
+     * their cell and take their population along; rural population moves at the
+     * former owner's per-cell density.
+     * @returns {number[]} Cells that changed owner
+     */
+    assignCellsToKingdom(cells, kingdom) {
+        if (!this.kingdoms || kingdom < 0 || kingdom >= this.kingdomCount) return [];
+        
+        const otherCapitols = new Set(this.capitols.filter((cell, k) => cell >= 0 && k !== kingdom));
+        const citiesByCell = new Map((this.cities || []).map(city => [city.cell, city]));
+        const ruralDensity = this._kingdomRuralDensity();
+        
+        const changed = [];
+        for (const cell of cells) {
+            const from = this.kingdoms[cell];
+            if (from === kingdom || this.heights[cell] < ELEVATION.SEA_LEVEL || otherCapitols.has(cell)) continue;
+            
+            this.kingdoms[cell] = kingdom;
+            changed.push(cell);
+            if (from < 0) continue;
+            
+            let moved = ruralDensity[from];
+            const city = citiesByCell.get(cell);
+            if (city) {
+                city.kingdom = kingdom;
+                moved += city.population || 0;
+            }
+            this._addKingdomPopulation(from, -moved);
+            this._addKingdomPopulation(kingdom, moved);
+        }
+        
+        if (changed.length > 0) {
+            this._collectKingdomTerritory();
+            // Brush strokes redraw the provinces once, when the stroke ends
+            if (!this._brushStroke) this._updateProvinces();
+            this._invalidateKingdomCells(changed);
+        }
+        return changed;
+    }
+    
+    /**
+     * Found a new kingdom with its capitol at `cell`
+     * A city already on the cell becomes the capitol. The kingdom starts with just
+     * that cell - grow it with assignCellsToKingdom() or the kingdom brush.
+     * @returns {number} Index of the new kingdom, or -1 if the cell can't hold a capitol
+     */
+    createKingdom(cell) {
+        if (!this.kingdoms || !this._canSeatCapitol(cell)) return -1;
+        
+        const k = this.kingdomCount++;
+        if (this.cultures) {
+            this.kingdomCultures = this.kingdomCultures || [];
+            this.kingdomCultures[k] = this.cultures[cell];
+        }
+        
+        let capitolName;
+        let capitalPopulation;
+        const cityIndex = (this.cities || []).findIndex(city => city.cell === cell);
+        if (cityIndex >= 0) {
+            const city = this.cities[cityIndex];
+            capitolName = this.cityNames[cityIndex];
+            capitalPopulation = city.population || 0;
+            if (city.kingdom >= 0) this._addKingdomPopulation(city.kingdom, -capitalPopulation);
+            this.cities.splice(cityIndex, 1);
+            this.cityNames.splice(cityIndex, 1);
+        } else {
+            const elevation = this.heights[cell];
+            capitolName = this.nameGenerator.generateSettlementName({
+                culture: this._kingdomCulture(k),
+                isCoastal: this._isCoastalCell(cell),
+                isHighland: elevation > 1200,
+                elevation: elevation,
+                size: 'large'
+            });
+            capitalPopulation = Math.round(1000 + this._randomStream('settlement:' + cell).random() * 5000);
+            this.totalPopulation = (this.totalPopulation || 0) + capitalPopulation;
+        }
+        
+        this.kingdomNames.push(this.nameGenerator.generateNames(1, 'kingdom', { culture: this._kingdomCulture(k) })[0] || `Kingdom ${k + 1}`);
+        this.kingdomCapitals.push(cell);
+        this.capitols.push(cell);
+        this.capitolNames.push(capitolName);
+        this.kingdomPopulations[k] = capitalPopulation;
+        this.capitalPopulations[k] = capitalPopulation;
+        this.kingdomColors[k] = -1;
+        
+        this.assignCellsToKingdom([cell], k);
+        this._assignKingdomColors([k]);
+        return k;
+    }
+    
+    /**
+     * Split a kingdom in two. The breakaway kingdom is seated at the kingdom's city
+     * farthest from its capitol; each side keeps the cells closer (overland) to its own seat.
+     * @returns {number} Index of the new kingdom, or -1 if the kingdom can't be split
+     */
+    splitKingdom(kingdom) {
+        const cells = this.kingdomCells?.[kingdom];
+        if (!cells || cells.length < 2) return -1;
+        
+        const capitol = this.capitols[kingdom] >= 0 ? this.capitols[kingdom] : cells[0];
+        const cx = this.points[capitol * 2];
+        const cy = this.points[capitol * 2 + 1];
+        const distToCapitol = (cell) => (this.points[cell * 2] - cx) ** 2 + (this.points[cell * 2 + 1] - cy) ** 2;
+        
+        const farthestSeat = (candidates) => {
+            let best = -1;
+            let bestDist = -1;
+            for (const cell of candidates) {
+                const d = distToCapitol(cell);
+                if (d > bestDist && this._canSeatCapitol(cell)) {
+                    bestDist = d;
+                    best = cell;
+                }
+            }
+            return best;
+        };
+        
+        // Prefer an existing city as the new seat, any cell otherwise
+        const kingdomCities = (this.cities || []).filter(city => city.kingdom === kingdom).map(city => city.cell);
+        let seat = farthestSeat(kingdomCities);
+        if (seat < 0) seat = farthestSeat(cells);
+        if (seat < 0) return -1;
+        
+        const newKingdom = this.createKingdom(seat);
+        if (newKingdom < 0) return -1;
+        
+        // Competitive flood fill from both seats through the kingdom's own cells
+        const owner = new Map([[capitol, kingdom], [seat, newKingdom]]);
+        const inKingdom = new Set(cells);
+        const queue = [capitol, seat];
+        for (let head = 0; head < queue.length; head++) {
+            const cell = queue[head];
+            for (const n of this.voronoi.neighbors(cell)) {
+                if (inKingdom.has(n) && !owner.has(n)) {
+                    owner.set(n, owner.get(cell));
+                    queue.push(n);
+                }
+            }
+        }
+        
+        // Exclaves the fill can't reach go to the nearer seat
+        const sx = this.points[seat * 2];
+        const sy = this.points[seat * 2 + 1];
+        const breakaway = cells.filter(cell => {
+            if (owner.has(cell)) return owner.get(cell) === newKingdom;
+            const dSeat = (this.points[cell * 2] - sx) ** 2 + (this.points[cell * 2 + 1] - sy) ** 2;
+            return dSeat < distToCapitol(cell);
+        });
+        
+        this.assignCellsToKingdom(breakaway, newKingdom);
+        this._assignKingdomColors([newKingdom]);
+        return newKingdom;
+    }
+    
+    /**
+     * Merge `source` into `target`: its territory and cities join the target and its
+     * capitol carries on as an ordinary city. Kingdom indices above `source` shift down by one.
+     * @returns {number} Index of the merged kingdom afterwards, or -1 if nothing was merged
+     */
+    mergeKingdoms(target, source) {
+        if (!this.kingdoms || target === source) return -1;
+        if (target < 0 || source < 0 || target >= this.kingdomCount || source >= this.kingdomCount) return -1;
+        
+        const capitol = this.capitols[source];
+        if (capitol >= 0) {
+            this.cities.push({
+                cell: capitol,
+                kingdom: source,
+                type: 'city',
+                isCoastal: this._isCoastalCell(capitol),
+                elevation: this.heights[capitol],
+                population: this.capitalPopulations[source] || 0
+            });
+            this.cityNames.push(this.capitolNames[source]);
+            this.capitols[source] = -1;
+            this.capitalPopulations[source] = 0;
+        }
+        
+        this.assignCellsToKingdom(this.kingdomCells[source].slice(), target);
+        
+        // Whatever rounding left behind
+        this._addKingdomPopulation(target, this.kingdomPopulations[source] || 0);
+        this._removeKingdom(source);
+        
+        return target > source ? target - 1 : target;
+    }
+    
+    /**
+     * Drop a kingdom that no longer owns territory and renumber the ones after it
+     */
+    _removeKingdom(kingdom) {
+        const perKingdom = [
+            this.kingdomNames, this.kingdomColors, this.kingdomCapitals, this.capitols,
+            this.capitolNames, this.kingdomPopulations, this.capitalPopulations, this.kingdomCultures
+        ];
+        for (const list of perKingdom) {
+            if (list) list.splice(kingdom, 1);
+        }
+        this.kingdomCount--;
+        
+        const renumber = (k) => (k === kingdom ? -1 : k > kingdom ? k - 1 : k);
+        for (let i = 0; i < this.cellCount; i++) {
+            this.kingdoms[i] = renumber(this.kingdoms[i]);
+        }
+        for (const city of this.cities || []) city.kingdom = renumber(city.kingdom);
+        for (const road of this.roads || []) road.kingdom = renumber(road.kingdom);
+        for (const route of this.seaRoutes || []) {
+            route.from.kingdom = renumber(route.from.kingdom);
+            route.to.kingdom = renumber(route.to.kingdom);
+        }
+        
+        this._collectKingdomTerritory();
+        this._updateProvinces();
+        this.clearKingdomCache();
+        if (this.tileCache) {
+            this.tileCache.invalidate('political');
+        }
+    }
+    
+    /**
+     * Redraw the provinces after a border or settlement edit, keeping their names
+     */
+    _updateProvinces() {
+        if (this.provinceIds) this.generateProvinces({ keepNames: true });
+    }
+    
+    /**
+     * Rural population per cell of each kingdom (kingdom total minus its settlements)
+     */
+    _kingdomRuralDensity() {
+        const settled = new Float64Array(this.kingdomCount);
+        for (let k = 0; k < this.kingdomCount; k++) {
+            settled[k] = this.capitalPopulations?.[k] || 0;
+        }
+        for (const city of this.cities || []) {
+            if (city.kingdom >= 0) settled[city.kingdom] += city.population || 0;
+        }
+        
+        return Array.from({ length: this.kingdomCount }, (_, k) => {
+            const rural = Math.max(0, (this.kingdomPopulations?.[k] || 0) - settled[k]);
+            return rural / Math.max(1, this.kingdomCells[k]?.length || 0);
+        });
+    }
+    
+    _addKingdomPopulation(kingdom, amount) {
+        if (!this.kingdomPopulations) this.kingdomPopulations = [];
+        this.kingdomPopulations[kingdom] = Math.max(0, Math.round((this.kingdomPopulations[kingdom] || 0) + amount));
+    }
+    
+    /**
+     * Land cell that isn't a lake or already a capitol
+     */
+    _canSeatCapitol(cell) {
+        if (cell < 0 || cell >= this.cellCount) return false;
+        if (this.heights[cell] < ELEVATION.SEA_LEVEL) return false;
+        if (this.lakeCells && this.lakeCells.has(cell)) return false;
+        return !this.capitols.includes(cell);
+    }
+    
+    _isCoastalCell(cell) {
+        for (const n of this.voronoi.neighbors(cell)) {
+            if (this.heights[n] < ELEVATION.SEA_LEVEL) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Border edits only touch the political layer: redraw the edited cells' tiles and
+     * rebuild borders - throttled during a brush stroke like terrain edits
+     */
+    _invalidateKingdomCells(cells, final = false) {
+        if (this.tileCache && cells.length > 0) {
+            this.tileCache.invalidateCells(cells, 'political');
+        }
+        
+        const stroke = this._brushStroke;
+        if (stroke) {
+            stroke.bordersDirty = true;
+            
+            const now = performance.now();
+            if (!final && now - stroke.lastRefresh < BRUSH_REFRESH_MS) return;
+            stroke.lastRefresh = now;
+            stroke.bordersDirty = false;
+        }
+        
+        this.clearKingdomCache();
+    }
+    
+    /**
+     * Add a settlement on `cell` for the kingdom that owns it
+     * 'capital' moves the kingdom's seat there (the old capitol carries on as a city);
+     * 'city', 'port', 'fortress' and 'town' add a city of that type. Ports need a coastal cell.
+     * The settlement is joined to its kingdom's road network.
+     * @returns {{type: string, index: number}|null} The new settlement (as in hitTestLabel), or null if the cell can't hold one
+     */
+    addSettlement(cell, type = 'town') {
+        if (!this.kingdoms || !this._canPlaceSettlement(cell)) return null;
+        
+        const kingdom = this.kingdoms[cell];
+        if (kingdom < 0) return null;
+        
+        const isCoastal = this._isCoastalCell(cell);
+        if (type === 'port' && !isCoastal) return null;
+        
+        const elevation = this.heights[cell];
+        const name = this.nameGenerator.generateSettlementName({
+            culture: this._kingdomCulture(kingdom),
+            isCoastal: isCoastal,
+            isHighland: elevation > 1200,
+            elevation: elevation,
+            size: type === 'capital' ? 'large' : undefined
+        });
+        const population = this._newSettlementPopulation(type, cell);
+        this.totalPopulation = (this.totalPopulation || 0) + population;
+        this._addKingdomPopulation(kingdom, population);
+        
+        if (type === 'capital') {
+            const oldCapitol = this.capitols[kingdom];
+            if (oldCapitol >= 0) {
+                this.cities.push({
+                    cell: oldCapitol,
+                    kingdom: kingdom,
+                    type: 'city',
+                    isCoastal: this._isCoastalCell(oldCapitol),
+                    elevation: this.heights[oldCapitol],
+                    population: this.capitalPopulations[kingdom] || 0
+                });
+                this.cityNames.push(this.capitolNames[kingdom]);
+            }
+            this.capitols[kingdom] = cell;
+            this.kingdomCapitals[kingdom] = cell;
+            this.capitolNames[kingdom] = name;
+            this.capitalPopulations[kingdom] = population;
+            this._connectSettlement(cell, kingdom, 'major');
+            this._updateProvinces();
+            return { type: 'capital', index: kingdom };
+        }
+        
+        this.cities.push({ cell, kingdom, type, isCoastal, elevation, population });
+        this.cityNames.push(name);
+        this._connectSettlement(cell, kingdom, 'minor');
+        this._updateProvinces();
+        return { type: 'city', index: this.cities.length - 1 };
+    }
+    
+    /**
+     * Move a settlement to another cell and re-route its roads
+     * Cities change allegiance with the land they move onto; capitols must stay
+     * inside their own kingdom. Sea routes from the old site are dropped.
+     * @param {{type: string, index: number}} ref - 'capital' (index = kingdom) or 'city'
+     * @returns {boolean} Whether the settlement moved
+     */
+    moveSettlement(ref, cell) {
+        const from = this._settlementCell(ref);
+        if (from < 0 || cell === from || !this._canMoveSettlement(ref, cell)) return false;
+        
+        this._placeSettlement(ref, cell);
+        this._rerouteSettlement(from, cell);
+        this._updateProvinces();
+        return true;
+    }
+    
+    /**
+     * Remove a settlement and its roads; settlements that were only reachable
+     * through it are reconnected to their kingdom's network. Deleting a capitol
+     * leaves its kingdom without a seat until a new capital is added.
+     * @returns {boolean} Whether anything was removed
+     */
+    removeSettlement(ref) {
+        const cell = this._settlementCell(ref);
+        if (cell < 0) return false;
+        
+        let name;
+        if (ref.type === 'capital') {
+            const population = this.capitalPopulations[ref.index] || 0;
+            this._addKingdomPopulation(ref.index, -population);
+            this.totalPopulation = Math.max(0, (this.totalPopulation || 0) - population);
+            name = this.capitolNames[ref.index];
+            this.capitols[ref.index] = -1;
+            this.kingdomCapitals[ref.index] = -1;
+            this.capitolNames[ref.index] = '';
+            this.capitalPopulations[ref.index] = 0;
+        } else {
+            const city = this.cities[ref.index];
+            const population = city.population || 0;
+            if (city.kingdom >= 0) this._addKingdomPopulation(city.kingdom, -population);
+            this.totalPopulation = Math.max(0, (this.totalPopulation || 0) - population);
+            name = this.cityNames[ref.index];
+            this.cities.splice(ref.index, 1);
+            this.cityNames.splice(ref.index, 1);
+        }
+        this.nameGenerator.clearCityNames([name]);
+        
+        this._rerouteSettlement(cell, -1);
+        this._updateProvinces();
+        return true;
+    }
+    
+    /**
+     * Rename a kingdom, capitol, city or forest
+     * @param {{type: string, index: number}} ref - 'kingdom', 'capital', 'city' or 'forest' (as in hitTestLabel)
+     * @returns {boolean} Whether the name changed
+     */
+    renameLabel(ref, name) {
+        const trimmed = String(name).trim();
+        if (ref.type === 'forest') {
+            const forest = this.forests[ref.index];
+            if (!forest || !trimmed || forest.name === trimmed) return false;
+            forest.name = trimmed;
+            return true;
+        }
+        
+        const names = { kingdom: this.kingdomNames, capital: this.capitolNames, city: this.cityNames }[ref.type];
+        if (!names || !trimmed || ref.index < 0 || ref.index >= names.length) return false;
+        if (names[ref.index] === trimmed) return false;
+        
+        names[ref.index] = trimmed;
+        return true;
+    }
+    
+    _settlementCell(ref) {
+        if (!ref) return -1;
+        if (ref.type === 'capital') return this.capitols?.[ref.index] ?? -1;
+        if (ref.type === 'city') return this.cities?.[ref.index]?.cell ?? -1;
+        return -1;
+    }
+    
+    /**
+     * Land cell that isn't a lake, a capitol or a city
+     */
+    _canPlaceSettlement(cell) {
+        if (!this._canSeatCapitol(cell)) return false;
+        return !(this.cities || []).some(city => city.cell === cell);
+    }
+    
+    _canMoveSettlement(ref, cell) {
+        if (!this._canPlaceSettlement(cell)) return false;
+        if (ref.type === 'capital') return this.kingdoms[cell] === ref.index;
+        return this.cities[ref.index].type !== 'port' || this._isCoastalCell(cell);
+    }
+    
+    _newSettlementPopulation(type, cell) {
+        // Seeded by the site, so undoing and redoing a placement gives the same settlement
+        const rng = this._randomStream('settlement:' + cell);
+        if (type === 'capital') return Math.round(5000 + rng.random() * 10000);
+        if (type === 'town') return Math.round(500 + rng.random() * 1500);
+        return Math.round(1000 + rng.random() * 5000);
+    }
+    
+    /**
+     * Put a settlement on `cell` without touching roads (used while dragging)
+     */
+    _placeSettlement(ref, cell) {
+        if (ref.type === 'capital') {
+            this.capitols[ref.index] = cell;
+            this.kingdomCapitals[ref.index] = cell;
+            return;
+        }
+        
+        const city = this.cities[ref.index];
+        const kingdom = this.kingdoms[cell];
+        if (kingdom !== city.kingdom) {
+            const population = city.population || 0;
+            if (city.kingdom >= 0) this._addKingdomPopulation(city.kingdom, -population);
+            if (kingdom >= 0) this._addKingdomPopulation(kingdom, population);
+            city.kingdom = kingdom;
+        }
+        city.cell = cell;
+        city.isCoastal = this._isCoastalCell(cell);
+        city.elevation = this.heights[cell];
+    }
+    
+    /**
+     * Replace the roads ending at `oldCell` with roads from `newCell` to the same places.
+     * With newCell -1 (settlement removed) the roads are dropped and any settlement
+     * left without a road is joined to its kingdom's network again.
+     */
+    _rerouteSettlement(oldCell, newCell) {
+        const detached = [];
+        this.roads = (this.roads || []).filter(road => {
+            const first = road.path[0].cell;
+            const last = road.path[road.path.length - 1].cell;
+            if (first !== oldCell && last !== oldCell) return true;
+            detached.push({ other: first === oldCell ? last : first, kingdom: road.kingdom, type: road.type });
+            return false;
+        });
+        this.seaRoutes = (this.seaRoutes || []).filter(route => route.from.cell !== oldCell && route.to.cell !== oldCell);
+        
+        if (newCell >= 0) {
+            const { roadCells, costField } = this._roadNetwork();
+            let rerouted = 0;
+            for (const { other, kingdom, type } of detached) {
+                const road = this._findRoadPath(newCell, other, roadCells, costField);
+                if (road && road.length >= 2) {
+                    this.roads.push({ path: road, kingdom, type });
+                    this._markRoadCells(road, roadCells);
+                    rerouted++;
+                }
+            }
+            
+            if (rerouted === 0) {
+                this._connectSettlement(newCell, this.kingdoms[newCell], 'minor');
             }
+            return;
+        }
+        
+        for (const { other } of detached) {
+            if (this.roads.some(road => road.path[0].cell === other || road.path[road.path.length - 1].cell === other)) continue;
             
-            if (changes.length === 0) break;
+            const kingdom = this.capitols.indexOf(other) >= 0
+                ? this.capitols.indexOf(other)
+                : (this.cities.find(city => city.cell === other)?.kingdom ?? -1);
+            if (kingdom >= 0) {
+                this._connectSettlement(other, kingdom, 'minor');
+            }
         }
     }
     
     /**
-     * Remove small exclaves - isolated cells of a kingdom
-     * Reassigns disconnected cells to nearest appropriate kingdom
+     * Road from `cell` to the nearest other settlement of its kingdom (as in _generateRoads,
+     * falling back to the capitol when the nearest can't be reached)
      */
-    _removeKingdomExclaves() {
-        // Limit iterations - some small exclaves are acceptable
-        const maxIterations = 3;
-        let iteration = 0;
-        let totalRemoved = 0;
+    _connectSettlement(cell, kingdom, type) {
+        if (kingdom < 0) return;
         
-        while (iteration < maxIterations) {
-            let removedThisPass = 0;
-            
-            // For each kingdom, find connected components
-            for (let k = 0; k < this.kingdomCapitals.length; k++) {
-                const capital = this.kingdomCapitals[k];
-                if (capital < 0 || this.kingdoms[capital] !== k) continue;
-                
-                // BFS from capital to find main body
-                const mainBody = new Set();
-                const queue = [capital];
-                mainBody.add(capital);
-                
-                while (queue.length > 0) {
-                    const current = queue.shift();
-                    
-                    for (const neighbor of this.voronoi.neighbors(current)) {
-                        if (this.kingdoms[neighbor] === k && !mainBody.has(neighbor)) {
-                            mainBody.add(neighbor);
-                            queue.push(neighbor);
-                        }
-                    }
-                }
-                
-                // Find all exclave cells (not connected to capital)
-                const exclaveCells = [];
-                for (let i = 0; i < this.cellCount; i++) {
-                    if (this.kingdoms[i] === k && !mainBody.has(i)) {
-                        exclaveCells.push(i);
-                    }
-                }
-                
-                // Reassign each exclave cell to best neighboring kingdom
-                for (const i of exclaveCells) {
-                    // Find most common neighboring kingdom (LAND cells only)
-                    const neighborCounts = new Map();
-                    for (const neighbor of this.voronoi.neighbors(i)) {
-                        const nk = this.kingdoms[neighbor];
-                        if (nk >= 0 && nk !== k && this.heights[neighbor] >= ELEVATION.SEA_LEVEL) {
-                            neighborCounts.set(nk, (neighborCounts.get(nk) || 0) + 1);
-                        }
-                    }
-                    
-                    let maxCount = 0;
-                    let bestKingdom = -1;
-                    for (const [kingdom, count] of neighborCounts) {
-                        if (count > maxCount) {
-                            maxCount = count;
-                            bestKingdom = kingdom;
-                        }
-                    }
-                    
-                    // If no land neighbors from other kingdoms, just unassign the cell
-                    // (Skip expensive O(n²) nearest-cell search)
-                    if (bestKingdom >= 0) {
-                        this.kingdoms[i] = bestKingdom;
-                        removedThisPass++;
-                    }
-                }
+        const x = this.points[cell * 2];
+        const y = this.points[cell * 2 + 1];
+        const capitol = this.capitols[kingdom];
+        const targets = (this.cities || []).filter(city => city.kingdom === kingdom).map(city => city.cell);
+        if (capitol >= 0) targets.push(capitol);
+        
+        let nearest = -1;
+        let nearestDist = Infinity;
+        for (const target of targets) {
+            if (target === cell) continue;
+            const dist = (this.points[target * 2] - x) ** 2 + (this.points[target * 2 + 1] - y) ** 2;
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                nearest = target;
             }
-            
-            totalRemoved += removedThisPass;
-            iteration++;
-            
-            // Stop if no exclaves were removed this pass
-            if (removedThisPass === 0) break;
         }
+        if (nearest < 0) return;
         
-        if (totalRemoved > 0) {
+        const { roadCells, costField } = this._roadNetwork();
+        let road = this._findRoadPath(nearest, cell, roadCells, costField);
+        if (!road && nearest !== capitol && capitol >= 0 && capitol !== cell) {
+            road = this._findRoadPath(capitol, cell, roadCells, costField);
+        }
+        if (road && road.length >= 2) {
+            this.roads.push({ path: road, kingdom, type });
+        }
+    }
+    
+    /**
+     * Pathfinding context for editing roads: cells already on a road plus the road cost field
+     */
+    _roadNetwork() {
+        const roadCells = new Set();
+        for (const road of this.roads || []) {
+            this._markRoadCells(road.path, roadCells);
         }
+        return { roadCells, costField: this._roadCostField() };
     }
     
     /**
@@ -2836,9 +5611,10 @@ export class VoronoiGenerator {
      */
     _selectKingdomCapitals(landCells, count, existingCapitals = []) {
         // Shuffle land cells
+        const rng = this._randomStream('capitals');
         const shuffled = [...landCells];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(PRNG.random() * (i + 1));
+            const j = Math.floor(rng.random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         
@@ -2962,8 +5738,9 @@ export class VoronoiGenerator {
         if (upperPortion.length === 0) return [];
         
         // Shuffle
+        const rng = this._randomStream('rivers');
         for (let i = upperPortion.length - 1; i > 0; i--) {
-            const j = Math.floor(PRNG.random() * (i + 1));
+            const j = Math.floor(rng.random() * (i + 1));
             [upperPortion[i], upperPortion[j]] = [upperPortion[j], upperPortion[i]];
         }
         
@@ -2999,8 +5776,10 @@ export class VoronoiGenerator {
     /**
      * Trace river using filled heights - guaranteed no loops
      * Extends one cell into ocean (will be clipped during render)
+     * @param {number} startCell
+     * @param {Set} avoidCells - Cells the river may not enter (the lake an outflow leaves)
      */
-    _traceRiverToOcean(startCell) {
+    _traceRiverToOcean(startCell, avoidCells = null) {
         const path = [];
         let current = startCell;
         const visited = new Set();
@@ -3023,6 +5802,11 @@ export class VoronoiGenerator {
                 }
             }
             
+            // Rivers end where they flow into a lake (its outflow river carries on)
+            if (path.length > 1 && this.lakeCells && this.lakeCells.has(current)) {
+                break;
+            }
+            
             visited.add(current);
             
             // Find lowest neighbor using FILLED heights (or regular for ocean)
@@ -3031,6 +5815,7 @@ export class VoronoiGenerator {
             
             for (const n of this.voronoi.neighbors(current)) {
                 if (visited.has(n)) continue;
+                if (avoidCells && avoidCells.has(n)) continue;
                 const nElev = this.filledHeights ? this.filledHeights[n] : this.heights[n];
                 if (nElev < bestElevation) {
                     bestElevation = nElev;
@@ -3054,10 +5839,7 @@ export class VoronoiGenerator {
     _generateRiverNames() {
         if (!this.rivers || this.rivers.length === 0) return;
         
-        // Generate unique river names
-        const riverNames = this.nameGenerator.generateNames(this.rivers.length, 'river');
-        
-        // Assign names to rivers, prioritizing longer rivers
+        // Assign unique names to rivers, longer rivers first, in the culture where the label sits
         const sortedIndices = this.rivers
             .map((r, i) => ({ index: i, length: r.path.length }))
             .sort((a, b) => b.length - a.length)
@@ -3065,7 +5847,9 @@ export class VoronoiGenerator {
         
         for (let i = 0; i < sortedIndices.length; i++) {
             const riverIndex = sortedIndices[i];
-            this.rivers[riverIndex].name = riverNames[i];
+            const riverPath = this.rivers[riverIndex].path;
+            const culture = this._cultureAt(riverPath[Math.floor(riverPath.length / 2)].cell);
+            this.rivers[riverIndex].name = this.nameGenerator.generateNames(1, 'river', { culture })[0] || `River ${i + 1}`;
             
             // Calculate midpoint for label placement
             const path = this.rivers[riverIndex].path;
@@ -3106,10 +5890,10 @@ export class VoronoiGenerator {
     }
     
     /**
-     * Fill inland seas - convert ocean cells not connected to map edge to land
+     * Mark the sea cells connected to the map edge (1); enclosed seas stay 0
      */
-    _fillInlandSeas() {
-        const edgeConnected = new Set();
+    _edgeConnectedOcean() {
+        const edgeConnected = new Uint8Array(this.cellCount);
         const queue = [];
         
         // Find edge ocean cells
@@ -3123,35 +5907,60 @@ export class VoronoiGenerator {
             if (x < margin || x > this.width - margin || 
                 y < margin || y > this.height - margin) {
                 queue.push(i);
-                edgeConnected.add(i);
+                edgeConnected[i] = 1;
             }
         }
         
         // BFS to find all ocean connected to edge
-        while (queue.length > 0) {
-            const current = queue.shift();
-            const neighbors = Array.from(this.voronoi.neighbors(current));
-            
-            for (const n of neighbors) {
-                if (edgeConnected.has(n)) continue;
+        for (let q = 0; q < queue.length; q++) {
+            for (const n of this.voronoi.neighbors(queue[q])) {
+                if (edgeConnected[n]) continue;
                 if (this.heights[n] >= ELEVATION.SEA_LEVEL) continue;
                 
-                edgeConnected.add(n);
+                edgeConnected[n] = 1;
                 queue.push(n);
             }
         }
         
-        // Convert inland seas to low land
+        return edgeConnected;
+    }
+    
+    /**
+     * Fill inland seas - convert ocean cells not connected to map edge to land,
+     * except enclosed seas of at least minSize cells
+     */
+    _fillInlandSeas(minSize = Infinity) {
+        const rng = this._randomStream('inland-seas');
+        const edgeConnected = this._edgeConnectedOcean();
+        
+        // Collect each enclosed sea, converting the small ones to low land
+        const seen = new Uint8Array(this.cellCount);
         let filledCount = 0;
         for (let i = 0; i < this.cellCount; i++) {
-            if (this.heights[i] < ELEVATION.SEA_LEVEL && !edgeConnected.has(i)) {
-                this.heights[i] = 50 + Math.random() * 100;
-                this.terrain[i] = 1;
+            if (this.heights[i] >= ELEVATION.SEA_LEVEL || edgeConnected[i] || seen[i]) continue;
+            
+            const sea = [i];
+            seen[i] = 1;
+            for (let c = 0; c < sea.length; c++) {
+                for (const n of this.voronoi.neighbors(sea[c])) {
+                    if (this.heights[n] >= ELEVATION.SEA_LEVEL || seen[n]) continue;
+                    seen[n] = 1;
+                    sea.push(n);
+                }
+            }
+            if (sea.length >= minSize) continue;
+            
+            for (const cell of sea) {
+                this.heights[cell] = 50 + rng.random() * 100;
+                this.terrain[cell] = 1;
                 filledCount++;
             }
         }
         
         if (filledCount > 0) {
+            // The filled cells were classified as sea
+            if (this.biomes) this.classifyBiomes();
+            if (this.climateZones) this.classifyClimates();
         }
     }
     
@@ -3465,6 +6274,13 @@ export class VoronoiGenerator {
         return PRECIP_COLORS[index];
     }
     
+    /**
+     * Get color for biome id
+     */
+    _getBiomeColor(biome) {
+        return BIOME_COLORS[biome] || BIOME_COLORS[BIOME.GRASSLAND];
+    }
+    
     /**
      * Smooth interpolation
      */
@@ -3545,17 +6361,17 @@ export class VoronoiGenerator {
     /**
      * Random uniform distribution (fallback)
      */
-    _generateRandom(margin, w, h) {
+    _generateRandom(rng, margin, w, h) {
         for (let i = 0; i < this.cellCount; i++) {
-            this.points[i * 2] = margin + PRNG.random() * w;
-            this.points[i * 2 + 1] = margin + PRNG.random() * h;
+            this.points[i * 2] = margin + rng.random() * w;
+            this.points[i * 2 + 1] = margin + rng.random() * h;
         }
     }
     
     /**
      * Jittered grid - fallback without biasing
      */
-    _generateJittered(margin, w, h) {
+    _generateJittered(rng, margin, w, h) {
         const cols = Math.ceil(Math.sqrt(this.cellCount * (w / h)));
         const rows = Math.ceil(this.cellCount / cols);
         const cellW = w / cols;
@@ -3568,8 +6384,8 @@ export class VoronoiGenerator {
                 const baseX = margin + (col + 0.5) * cellW;
                 const baseY = margin + (row + 0.5) * cellH;
                 
-                this.points[idx * 2] = baseX + (PRNG.random() - 0.5) * cellW * jitter * 2;
-                this.points[idx * 2 + 1] = baseY + (PRNG.random() - 0.5) * cellH * jitter * 2;
+                this.points[idx * 2] = baseX + (rng.random() - 0.5) * cellW * jitter * 2;
+                this.points[idx * 2 + 1] = baseY + (rng.random() - 0.5) * cellH * jitter * 2;
                 idx++;
             }
         }
@@ -3657,9 +6473,9 @@ export class VoronoiGenerator {
     /**
      * Land-biased random distribution
      */
-    _generateRandomBiased(margin, w, h, landProb) {
+    _generateRandomBiased(rng, margin, w, h, landProb) {
         if (!landProb) {
-            return this._generateRandom(margin, w, h);
+            return this._generateRandom(rng, margin, w, h);
         }
         
         const points = [];
@@ -3669,13 +6485,13 @@ export class VoronoiGenerator {
         const maxDensity = 3.0;
         
         while (points.length < targetCount * 2 && attempts < maxAttempts) {
-            const x = margin + PRNG.random() * w;
-            const y = margin + PRNG.random() * h;
+            const x = margin + rng.random() * w;
+            const y = margin + rng.random() * h;
             
             const density = this._getDensityAt(x, y, landProb, margin, w, h);
             const acceptProb = density / maxDensity;
             
-            if (PRNG.random() < acceptProb) {
+            if (rng.random() < acceptProb) {
                 points.push(x, y);
             }
             attempts++;
@@ -3688,9 +6504,9 @@ export class VoronoiGenerator {
     /**
      * Land-biased jittered grid distribution
      */
-    _generateJitteredBiased(margin, w, h, landProb) {
+    _generateJitteredBiased(rng, margin, w, h, landProb) {
         if (!landProb) {
-            return this._generateJittered(margin, w, h);
+            return this._generateJittered(rng, margin, w, h);
         }
         
         const { data, gridSize } = landProb;
@@ -3721,9 +6537,9 @@ export class VoronoiGenerator {
                 const cellTop = margin + gy * cellH;
                 
                 if (numPoints <= 1) {
-                    if (numPoints === 1 || PRNG.random() < density / landDensity) {
-                        const x = cellLeft + (0.5 + (PRNG.random() - 0.5) * jitter) * cellW;
-                        const y = cellTop + (0.5 + (PRNG.random() - 0.5) * jitter) * cellH;
+                    if (numPoints === 1 || rng.random() < density / landDensity) {
+                        const x = cellLeft + (0.5 + (rng.random() - 0.5) * jitter) * cellW;
+                        const y = cellTop + (0.5 + (rng.random() - 0.5) * jitter) * cellH;
                         points.push(x, y);
                     }
                 } else {
@@ -3735,8 +6551,8 @@ export class VoronoiGenerator {
                     let placed = 0;
                     for (let sy = 0; sy < subRows && placed < numPoints; sy++) {
                         for (let sx = 0; sx < subCols && placed < numPoints; sx++) {
-                            const x = cellLeft + (sx + 0.5 + (PRNG.random() - 0.5) * jitter) * subW;
-                            const y = cellTop + (sy + 0.5 + (PRNG.random() - 0.5) * jitter) * subH;
+                            const x = cellLeft + (sx + 0.5 + (rng.random() - 0.5) * jitter) * subW;
+                            const y = cellTop + (sy + 0.5 + (rng.random() - 0.5) * jitter) * subH;
                             points.push(x, y);
                             placed++;
                         }
@@ -3752,9 +6568,9 @@ export class VoronoiGenerator {
     /**
      * Land-biased poisson disk sampling
      */
-    _generatePoissonBiased(margin, w, h, landProb) {
+    _generatePoissonBiased(rng, margin, w, h, landProb) {
         if (!landProb) {
-            return this._generatePoisson(margin, w, h);
+            return this._generatePoisson(rng, margin, w, h);
         }
         
         const baseMinDist = Math.sqrt((w * h) / this.cellCount) * 0.8;
@@ -3770,8 +6586,8 @@ export class VoronoiGenerator {
         const active = [];
         const maxAttempts = 30;
         
-        const startX = margin + PRNG.random() * w;
-        const startY = margin + PRNG.random() * h;
+        const startX = margin + rng.random() * w;
+        const startY = margin + rng.random() * h;
         points.push(startX, startY);
         
         const gx = Math.floor((startX - margin) / cellSize);
@@ -3782,7 +6598,7 @@ export class VoronoiGenerator {
         active.push(0);
         
         while (active.length > 0 && points.length / 2 < this.cellCount * 1.5) {
-            const randIdx = PRNG.int(0, active.length - 1);
+            const randIdx = rng.int(0, active.length - 1);
             const parentIdx = active[randIdx];
             const px = points[parentIdx * 2];
             const py = points[parentIdx * 2 + 1];
@@ -3793,8 +6609,8 @@ export class VoronoiGenerator {
             let found = false;
             
             for (let attempt = 0; attempt < maxAttempts; attempt++) {
-                const angle = PRNG.random() * Math.PI * 2;
-                const dist = localMinDist + PRNG.random() * localMinDist;
+                const angle = rng.random() * Math.PI * 2;
+                const dist = localMinDist + rng.random() * localMinDist;
                 const nx = px + Math.cos(angle) * dist;
                 const ny = py + Math.sin(angle) * dist;
                 
@@ -3853,7 +6669,7 @@ export class VoronoiGenerator {
      * Poisson disk sampling - maintains minimum distance between points
      * Slower but very uniform distribution
      */
-    _generatePoisson(margin, w, h) {
+    _generatePoisson(rng, margin, w, h) {
         const minDist = Math.sqrt((w * h) / this.cellCount) * 0.8;
         const cellSize = minDist / Math.SQRT2;
         const gridW = Math.ceil(w / cellSize);
@@ -3865,8 +6681,8 @@ export class VoronoiGenerator {
         const maxAttempts = 30;
         
         // Start with a random point
-        const startX = margin + PRNG.random() * w;
-        const startY = margin + PRNG.random() * h;
+        const startX = margin + rng.random() * w;
+        const startY = margin + rng.random() * h;
         this.points[0] = startX;
         this.points[1] = startY;
         
@@ -3877,7 +6693,7 @@ export class VoronoiGenerator {
         pointCount = 1;
         
         while (active.length > 0 && pointCount < this.cellCount) {
-            const randIdx = PRNG.int(0, active.length - 1);
+            const randIdx = rng.int(0, active.length - 1);
             const parentIdx = active[randIdx];
             const px = this.points[parentIdx * 2];
             const py = this.points[parentIdx * 2 + 1];
@@ -3885,8 +6701,8 @@ export class VoronoiGenerator {
             let found = false;
             
             for (let attempt = 0; attempt < maxAttempts; attempt++) {
-                const angle = PRNG.random() * Math.PI * 2;
-                const dist = minDist + PRNG.random() * minDist;
+                const angle = rng.random() * Math.PI * 2;
+                const dist = minDist + rng.random() * minDist;
                 const nx = px + Math.cos(angle) * dist;
                 const ny = py + Math.sin(angle) * dist;
                 
@@ -3934,8 +6750,8 @@ export class VoronoiGenerator {
         
         // Fill remaining with random points if needed
         while (pointCount < this.cellCount) {
-            this.points[pointCount * 2] = margin + PRNG.random() * w;
-            this.points[pointCount * 2 + 1] = margin + PRNG.random() * h;
+            this.points[pointCount * 2] = margin + rng.random() * w;
+            this.points[pointCount * 2 + 1] = margin + rng.random() * h;
             pointCount++;
         }
         
@@ -4084,7 +6900,8 @@ export class VoronoiGenerator {
     }
     
     /**
-     * Export cell data for map generation
+     * Export cell data and every generated layer (terrain, climate, water, political)
+     * Layout is versioned by EXPORT_SCHEMA_VERSION
      */
     exportData() {
         if (!this.voronoi) return null;
@@ -4131,7 +6948,14 @@ export class VoronoiGenerator {
             cells.push(cellData);
         }
         
+        const toArray = (arr) => arr ? Array.from(arr) : null;
+        const hasKingdoms = this.kingdoms && this.kingdomCount > 0;
+        
         return {
+            schemaVersion: EXPORT_SCHEMA_VERSION,
+            seed: this._lastSeed,
+            distribution: this._lastDistribution,
+            heightmapOptions: this._lastHeightmapOptions || null,
             width: this.width,
             height: this.height,
             cellCount: this.cellCount,
@@ -4142,16 +6966,558 @@ export class VoronoiGenerator {
                 maxDepth: ELEVATION.MIN
             },
             seaLevelThreshold: this.seaLevel,  // The 0-1 value used to determine land/water ratio
-            cells: cells
+            cells: cells,
+            
+            // Per-cell layers (indexed by cell id)
+            points: toArray(this.points),
+            heights: toArray(this.heights),
+            precipitation: toArray(this.precipitation),
+            temperature: toArray(this.temperature),
+            biomes: toArray(this.biomes),
+            summerTemperature: toArray(this.summerTemperature),
+            winterTemperature: toArray(this.winterTemperature),
+            summerPrecipitation: toArray(this.summerPrecipitation),
+            winterPrecipitation: toArray(this.winterPrecipitation),
+            climateZones: toArray(this.climateZones),
+            cultures: toArray(this.cultures),
+            cultureNames: this.cultureNames || [],
+            cultureOrigins: this.cultureOrigins || [],
+            plates: toArray(this.plates),
+            climate: {
+                windDirection: this.windDirection,
+                windStrength: this.windStrength,
+                windBands: this.windBands
+            },
+            
+            // Water
+            rivers: (this.rivers || []).map(river => ({
+                name: river.name || '',
+                path: river.path.map(p => ({ cell: p.cell, x: p.x, y: p.y })),
+                labelPoint: river.labelPoint ? { x: river.labelPoint.x, y: river.labelPoint.y } : null,
+                labelAngle: river.labelAngle || 0
+            })),
+            lakes: (this.lakes || []).map(lake => ({
+                ...lake,
+                cells: Array.from(lake.cells)
+            })),
+            
+            // Relief
+            mountainRanges: (this.mountainRanges || []).map(range => ({
+                ...range,
+                cells: Array.from(range.cells)
+            })),
+            waterBodies: (this.waterBodies || []).map(body => ({
+                ...body,
+                cells: Array.from(body.cells)
+            })),
+            forests: (this.forests || []).map(forest => ({
+                ...forest,
+                cells: Array.from(forest.cells)
+            })),
+            
+            // Political
+            kingdoms: hasKingdoms ? Array.from(this.kingdoms) : null,
+            kingdomCount: hasKingdoms ? this.kingdomCount : 0,
+            kingdomNames: hasKingdoms ? this.kingdomNames : [],
+            kingdomCultures: hasKingdoms ? (this.kingdomCultures || []) : [],
+            kingdomColors: hasKingdoms ? this.kingdomColors : [],
+            kingdomCentroids: hasKingdoms ? this.kingdomCentroids : [],
+            capitols: hasKingdoms ? this.capitols : [],
+            capitolNames: hasKingdoms ? this.capitolNames : [],
+            cities: hasKingdoms ? (this.cities || []).map((city, i) => ({
+                ...city,
+                name: this.cityNames ? this.cityNames[i] : ''
+            })) : [],
+            cityNames: hasKingdoms ? (this.cityNames || []) : [],
+            provinces: hasKingdoms ? (this.provinces || []).map(province => ({
+                ...province,
+                cells: Array.from(province.cells)
+            })) : [],
+            roads: hasKingdoms ? (this.roads || []).map(road => ({
+                type: road.type,
+                kingdom: road.kingdom,
+                path: road.path.map(p => ({ cell: p.cell, x: p.x, y: p.y }))
+            })) : [],
+            seaRoutes: hasKingdoms ? (this.seaRoutes || []).map(route => ({
+                from: { cell: route.from.cell, kingdom: route.from.kingdom, type: route.from.type },
+                to: { cell: route.to.cell, kingdom: route.to.kingdom, type: route.to.type },
+                path: route.path.map(p => ({ x: p.x, y: p.y }))
+            })) : [],
+            roadDensity: this.roadDensity,
+            population: hasKingdoms ? {
+                total: this.totalPopulation || 0,
+                kingdoms: this.kingdomPopulations || [],
+                capitals: this.capitalPopulations || []
+            } : null
         };
     }
     
+    /**
+     * Fields a world file of the given schema version was written without.
+     * importData() leaves those layers empty, except provinces, which it redraws from the settlements.
+     */
+    getMissingImportFields(schemaVersion) {
+        const missing = [];
+        for (let version = schemaVersion + 1; version <= EXPORT_SCHEMA_VERSION; version++) {
+            missing.push(...(SCHEMA_FIELDS_ADDED[version] || []));
+        }
+        return missing;
+    }
+    
+    /**
+     * Restore a world previously produced by exportData()
+     * Rebuilds points and the Delaunay/Voronoi diagram, then every stored layer,
+     * without running any generation step. Throws if the file can't be restored.
+     */
+    importData(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Not a world file');
+        }
+        if (!data.schemaVersion || data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+            throw new Error(`Unsupported world file version: ${data.schemaVersion || 'none'}`);
+        }
+        const missing = this.getMissingImportFields(data.schemaVersion);
+        if (missing.length > 0) {
+            console.warn(`World file version ${data.schemaVersion} predates: ${missing.join(', ')}`);
+        }
+        
+        const count = data.cellCount;
+        if (!count || !Array.isArray(data.cells)) {
+            throw new Error('World file has no cells');
+        }
+        
+        // Points - prefer the flat array, fall back to cell centers
+        const points = new Float64Array(count * 2);
+        if (Array.isArray(data.points) && data.points.length === count * 2) {
+            points.set(data.points);
+        } else {
+            for (const cell of data.cells) {
+                points[cell.id * 2] = cell.center.x;
+                points[cell.id * 2 + 1] = cell.center.y;
+            }
+        }
+        
+        this.cellCount = count;
+        this.points = points;
+        this._lastSeed = data.seed;
+        this._lastDistribution = data.distribution;
+        this._lastCellCount = count;
+        this._lastHeightmapOptions = data.heightmapOptions || null;
+        this.seaLevel = data.seaLevelThreshold !== undefined ? data.seaLevelThreshold : this.seaLevel;
+        
+        // The map keeps the size it was made at, whatever the size of this view
+        if (data.width > 0 && data.height > 0) {
+            this.width = data.width;
+            this.height = data.height;
+        }
+        this.updateDiagram();
+        
+        // Terrain
+        const heights = data.heights || data.cells.map(c => c.elevation);
+        this.heights = new Float32Array(count);
+        this.heights.set(heights);
+        this.elevations = this.heights;
+        this.terrain = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            this.terrain[i] = this.heights[i] >= ELEVATION.SEA_LEVEL ? 1 : 0;
+        }
+        this.landmasses = null;
+        this.landmassBoundaries = null;
+        this.filledHeights = null;
+        
+        this.plates = data.plates ? Int16Array.from(data.plates) : null;
+        this.plateCount = 0;
+        if (this.plates) {
+            for (let i = 0; i < count; i++) this.plateCount = Math.max(this.plateCount, this.plates[i] + 1);
+        }
+        this.plateMotions = [];
+        this.plateOceanic = null;
+        
+        // Climate
+        this.precipitation = data.precipitation ? Float32Array.from(data.precipitation) : null;
+        this.temperature = data.temperature ? Float32Array.from(data.temperature) : null;
+        this.biomes = data.biomes ? Uint8Array.from(data.biomes) : null;
+        this.summerTemperature = data.summerTemperature ? Float32Array.from(data.summerTemperature) : null;
+        this.winterTemperature = data.winterTemperature ? Float32Array.from(data.winterTemperature) : null;
+        this.summerPrecipitation = data.summerPrecipitation ? Float32Array.from(data.summerPrecipitation) : null;
+        this.winterPrecipitation = data.winterPrecipitation ? Float32Array.from(data.winterPrecipitation) : null;
+        this.climateZones = data.climateZones ? Uint8Array.from(data.climateZones) : null;
+        
+        // Cultures
+        this.cultures = data.cultures ? Uint8Array.from(data.cultures) : null;
+        this.cultureNames = data.cultureNames || [];
+        this.cultureOrigins = data.cultureOrigins || [];
+        if (data.climate) {
+            this.windDirection = data.climate.windDirection;
+            this.windStrength = data.climate.windStrength;
+            this.windBands = !!data.climate.windBands;
+        }
+        
+        // Water - river paths carry elevation and ocean flags for rendering
+        this.rivers = (data.rivers || []).map(river => ({
+            ...river,
+            path: river.path.map(p => ({
+                cell: p.cell,
+                x: p.x,
+                y: p.y,
+                elevation: this.heights[p.cell],
+                isOcean: this.heights[p.cell] < ELEVATION.SEA_LEVEL
+            }))
+        }));
+        this.lakes = (data.lakes || []).map(lake => ({ ...lake }));
+        this.lakeCells = new Set();
+        this.lakeDepths = new Map();
+        for (const lake of this.lakes) {
+            for (const cell of lake.cells) {
+                this.lakeCells.add(cell);
+                const surface = lake.surfaceElevation !== undefined ? lake.surfaceElevation : this.heights[cell];
+                this.lakeDepths.set(cell, Math.max(0, surface - this.heights[cell]));
+            }
+        }
+        this.drainage = null;
+        this.riverFlow = null;
+        
+        // Relief
+        this.mountainRanges = (data.mountainRanges || []).map(range => ({ ...range }));
+        this.mountainRangeIds = new Int32Array(this.cellCount).fill(-1);
+        this.mountainRanges.forEach((range, r) => {
+            for (const cell of range.cells) this.mountainRangeIds[cell] = r;
+        });
+        this.waterBodies = (data.waterBodies || []).map(body => ({ ...body }));
+        this.waterBodyIds = new Int32Array(this.cellCount).fill(-1);
+        this.waterBodies.forEach((body, b) => {
+            for (const cell of body.cells) this.waterBodyIds[cell] = b;
+        });
+        this.forests = (data.forests || []).map(forest => ({ ...forest }));
+        this.forestIds = new Int32Array(this.cellCount).fill(-1);
+        this.forests.forEach((forest, f) => {
+            for (const cell of forest.cells) this.forestIds[cell] = f;
+        });
+        
+        // Political
+        if (data.kingdoms && data.kingdomCount > 0) {
+            this.kingdoms = Int16Array.from(data.kingdoms);
+            this.kingdomCount = data.kingdomCount;
+            this.kingdomNames = data.kingdomNames || [];
+            this.kingdomCultures = data.kingdomCultures || [];
+            this.kingdomColors = data.kingdomColors || [];
+            this.kingdomCentroids = data.kingdomCentroids || [];
+            this.kingdomCells = Array.from({ length: this.kingdomCount }, () => []);
+            for (let i = 0; i < count; i++) {
+                const k = this.kingdoms[i];
+                if (k >= 0 && k < this.kingdomCount) this.kingdomCells[k].push(i);
+            }
+            
+            this.capitols = data.capitols || [];
+            this.capitolNames = data.capitolNames || [];
+            this.kingdomCapitals = this.capitols.slice();
+            
+            this.cities = (data.cities || []).map(city => {
+                const { name, ...rest } = city;
+                return { ...rest, population: Number(rest.population) || 0 };
+            });
+            this.cityNames = data.cityNames || this.cities.map(() => '');
+            
+            // Roads keep their cell list alongside the path for road marking
+            this.roads = (data.roads || []).map(road => {
+                const path = road.path.map(p => ({ x: p.x, y: p.y, cell: p.cell }));
+                path.cells = path.map(p => p.cell);
+                return { path, kingdom: road.kingdom, type: road.type };
+            });
+            
+            const endpoint = (e) => ({
+                ...e,
+                x: this.points[e.cell * 2],
+                y: this.points[e.cell * 2 + 1]
+            });
+            this.seaRoutes = (data.seaRoutes || []).map(route => ({
+                path: route.path.map(p => ({ x: p.x, y: p.y })),
+                from: endpoint(route.from),
+                to: endpoint(route.to)
+            }));
+            
+            // Numbers only - a shared file's values end up in the info panel
+            const population = data.population || {};
+            this.totalPopulation = Number(population.total) || 0;
+            this.kingdomPopulations = (population.kingdoms || []).map(p => Number(p) || 0);
+            this.capitalPopulations = (population.capitals || []).map(p => Number(p) || 0);
+            if (data.roadDensity !== undefined) this.roadDensity = data.roadDensity;
+            
+            // Worlds saved before provinces get them drawn from their settlements
+            if (data.provinces) {
+                this.provinces = data.provinces.map(province => ({ ...province }));
+                this.provinceIds = new Int32Array(this.cellCount).fill(-1);
+                this.provinces.forEach((province, p) => {
+                    for (const cell of province.cells) this.provinceIds[cell] = p;
+                });
+            } else {
+                this.generateProvinces();
+            }
+        } else {
+            this.clearKingdoms();
+        }
+        
+        // Nothing cached belongs to the imported world
+        this.clearContourCache();
+        this.clearKingdomCache();
+        if (this.tileCache) {
+            this.tileCache.invalidate();
+        }
+        
+        // Show the whole map
+        if (this.canvas) {
+            this.fitToView();
+        }
+        
+        return this.metrics;
+    }
+    
+    /**
+     * Copy of the generated world state, for undo/redo
+     * Typed arrays and object layers are copied so later in-place edits (erosion,
+     * brushes) don't reach the snapshot. Points are shared: they are only ever
+     * replaced, never edited in place.
+     */
+    captureState() {
+        const state = {};
+        for (const field of WORLD_STATE_FIELDS) {
+            const value = this[field];
+            if (field === 'points' || value === null || typeof value !== 'object') {
+                state[field] = value;
+            } else if (ArrayBuffer.isView(value)) {
+                state[field] = value.slice();
+            } else {
+                state[field] = structuredClone(value);
+            }
+        }
+        return state;
+    }
+    
+    /**
+     * Put back a state from captureState()
+     * The state object is adopted, not copied - capture again to keep using it.
+     * Rebuilds the Voronoi diagram only when the points differ.
+     */
+    restoreState(state) {
+        const pointsChanged = state.points !== this.points;
+        
+        for (const field of WORLD_STATE_FIELDS) {
+            this[field] = state[field];
+        }
+        this.elevations = this.heights;
+        
+        if (pointsChanged && this.points) {
+            this.updateDiagram();
+        }
+        
+        // Clear derived data and caches
+        this.landmasses = null;
+        this.landmassBoundaries = null;
+        this.clearContourCache();
+        if (this.tileCache) {
+            this.tileCache.invalidate();
+        }
+    }
+    
     /**
      * Export as PNG data URL
      */
     exportPNG() {
         return this.canvas.toDataURL('image/png');
     }
+    
+    /**
+     * Export the whole map as a PNG at `scale` times its on-screen size
+     * Renders the map tile by tile through render() (one canvas-sized tile at a time,
+     * SVG layers rasterized on top) and streams the rows into a PNG encoder,
+     * so the output can exceed the browser's canvas size limit.
+     * @param {Object} options
+     * @param {number} options.scale - Output pixels per map unit (e.g. 4, 8)
+     * @param {Function} options.onProgress - Called with { done, total } after each tile
+     * @returns {Promise<Blob>}
+     */
+    async exportHighResPNG({ scale = 4, onProgress = null } = {}) {
+        if (!this.voronoi || !this.heights) return null;
+        
+        const outWidth = Math.round(this.width * scale);
+        const outHeight = Math.round(this.height * scale);
+        const tileWidth = this.canvas.width;
+        const tileHeight = this.canvas.height;
+        const cols = Math.ceil(outWidth / tileWidth);
+        const rows = Math.ceil(outHeight / tileHeight);
+        const total = cols * rows;
+        
+        const tile = document.createElement('canvas');
+        tile.width = tileWidth;
+        tile.height = tileHeight;
+        const tileCtx = tile.getContext('2d', { willReadFrequently: true });
+        
+        const encoder = new PNGStreamEncoder(outWidth, outHeight);
+        const layerIds = ['sea-route-svg', 'river-svg', 'kingdom-svg', 'coastline-svg', 'road-svg', 'city-svg', 'label-svg'];
+        const serializer = new XMLSerializer();
+        
+        // Screen-space overlays would repeat on every tile
+        const saved = {
+            x: this.viewport.x,
+            y: this.viewport.y,
+            zoom: this.viewport.zoom,
+            hoveredCell: this.hoveredCell,
+            showWindrose: this.showWindrose,
+            showScale: this.showScale
+        };
+        this.hoveredCell = -1;
+        this.showWindrose = false;
+        this.showScale = false;
+        this._exporting = true;
+        
+        try {
+            let done = 0;
+            for (let row = 0; row < rows; row++) {
+                const bandHeight = Math.min(tileHeight, outHeight - row * tileHeight);
+                const band = new Uint8Array(outWidth * bandHeight * 4);
+                
+                for (let col = 0; col < cols; col++) {
+                    // Viewport is in CSS pixels; the canvas backing store is dpr times larger
+                    this.viewport.zoom = scale / this.dpr;
+                    this.viewport.x = -col * tileWidth / this.dpr;
+                    this.viewport.y = -row * tileHeight / this.dpr;
+                    this.render();
+                    
+                    tileCtx.clearRect(0, 0, tileWidth, tileHeight);
+                    tileCtx.drawImage(this.canvas, 0, 0);
+                    
+                    // Rasterize live SVG layers in DOM (z) order
+                    for (const id of layerIds) {
+                        const svg = document.getElementById(id);
+                        if (!svg || svg.children.length === 0) continue;
+                        
+                        let content = '';
+                        for (const child of svg.children) {
+                            content += serializer.serializeToString(child);
+                        }
+                        const markup = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+                            `width="${tileWidth}" height="${tileHeight}" viewBox="0 0 ${this.viewWidth} ${this.viewHeight}">` +
+                            `<style>${SVG_LAYER_STYLES}</style><g id="${id}">${content}</g></svg>`;
+                        
+                        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+                        try {
+                            const img = new Image();
+                            img.src = url;
+                            await img.decode();
+                            tileCtx.drawImage(img, 0, 0, tileWidth, tileHeight);
+                        } finally {
+                            URL.revokeObjectURL(url);
+                        }
+                    }
+                    
+                    // Copy the part of the tile that falls inside the output into the band
+                    const x0 = col * tileWidth;
+                    const copyWidth = Math.min(tileWidth, outWidth - x0);
+                    const pixels = tileCtx.getImageData(0, 0, copyWidth, bandHeight).data;
+                    for (let y = 0; y < bandHeight; y++) {
+                        band.set(
+                            pixels.subarray(y * copyWidth * 4, (y + 1) * copyWidth * 4),
+                            (y * outWidth + x0) * 4
+                        );
+                    }
+                    
+                    done++;
+                    if (onProgress) onProgress({ done, total });
+                }
+                
+                await encoder.addRows(band, bandHeight);
+            }
+            
+            return await encoder.finish();
+        } finally {
+            this._exporting = false;
+            this.viewport.x = saved.x;
+            this.viewport.y = saved.y;
+            this.viewport.zoom = saved.zoom;
+            this.hoveredCell = saved.hoveredCell;
+            this.showWindrose = saved.showWindrose;
+            this.showScale = saved.showScale;
+            this.render();
+        }
+    }
+    
+    /**
+     * Export the whole map as a standalone, print-scalable SVG document
+     * Base fills (cells, contours, coastline) are recorded from the canvas renderers,
+     * then the live SVG layers are rebuilt for the full map and stacked in on-screen order
+     */
+    exportSVG() {
+        if (!this.voronoi || !this.heights) return null;
+        
+        // Rebuild SVG layers at 100% with no pan, over the whole map, so nothing is culled
+        const savedViewport = { x: this.viewport.x, y: this.viewport.y, zoom: this.viewport.zoom };
+        const savedView = { width: this.viewWidth, height: this.viewHeight };
+        const savedHovered = this.hoveredCell;
+        this.viewport.x = 0;
+        this.viewport.y = 0;
+        this.viewport.zoom = 1;
+        this.viewWidth = this.width;
+        this.viewHeight = this.height;
+        this.hoveredCell = -1;
+        
+        try {
+            this.render();
+            
+            const bounds = { left: 0, top: 0, right: this.width, bottom: this.height };
+            const base = new SVGPathContext();
+            
+            base.fillStyle = this.colors.bg;
+            base.fillRect(0, 0, this.width, this.height);
+            
+            // Same dispatch as render()
+            if (this.renderMode === 'political') {
+                this._renderPoliticalBase(base, bounds);
+            } else if (this.renderMode === 'precipitation' && this.precipitation) {
+                this._renderPrecipitationCells(base, bounds);
+            } else if (this.renderMode === 'biomes' && this.biomes) {
+                this._renderBiomeCells(base, bounds);
+            } else if (this.renderMode === 'climate' && this.climateZones) {
+                this._renderClimateCells(base, bounds);
+            } else {
+                this._renderTerrainCells(base, bounds);
+            }
+            if (this.renderMode === 'political' || this.renderMode === 'terrain') {
+                this._renderForests(base, bounds);
+            }
+            
+            // Live layers in DOM (z) order
+            const layerIds = ['sea-route-svg', 'river-svg', 'kingdom-svg', 'coastline-svg', 'road-svg', 'city-svg', 'label-svg'];
+            const serializer = new XMLSerializer();
+            let layers = '';
+            
+            for (const id of layerIds) {
+                const svg = document.getElementById(id);
+                if (!svg || svg.children.length === 0) continue;
+                
+                let content = '';
+                for (const child of svg.children) {
+                    content += serializer.serializeToString(child);
+                }
+                layers += `<g id="${id}">${content}</g>\n`;
+            }
+            
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+                `width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">\n` +
+                `<style>${SVG_LAYER_STYLES}</style>\n` +
+                `<g id="base">${base.toString()}</g>\n` +
+                layers +
+                '</svg>\n';
+        } finally {
+            this.viewport.x = savedViewport.x;
+            this.viewport.y = savedViewport.y;
+            this.viewport.zoom = savedViewport.zoom;
+            this.viewWidth = savedView.width;
+            this.viewHeight = savedView.height;
+            this.hoveredCell = savedHovered;
+            this.render();
+        }
+    }
 }
 
 // Add rendering methods to prototype
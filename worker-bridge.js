@@ -11,7 +11,10 @@
  *   bridge.onProgress = (data) => updateLoadingStatus(data.message);
  *   
  *   const result = await bridge.generateFull({ cellCount, seed, ... });
- *   // Apply result.points, result.heights, etc. to generator
+ *   bridge.applyResults(generator, result);
+ *   
+ *   const world = await bridge.postProcess({ points, heights, terrain, ... });
+ *   bridge.applyPostProcessResults(generator, world);
  */
 
 export class WorkerBridge {
@@ -37,7 +40,8 @@ export class WorkerBridge {
     init() {
         if (this.worker) return;
         
-        this.worker = new Worker(this.workerPath);
+        // Module worker - it imports VoronoiGenerator to run the post-processing stages
+        this.worker = new Worker(this.workerPath, { type: 'module' });
         
         this.worker.onmessage = (e) => {
             this.handleMessage(e.data);
@@ -46,6 +50,12 @@ export class WorkerBridge {
         this.worker.onerror = (e) => {
             console.error('Worker error:', e);
             this.onError?.(e);
+            
+            // An uncaught error (e.g. a failed module import) never answers pending requests
+            for (const callback of this.pendingCallbacks.values()) {
+                callback.reject(new Error(e.message || 'Worker failed'));
+            }
+            this.pendingCallbacks.clear();
         };
         
         this.isInitialized = true;
@@ -157,6 +167,8 @@ export class WorkerBridge {
     /**
      * Full generation pipeline (points + heightmap in one call)
      * This is the most efficient option for initial generation.
+     * Runs VoronoiGenerator.generate() and generateHeightmap() in the worker, so
+     * `heightmapOptions` takes the same options (smoothing included) with the same defaults.
      */
     async generateFull(options) {
         const {
@@ -165,7 +177,6 @@ export class WorkerBridge {
             height,
             seed,
             distribution = 'jittered',
-            relaxIterations = 2,
             heightmapOptions = {}
         } = options;
         
@@ -175,37 +186,84 @@ export class WorkerBridge {
             height,
             seed,
             distribution,
-            relaxIterations,
-            heightmapOptions: {
-                algorithm: heightmapOptions.algorithm || 'fbm',
-                frequency: heightmapOptions.frequency || 3,
-                octaves: heightmapOptions.octaves || 6,
-                seaLevel: heightmapOptions.seaLevel || 0.4,
-                falloff: heightmapOptions.falloff || 'radial',
-                falloffStrength: heightmapOptions.falloffStrength || 0.7
-            }
+            heightmapOptions
         });
     }
     
     /**
-     * Apply results from worker to generator instance
+     * Run the post-processing pipeline (smoothing, erosion, climate, rivers, kingdoms)
+     * on the current heightmap. Progress is reported per stage through onProgress.
+     * Pass `kingdoms: { count, roadDensity }` to include the political stage.
      */
-    applyResults(generator, result) {
-        // Apply points
-        if (result.points) {
-            generator.points = result.points;
-            generator.cellCount = result.cellCount;
-            
-            // Rebuild local Voronoi (needed for interaction and kingdom generation)
-            generator.updateDiagram();
-        }
+    async postProcess(options) {
+        const {
+            points,
+            heights,
+            terrain,
+            cellCount,
+            width,
+            height,
+            seed,
+            smoothing = null,
+            erosion = {},
+            climate = {},
+            drainage = {},
+            kingdoms = null
+        } = options;
+        
+        // Copy arrays since they'll be transferred
+        const pointsCopy = new Float64Array(points);
+        const heightsCopy = new Float32Array(heights);
+        const terrainCopy = new Uint8Array(terrain);
+        
+        return this._sendMessage('postProcess', {
+            points: pointsCopy,
+            heights: heightsCopy,
+            terrain: terrainCopy,
+            cellCount,
+            width,
+            height,
+            seed,
+            smoothing,
+            erosion,
+            climate,
+            drainage,
+            kingdoms
+        }, [pointsCopy.buffer, heightsCopy.buffer, terrainCopy.buffer]);
+    }
+    
+    /**
+     * Apply post-processing results from worker to generator instance
+     * The worker sends political layers only when it made kingdoms; otherwise the
+     * previous world's are cleared, as runPostProcessing() does on the main thread.
+     */
+    applyPostProcessResults(generator, result) {
+        generator.clearKingdoms();
+        Object.assign(generator, result.world);
+        generator.elevations = generator.heights;
         
-        // Apply heightmap
-        if (result.heights) {
-            generator.heights = result.heights;
-            generator.elevations = result.heights;
-            generator.terrain = result.terrain;
+        // Clear all caches
+        generator.clearContourCache?.();
+        generator._coastlineCache = null;
+        generator._borderEdgesCache = null;
+        generator._borderPathsCache = null;
+        generator._kingdomBoundaryCache = null;
+        
+        // Invalidate tile cache
+        if (generator.tileCache) {
+            generator.tileCache.invalidate();
         }
+    }
+    
+    /**
+     * Apply generateFull results (points, heightmap, plates) to generator instance
+     */
+    applyResults(generator, result) {
+        Object.assign(generator, result.world);
+        generator.elevations = generator.heights;
+        
+        // Rebuild local Voronoi (needed for interaction and kingdom generation)
+        generator.updateDiagram();
         
         // Clear all caches
         generator.clearContourCache?.();
@@ -0,0 +1,156 @@
+/**
+ * WORLD PIPELINE - Generation stages without rendering
+ *
+ * Runs the same stage sequence as the app on any VoronoiGenerator, including a
+ * headless one (no canvas). Shared by the app's main-thread fallback, the
+ * generation worker and the Node API / CLI (headless.mjs, cli.mjs).
+ *
+ * Requires `d3` (d3-delaunay) as a global, like the rest of the generator.
+ *
+ * Usage:
+ *   import { generateWorld } from './world-pipeline.js';
+ *
+ *   const generator = await generateWorld({ seed: 42, cellCount: 20000 });
+ *   const json = generator.exportData();
+ */
+
+import { VoronoiGenerator } from './voronoi-generator.js';
+import { hashString } from './prng.js';
+
+// Defaults mirror the controls in index.html
+export const DEFAULT_WORLD_OPTIONS = {
+    seed: 12345,
+    cellCount: 50000,
+    width: 1920,
+    height: 1080,
+    distribution: 'jittered',
+    heightmap: {
+        algorithm: 'continental',
+        frequency: 3,
+        octaves: 6,
+        seaLevel: 0.4,
+        falloff: 'radial',
+        falloffStrength: 0.7,
+        smoothing: 0,
+        smoothingStrength: 0.6
+    },
+    erosion: { iterations: 200000, erosionStrength: 1.0, depositionRate: 0.6 },
+    climate: { windDirection: 270, windStrength: 0.8, windBands: false },
+    drainage: { numberOfRivers: 30, mode: 'filled' },
+    kingdoms: { count: 12, roadDensity: 7 }
+};
+
+/**
+ * Run the post-heightmap stages on a generator that already has points and heights:
+ * optional smoothing → erosion → precipitation, temperature, biomes, climate zones → cultures → rivers & lakes → mountain ranges → seas → forests → kingdoms.
+ * Pass `kingdoms: null` to stop after the forests; political layers from an earlier
+ * world are then cleared. `onProgress({ stage, percent, message })` is awaited before
+ * each stage, so callers can yield to the UI.
+ * `seed` sets the world seed the stages derive their random streams from, for a
+ * generator that didn't make its own points (generate() sets it otherwise).
+ */
+export async function runPostProcessing(generator, options = {}, onProgress = null) {
+    const { seed = null, smoothing = null, erosion = {}, climate = {}, drainage = {}, kingdoms = null } = options;
+
+    if (seed !== null) {
+        generator.setSeed(seed);
+    }
+
+    if (smoothing && smoothing.iterations > 0) {
+        await onProgress?.({ stage: 'smoothing', percent: 0, message: 'Smoothing terrain...' });
+        generator.smoothHeights(smoothing.iterations, smoothing.strength);
+    }
+
+    await onProgress?.({ stage: 'erosion', percent: 10, message: 'Applying erosion...' });
+    generator.applyHydraulicErosion(erosion);
+
+    await onProgress?.({ stage: 'climate', percent: 45, message: 'Simulating climate...' });
+    generator.generatePrecipitation(climate);
+    generator.generateTemperature();
+    generator.classifyBiomes();
+    generator.classifyClimates();
+
+    await onProgress?.({ stage: 'cultures', percent: 55, message: 'Spreading cultures...' });
+    generator.generateCultures();
+
+    await onProgress?.({ stage: 'rivers', percent: 60, message: 'Carving rivers...' });
+    generator.calculateDrainage(drainage);
+
+    await onProgress?.({ stage: 'mountains', percent: 70, message: 'Mapping mountain ranges...' });
+    generator.generateMountainRanges();
+
+    await onProgress?.({ stage: 'seas', percent: 72, message: 'Charting seas...' });
+    generator.generateWaterBodies();
+
+    await onProgress?.({ stage: 'forests', percent: 74, message: 'Growing forests...' });
+    generator.generateForests();
+
+    if (kingdoms) {
+        await onProgress?.({ stage: 'kingdoms', percent: 75, message: 'Forming kingdoms...' });
+        generator.generateKingdoms(kingdoms.count, kingdoms.roadDensity);
+    } else {
+        // Kingdoms from an earlier world would sit on the old terrain
+        generator.clearKingdoms();
+    }
+
+    return generator;
+}
+
+/**
+ * Generate a complete world on a headless generator:
+ * points → heightmap → erosion → climate → rivers → kingdoms.
+ * Options are merged over DEFAULT_WORLD_OPTIONS one level deep; `kingdoms: false`
+ * skips the political stage. Resolves to the generator (call exportData() for JSON).
+ */
+export async function generateWorld(options = {}, onProgress = null) {
+    const opts = { ...DEFAULT_WORLD_OPTIONS };
+    for (const [key, value] of Object.entries(options)) {
+        const base = DEFAULT_WORLD_OPTIONS[key];
+        opts[key] = base && typeof base === 'object' && value && typeof value === 'object'
+            ? { ...base, ...value }
+            : value;
+    }
+
+    const { seed, cellCount, width, height, distribution } = opts;
+    const heightmapOptions = { ...opts.heightmap };
+
+    const generator = new VoronoiGenerator(null, { width, height });
+
+    await onProgress?.({ stage: 'points', percent: 0, message: 'Generating points...' });
+    generator.generate(cellCount, distribution, seed, heightmapOptions);
+
+    await onProgress?.({ stage: 'heightmap', percent: 5, message: 'Sculpting terrain...' });
+    generator.generateHeightmap({ seed: seed + 1000, ...heightmapOptions });
+
+    await runPostProcessing(generator, {
+        seed,
+        erosion: opts.erosion,
+        climate: opts.climate,
+        drainage: opts.drainage,
+        kingdoms: opts.kingdoms || null
+    }, onProgress);
+
+    await onProgress?.({ stage: 'complete', percent: 100, message: 'Generation complete' });
+    return generator;
+}
+
+// Hashes as 8 hex digits
+const hashHex = (text) => hashString(text).toString(16).padStart(8, '0');
+
+/**
+ * Fingerprint of a generated world: one hash per exportData() layer plus one for the
+ * whole world. The same seed and options give the same digest, so digests recorded for a
+ * few fixed seeds show whether a change to the generator altered existing worlds - and
+ * which layers it touched. Returns null for a generator without a diagram.
+ */
+export function worldDigest(generator) {
+    const data = generator.exportData();
+    if (!data) return null;
+
+    const layers = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (key === 'cells') continue;  // Polygons and neighbors follow from the points
+        layers[key] = hashHex(JSON.stringify(value) ?? 'undefined');
+    }
+    return { world: hashHex(Object.values(layers).join('')), layers };
+}